@@ -0,0 +1,534 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const locate = require("../lib/locate");
+const {
+  openSqliteReadOnly,
+  configureSqlite,
+  initSqlite,
+  closeSqlite,
+} = require("../lib/db");
+const {
+  listWorkspaceComposers,
+  streamExport,
+  importFromFile,
+  ON_EXISTING,
+} = require("../lib/transfer");
+const {
+  createExportFileWriter,
+  createExportStreamWriter,
+  readExportHeaders,
+} = require("../lib/exportFile");
+const { runScheduledBackup } = require("../lib/autoBackup");
+const { runSync, SYNC_PREFER } = require("../lib/sync");
+const { PROBLEMS, diagnose, formatReport, applyFix } = require("../lib/doctor");
+
+const USAGE = `Usage: cursor-chat-transfer <command> [options]
+
+Commands:
+  list                      List workspaces, or the chats of one workspace
+  export                    Export chats to a .cursor-chat.json(.gz) file
+  import <file>             Import chats from an export file (close Cursor first)
+  backup                    Back up the chats of every workspace into a folder
+  sync                      Sync the chats of every workspace with a shared
+                            folder (close Cursor first)
+  doctor                    Diagnose the chat storage of a workspace and the
+                            global DB; --fix repairs it (close Cursor first)
+
+Options:
+  --workspace-db <path>     Workspace state.vscdb
+  --workspace <name|hash>   Pick the workspace by folder name or storage hash
+  --global-db <path>        Global state.vscdb (default: auto-detected)
+  --storage <dir>           workspaceStorage folder (default: auto-detected)
+  --chat <id>               Only export or import this chat (repeatable)
+  -o, --output <file>       Export destination (default: stdout); a .gz name
+                            is gzip-compressed
+  --gzip                    Compress an export written to stdout
+  --passphrase-file <file>  Encrypt the export with the passphrase in this file
+                            (first line), or decrypt an encrypted import
+  --existing <choice>       Chats imported into the workspace before: skip,
+                            replace, duplicate, or merge their new messages
+                            into the earlier copy (default: skip)
+  --folder <dir>            Backup destination or sync folder
+  --keep <n>                Backup runs to keep (default: 7)
+  --prefer <side>           Sync: settle chats changed on both sides with the
+                            local or the remote version (default: neither)
+  --fix <classes>           Doctor: fix these problem classes, comma-separated
+                            or "all": integrity, headersWithoutData,
+                            dataWithoutHeaders, orphanedBubbles,
+                            staleSelection, unknownWorkspaces ("all" leaves
+                            out dataWithoutHeaders, which can bring back
+                            deleted chats; name it to fix it)
+  --engine <name>           SQLite engine: auto, cli or builtin (default: auto);
+                            builtin handles databases up to 512 MB only
+  --sqlite3 <path>          sqlite3 executable to use instead of searching PATH
+  --json                    Print list output as JSON
+  --verbose                 Show debug output on stderr
+  -h, --help                Show this help
+`;
+
+const VALUE_OPTIONS = new Set([
+  "workspace-db",
+  "workspace",
+  "global-db",
+  "storage",
+  "chat",
+  "output",
+  "passphrase-file",
+  "existing",
+  "folder",
+  "keep",
+  "prefer",
+  "fix",
+  "engine",
+  "sqlite3",
+]);
+const FLAG_OPTIONS = new Set(["json", "verbose", "gzip", "help"]);
+const ALIASES = { o: "output", h: "help" };
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = { chat: [] };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("-") || arg === "-") {
+      positional.push(arg);
+      continue;
+    }
+    let name = arg.replace(/^--?/, "");
+    let value;
+    const eq = name.indexOf("=");
+    if (eq >= 0) {
+      value = name.slice(eq + 1);
+      name = name.slice(0, eq);
+    }
+    name = ALIASES[name] || name;
+    if (FLAG_OPTIONS.has(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.has(name)) {
+      if (value === undefined) value = argv[++i];
+      if (value === undefined) throw new UsageError(`--${name} needs a value`);
+      if (name === "chat") options.chat.push(value);
+      else options[name] = value;
+    } else {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+  }
+  return { command: positional[0], args: positional.slice(1), options };
+}
+
+function print(line = "") {
+  process.stdout.write(`${line}\n`);
+}
+
+function info(line) {
+  process.stderr.write(`${line}\n`);
+}
+
+function requireFile(filePath, what) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`${what} not found: ${resolved}`);
+  }
+  return resolved;
+}
+
+function readPassphrase(options) {
+  if (!options["passphrase-file"]) return undefined;
+  const file = requireFile(options["passphrase-file"], "Passphrase file");
+  const passphrase = fs.readFileSync(file, "utf8").split(/\r?\n/)[0];
+  if (!passphrase) throw new Error(`Passphrase file is empty: ${file}`);
+  return passphrase;
+}
+
+function resolveGlobalDb(options) {
+  return options["global-db"]
+    ? requireFile(options["global-db"], "Global DB")
+    : requireFile(locate.resolveGlobalStateDbPath(), "Global DB");
+}
+
+function listWorkspaces() {
+  return locate.listWorkspaceStateDbs(Infinity).map((c) => ({
+    path: c.path,
+    hash: c.hash,
+    mtime: c.mtime,
+    name: locate.tryGetWorkspaceName(c.hash) || c.hash,
+    folder: locate.tryGetWorkspaceFolderPath(c.hash) || null,
+  }));
+}
+
+/**
+ * Workspace DB from --workspace-db, or from --workspace matched against the
+ * detected workspaceStorage entries. Returns undefined when neither is given.
+ */
+function resolveWorkspaceDb(options) {
+  if (options["workspace-db"]) {
+    return requireFile(options["workspace-db"], "Workspace DB");
+  }
+  if (!options.workspace) return undefined;
+  const wanted = options.workspace;
+  const workspaces = listWorkspaces();
+  const byHash = workspaces.find((w) => w.hash === wanted);
+  if (byHash) return byHash.path;
+  const byName = workspaces.filter(
+    (w) => w.name === wanted || w.folder === wanted,
+  );
+  if (byName.length === 1) return byName[0].path;
+  if (byName.length > 1) {
+    throw new Error(
+      `Several workspaces are named "${wanted}"; use one of these hashes: ${byName.map((w) => w.hash).join(", ")}`,
+    );
+  }
+  throw new Error(`No workspace named "${wanted}" in the detected storage.`);
+}
+
+async function readWorkspaceChats(wsDbPath, glDbPath) {
+  const wsDb = await openSqliteReadOnly(wsDbPath);
+  try {
+    return (await listWorkspaceComposers(wsDb, { fsPath: glDbPath })) || [];
+  } finally {
+    wsDb.closeReadOnly();
+  }
+}
+
+async function cmdList(options) {
+  const glDbPath = resolveGlobalDb(options);
+  const wsDbPath = resolveWorkspaceDb(options);
+
+  if (wsDbPath) {
+    const chats = await readWorkspaceChats(wsDbPath, glDbPath);
+    if (options.json) {
+      print(JSON.stringify(chats, null, 2));
+      return;
+    }
+    for (const c of chats) {
+      const mode = c.unifiedMode || c.forceMode || "chat";
+      const updated = c.lastUpdatedAt
+        ? new Date(c.lastUpdatedAt).toISOString()
+        : "-";
+      print(`${c.composerId}  ${mode.padEnd(6)}  ${updated}  ${c.name || ""}`);
+    }
+    info(`${chats.length} chat(s)`);
+    return;
+  }
+
+  const workspaces = listWorkspaces();
+  const rows = [];
+  for (const ws of workspaces) {
+    let count = null;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      count = (await readWorkspaceChats(ws.path, glDbPath)).length;
+    } catch (err) {
+      info(`Skipping ${ws.hash}: ${err.message || String(err)}`);
+    }
+    rows.push({ ...ws, chats: count });
+  }
+  if (options.json) {
+    print(JSON.stringify(rows, null, 2));
+    return;
+  }
+  for (const row of rows) {
+    const count = row.chats == null ? "?" : String(row.chats);
+    print(
+      `${row.hash}  ${count.padStart(4)} chat(s)  ${row.folder || row.name}`,
+    );
+  }
+  info(`${rows.length} workspace(s) in ${locate.resolveWorkspaceStorageDir()}`);
+}
+
+async function cmdExport(options) {
+  const glDbPath = resolveGlobalDb(options);
+  const wsDbPath = resolveWorkspaceDb(options);
+  if (!wsDbPath) {
+    throw new UsageError("export needs --workspace-db or --workspace");
+  }
+
+  const chats = await readWorkspaceChats(wsDbPath, glDbPath);
+  let ids = chats.map((c) => c.composerId).filter(Boolean);
+  if (options.chat.length > 0) {
+    const known = new Set(ids);
+    const missing = options.chat.filter((id) => !known.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Chat(s) not found in workspace: ${missing.join(", ")}`);
+    }
+    ids = options.chat;
+  }
+  if (ids.length === 0) throw new Error("No chats to export.");
+  const passphrase = readPassphrase(options);
+
+  // Chats are streamed from the DB to the output in batches
+  const writer =
+    !options.output || options.output === "-"
+      ? createExportStreamWriter(process.stdout, {
+          gzip: !!options.gzip,
+          end: false,
+          passphrase,
+        })
+      : createExportFileWriter(path.resolve(options.output), { passphrase });
+  let debugInfo;
+  try {
+    debugInfo = await streamExport(
+      { fsPath: wsDbPath },
+      { fsPath: glDbPath },
+      ids,
+      writer,
+    );
+    await writer.close();
+  } catch (err) {
+    writer.abort();
+    throw err;
+  }
+  info(`Exported ${debugInfo.totalComposers} chat(s).`);
+}
+
+async function cmdImport(args, options) {
+  if (!args[0]) throw new UsageError("import needs an export file");
+  const filePath = requireFile(args[0], "Export file");
+  const passphrase = readPassphrase(options);
+  const headers = await readExportHeaders(filePath, { passphrase });
+  if (headers.length === 0) {
+    throw new Error("The export file contains no chats.");
+  }
+  if (options.chat.length > 0) {
+    const known = new Set(headers.map((c) => c.composerId));
+    const missing = options.chat.filter((id) => !known.has(id));
+    if (missing.length > 0) {
+      throw new Error(
+        `Chat(s) not found in export file: ${missing.join(", ")}`,
+      );
+    }
+  }
+  const onExisting = options.existing || "skip";
+  if (!ON_EXISTING.includes(onExisting)) {
+    throw new UsageError(`--existing must be one of ${ON_EXISTING.join(", ")}`);
+  }
+  const glDbPath = resolveGlobalDb(options);
+  const wsDbPath = resolveWorkspaceDb(options);
+  if (!wsDbPath) {
+    throw new UsageError("import needs --workspace-db or --workspace");
+  }
+
+  // Ctrl+C while chat data is being written rolls the import back cleanly
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.once("SIGINT", onInterrupt);
+  let result;
+  try {
+    result = await importFromFile(
+      filePath,
+      { fsPath: wsDbPath },
+      { fsPath: glDbPath },
+      {
+        onProgress: options.verbose ? info : undefined,
+        signal: controller.signal,
+        passphrase,
+        composerIds: options.chat.length > 0 ? options.chat : undefined,
+        onExisting,
+      },
+    );
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+  }
+  const { inserted, verification, allComposers } = result;
+  info(
+    `Imported ${allComposers.length} chat(s): ${inserted} KV entries inserted, ${verification.totalComposers} chats listed in the workspace.`,
+  );
+  if (options.verbose) {
+    info(
+      `Schema stage: ${result.sourceSchemaStage === null ? "unknown" : result.sourceSchemaStage} in the export, ${result.schemaStage} in the target workspace.`,
+    );
+  }
+  if (result.replacedChats > 0) {
+    info(`Replaced ${result.replacedChats} chat(s) imported before.`);
+  }
+  if (result.mergedChats > 0) {
+    info(
+      `Merged new messages into ${result.mergedChats} chat(s) imported before.`,
+    );
+  }
+  if (result.skippedChats > 0) {
+    info(
+      onExisting === "merge"
+        ? `Skipped ${result.skippedChats} chat(s) imported by an older version, which cannot be merged (use --existing replace or duplicate to import them again).`
+        : `Skipped ${result.skippedChats} chat(s) imported before (use --existing replace, duplicate or merge to import them again).`,
+    );
+  }
+}
+
+async function cmdBackup(options) {
+  if (!options.folder) throw new UsageError("backup needs --folder");
+  const keep = options.keep === undefined ? 7 : Number(options.keep);
+  if (!Number.isInteger(keep) || keep < 1) {
+    throw new UsageError("--keep must be a positive integer");
+  }
+  const glDbPath = resolveGlobalDb(options);
+  const wsDbPath = resolveWorkspaceDb(options);
+  const workspaces = wsDbPath
+    ? listWorkspaces().filter((w) => w.path === wsDbPath)
+    : listWorkspaces();
+  if (wsDbPath && workspaces.length === 0) {
+    workspaces.push({
+      path: wsDbPath,
+      hash: path.basename(path.dirname(wsDbPath)),
+      name: path.basename(path.dirname(wsDbPath)),
+    });
+  }
+  await runScheduledBackup({
+    folder: path.resolve(options.folder),
+    glDbPath,
+    workspaces,
+    keep,
+    log: info,
+  });
+}
+
+async function cmdSync(options) {
+  if (!options.folder) throw new UsageError("sync needs --folder");
+  if (options.prefer !== undefined && !SYNC_PREFER.includes(options.prefer)) {
+    throw new UsageError(`--prefer must be ${SYNC_PREFER.join(" or ")}`);
+  }
+  const glDbPath = resolveGlobalDb(options);
+  const wsDbPath = resolveWorkspaceDb(options);
+  const workspaces = wsDbPath
+    ? listWorkspaces().filter((w) => w.path === wsDbPath)
+    : listWorkspaces();
+  const result = await runSync({
+    folder: path.resolve(options.folder),
+    glDbPath,
+    workspaces,
+    prefer: options.prefer,
+    log: info,
+  });
+  if (result.conflicts.length > 0) {
+    info(
+      `${result.conflicts.length} chat(s) changed on both sides; run again with --prefer local or --prefer remote to settle them.`,
+    );
+  }
+  if (result.unmatched.length > 0) {
+    info(
+      `${result.unmatched.length} chat(s) belong to workspaces not on this machine; open their folders in Cursor once and sync again.`,
+    );
+  }
+}
+
+async function cmdDoctor(options) {
+  const glDbPath = resolveGlobalDb(options);
+  const wsDbPath = resolveWorkspaceDb(options);
+  if (!wsDbPath) {
+    throw new UsageError("doctor needs --workspace or --workspace-db");
+  }
+  const kinds = PROBLEMS.map((p) => p.kind);
+  let toFix = [];
+  if (options.fix !== undefined) {
+    // Fixes that need the user's agreement are only run when named
+    toFix =
+      options.fix === "all"
+        ? PROBLEMS.filter((p) => !p.confirm).map((p) => p.kind)
+        : options.fix.split(",").map((k) => k.trim());
+    const unknown = toFix.filter((k) => !kinds.includes(k));
+    if (unknown.length > 0) {
+      throw new UsageError(
+        `Unknown problem class: ${unknown.join(", ")} (use ${kinds.join(", ")} or all)`,
+      );
+    }
+  }
+
+  let report = await diagnose({ wsDbPath, glDbPath });
+  formatReport(report).forEach((line) => print(line));
+  if (options.fix === "all") {
+    for (const problem of report.problems.filter((p) => p.confirm)) {
+      info(
+        `Not fixed: ${problem.title.toLowerCase()}. ${problem.confirm} Run with --fix ${problem.kind} to list them.`,
+      );
+    }
+  }
+  // Fixes run in report order; each one starts from a fresh diagnosis, as
+  // restoring a backup changes everything after it
+  for (const kind of kinds) {
+    if (!toFix.includes(kind)) continue;
+    const problem = report.problems.find((p) => p.kind === kind);
+    if (!problem) continue;
+    // eslint-disable-next-line no-await-in-loop
+    const { fixed } = await applyFix(report, kind);
+    info(`Fixed ${fixed} ${problem.unit}(s): ${problem.fix.toLowerCase()}.`);
+    // eslint-disable-next-line no-await-in-loop
+    report = await diagnose({ wsDbPath, glDbPath });
+  }
+  if (toFix.length > 0) {
+    print();
+    formatReport(report).forEach((line) => print(line));
+  }
+  return report.problems.length > 0 ? 1 : 0;
+}
+
+async function main(argv) {
+  const { command, args, options } = parseArgs(argv);
+  if (options.help || !command) {
+    print(USAGE);
+    return 0;
+  }
+  if (options.storage) {
+    // resolveWorkspaceStorageDir() honours WORKSPACE_PATH first
+    process.env.WORKSPACE_PATH = path.resolve(options.storage);
+  }
+  if (options.engine && !["auto", "cli", "builtin"].includes(options.engine)) {
+    throw new UsageError("--engine must be auto, cli or builtin");
+  }
+  configureSqlite({ engine: options.engine, cliPath: options.sqlite3 });
+  await initSqlite();
+  // The transfer modules log their progress with console.log; keep stdout
+  // clean for `export` to a pipe.
+  if (options.verbose) {
+    console.log = console.error;
+  } else {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  let code = 0;
+  try {
+    switch (command) {
+      case "list":
+        await cmdList(options);
+        break;
+      case "export":
+        await cmdExport(options);
+        break;
+      case "import":
+        await cmdImport(args, options);
+        break;
+      case "backup":
+        await cmdBackup(options);
+        break;
+      case "sync":
+        await cmdSync(options);
+        break;
+      case "doctor":
+        code = await cmdDoctor(options);
+        break;
+      default:
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+  } finally {
+    // End the long-lived sqlite3 processes, or node would keep running
+    await closeSqlite();
+  }
+  return code;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    info(`Error: ${err.message || String(err)}`);
+    if (err instanceof UsageError) info(`\n${USAGE}`);
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+  },
+);
@@ -8,7 +8,25 @@ const fs = require("fs");
 const pathsMod = require("./lib/paths");
 const dbMod = require("./lib/db");
 const transferMod = require("./lib/transfer");
+const markdownMod = require("./lib/markdown");
+const htmlMod = require("./lib/html");
+const searchMod = require("./lib/search");
+const autoBackupMod = require("./lib/autoBackup");
+const syncMod = require("./lib/sync");
+const doctorMod = require("./lib/doctor");
+const exportFileMod = require("./lib/exportFile");
+const secretsMod = require("./lib/secrets");
 let output;
+let autoBackupTimer;
+let autoBackupRunning = false;
+// Failed backup runs in a row, and when the last one failed; the folder's
+// state file only records successful runs
+let autoBackupFailures = 0;
+let autoBackupLastFailure = 0;
+// Longest delay setTimeout accepts (2^31 - 1 ms, about 24.8 days)
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+// First retry after a failed backup; it doubles with every further failure
+const AUTO_BACKUP_RETRY_MS = 15 * 60 * 1000;
 
 /**
  * Utility: find default Cursor user data dir by platform.
@@ -41,13 +59,341 @@ function toUriIfExists(filePath) {
   return undefined;
 }
 
+/**
+ * List a workspace's chats and let the user pick all of them or a subset.
+ * `verb` names the action in the pickers ("export", "move", ...).
+ * Returns the chosen composer headers, or undefined when cancelled / empty.
+ */
+async function pickComposers(wsUri, glUri, title, verb = "export") {
+  const wsDb = await dbMod.openSqliteReadOnly(wsUri.fsPath);
+  let allComposers;
+  try {
+    allComposers = await transferMod.listWorkspaceComposers(wsDb, glUri);
+  } finally {
+    wsDb.closeReadOnly();
+  }
+  if (!allComposers) {
+    vscode.window.showWarningMessage(
+      "No composer data found in workspace or global DB.",
+    );
+    return undefined;
+  }
+  return chooseComposers(allComposers, title, verb, async (composers) =>
+    composers.map((c) => {
+      const label = c.name || c.composerId || "Untitled";
+      const description = c.subtitle || "";
+      const detail = c.unifiedMode
+        ? `Mode: ${c.unifiedMode} • Updated: ${c.lastUpdatedAt || ""}`
+        : "";
+      return { label, description, detail, picked: true, composer: c };
+    }),
+  );
+}
+
+/**
+ * Let the user take all of `composers` or pick a subset. `makeItems`
+ * builds the quick pick items ({ ..., composer }) for the subset picker and
+ * is only called when the user chooses to select.
+ * Returns the chosen headers, or undefined when cancelled.
+ */
+async function chooseComposers(composers, title, verb, makeItems) {
+  const selectionMode = await vscode.window.showQuickPick(
+    [
+      {
+        label: `${verb[0].toUpperCase()}${verb.slice(1)} all chats`,
+        value: "all",
+      },
+      { label: "Select chats…", value: "select" },
+    ],
+    { title },
+  );
+  if (!selectionMode) {
+    return undefined;
+  }
+  if (selectionMode.value !== "select") return composers;
+  const items = await makeItems(composers);
+  const picked = await vscode.window.showQuickPick(items, {
+    canPickMany: true,
+    title: `Select chats to ${verb}`,
+  });
+  if (!picked) {
+    return undefined;
+  }
+  return picked.map((p) => p.composer);
+}
+
+/**
+ * Per-chat summaries of an export file (see readExportChatSummaries), read
+ * with a progress notification since the whole file has to be read.
+ */
+function readImportSummaries(filePath, passphrase) {
+  return vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Reading export file...",
+    },
+    () => exportFileMod.readExportChatSummaries(filePath, { passphrase }),
+  );
+}
+
+/**
+ * Quick pick items for the chats of an export file, with their mode, dates,
+ * message count and size.
+ */
+function importPickItems(summaries) {
+  const date = (ms) => (ms ? new Date(ms).toLocaleString() : "unknown");
+  return summaries.map(({ header, bubbles, bytes }) => ({
+    label: header.name || header.composerId || "Untitled",
+    description: header.subtitle || "",
+    detail: [
+      `Mode: ${header.unifiedMode || header.forceMode || "chat"}`,
+      `Created: ${date(header.createdAt)}`,
+      `Updated: ${date(header.lastUpdatedAt)}`,
+      `${bubbles} message(s)`,
+      dbMod.formatBytes(bytes),
+    ].join(" • "),
+    picked: true,
+    composer: header,
+  }));
+}
+
+/**
+ * When some of the chosen chats were imported into the target workspace
+ * before, ask whether to skip them, replace the earlier copies, import
+ * duplicates or merge their new messages into the earlier copies (offered
+ * when at least one copy can be merged). `getSummaries()` gives the file's
+ * chat summaries, whose fingerprints tell which of them changed since.
+ * Returns the choice for importFromFile's onExisting, or undefined when
+ * cancelled.
+ */
+async function askOnExisting(wsUri, glUri, chosen, getSummaries) {
+  const imported = await transferMod.findImportedChats(wsUri, glUri);
+  const again = chosen.filter((c) => imported.has(c.composerId));
+  if (again.length === 0) return "skip";
+  const fingerprints = new Map(
+    (await getSummaries()).map((s) => [s.header.composerId, s.fingerprint]),
+  );
+  const changed = again.filter(
+    (c) =>
+      fingerprints.get(c.composerId) !== imported.get(c.composerId).fingerprint,
+  ).length;
+  const state =
+    changed > 0
+      ? `${changed} of them changed since`
+      : "none of them changed since";
+  const mergeable = again.some((c) => imported.get(c.composerId).mergeable);
+  const choice = await vscode.window.showWarningMessage(
+    `${again.length} of the selected chats were imported into this workspace before (${state}). What should happen to them?`,
+    { modal: true },
+    ...(mergeable ? ["Merge New Messages"] : []),
+    "Skip Them",
+    "Replace Earlier Copies",
+    "Import as Duplicates",
+  );
+  if (choice === "Merge New Messages") return "merge";
+  if (choice === "Skip Them") return "skip";
+  if (choice === "Replace Earlier Copies") return "replace";
+  if (choice === "Import as Duplicates") return "duplicate";
+  return undefined;
+}
+
+const EXPORT_FILTERS = {
+  "Cursor Chat Export": ["cursor-chat.json"],
+  "Compressed Cursor Chat Export": ["cursor-chat.json.gz"],
+};
+const ENCRYPTED_EXPORT_FILTERS = {
+  "Encrypted Cursor Chat Export": ["cursor-chat.enc"],
+};
+
+/**
+ * Ask where to save an export. The suggested name ends in .gz when
+ * cursorChatTransfer.export.compress is on; the file is compressed whenever
+ * the chosen name does. Encrypted exports get a .cursor-chat.enc name.
+ * Returns the Uri, or undefined when cancelled.
+ */
+async function askExportDestination(baseName, { encrypted = false } = {}) {
+  const compress = vscode.workspace
+    .getConfiguration("cursorChatTransfer")
+    .get("export.compress", false);
+  let ext = compress ? "cursor-chat.json.gz" : "cursor-chat.json";
+  if (encrypted) ext = "cursor-chat.enc";
+  return vscode.window.showSaveDialog({
+    title: encrypted
+      ? "Save encrypted Cursor chats"
+      : "Save exported Cursor chats",
+    filters: encrypted ? ENCRYPTED_EXPORT_FILTERS : EXPORT_FILTERS,
+    saveLabel: "Save Export",
+    defaultUri: vscode.Uri.file(path.join(os.homedir(), `${baseName}.${ext}`)),
+  });
+}
+
+/**
+ * Ask for the optional export modes: encryption (then for a passphrase,
+ * entered twice) and anonymizing. Returns { passphrase, anonymize }, with ""
+ * as the passphrase of an unencrypted export, or undefined when cancelled.
+ */
+async function askExportOptions() {
+  const picked = await vscode.window.showQuickPick(
+    [
+      {
+        label: "Encrypt with passphrase",
+        description: "The passphrase is needed to import the file",
+        value: "encrypt",
+      },
+      {
+        label: "Anonymize",
+        description:
+          "Replace the workspace folder, home folder, user and host names with placeholders",
+        value: "anonymize",
+      },
+    ],
+    {
+      title: "Export options (pick none for a plain export)",
+      canPickMany: true,
+    },
+  );
+  if (!picked) return undefined;
+  const chosen = new Set(picked.map((p) => p.value));
+  const anonymize = chosen.has("anonymize");
+  if (!chosen.has("encrypt")) return { passphrase: "", anonymize };
+  const passphrase = await vscode.window.showInputBox({
+    title: "Export passphrase",
+    prompt:
+      "Passphrase for the export file. It cannot be recovered if you forget it.",
+    password: true,
+    ignoreFocusOut: true,
+    validateInput: (v) =>
+      v && v.length >= 8 ? undefined : "Use at least 8 characters",
+  });
+  if (!passphrase) return undefined;
+  const confirmed = await vscode.window.showInputBox({
+    title: "Export passphrase",
+    prompt: "Enter the passphrase again",
+    password: true,
+    ignoreFocusOut: true,
+    validateInput: (v) =>
+      v === passphrase ? undefined : "The passphrases do not match",
+  });
+  if (confirmed !== passphrase) return undefined;
+  return { passphrase, anonymize };
+}
+
+/**
+ * Scan the chats about to be exported for likely secrets. When some are
+ * found, the report (grouped by chat) goes to the output channel and the
+ * user chooses to redact them, drop the affected chats or export anyway.
+ * Returns { ids, redactSecrets } for the export, or undefined when cancelled.
+ */
+async function reviewExportSecrets(wsUri, glUri, composerIds) {
+  const report = await transferMod.scanExportForSecrets(
+    wsUri,
+    glUri,
+    composerIds,
+  );
+  if (report.length === 0) return { ids: composerIds, redactSecrets: false };
+
+  if (!output)
+    output = vscode.window.createOutputChannel("Cursor Chat Transfer");
+  output.appendLine(
+    `\n[secrets] Possible secrets in ${report.length} of ${composerIds.length} chat(s) selected for export:`,
+  );
+  for (const line of secretsMod.formatSecretReport(report)) {
+    output.appendLine(line);
+  }
+  output.show(true);
+
+  const total = report.reduce((n, chat) => n + chat.findings.length, 0);
+  const choice = await vscode.window.showWarningMessage(
+    `Found ${total} possible secret(s) in ${report.length} chat(s); see the Cursor Chat Transfer output for the list. How should the export handle them?`,
+    { modal: true },
+    "Redact Secrets",
+    "Drop Affected Chats",
+    "Export Anyway",
+  );
+  if (choice === "Redact Secrets") {
+    return { ids: composerIds, redactSecrets: true };
+  }
+  if (choice === "Drop Affected Chats") {
+    const affected = new Set(report.map((chat) => chat.composerId));
+    return {
+      ids: composerIds.filter((id) => !affected.has(id)),
+      redactSecrets: false,
+    };
+  }
+  if (choice === "Export Anyway") {
+    return { ids: composerIds, redactSecrets: false };
+  }
+  return undefined;
+}
+
+/**
+ * Read the chat headers of an export file, asking for its passphrase first
+ * when it is encrypted (and again after a wrong one). Returns
+ * { headers, passphrase }, or undefined when the user cancelled.
+ */
+async function readExportHeadersForImport(filePath) {
+  if (!exportFileMod.isEncryptedExport(filePath)) {
+    return { headers: await exportFileMod.readExportHeaders(filePath) };
+  }
+  let prompt = "This export is encrypted. Enter its passphrase.";
+  for (;;) {
+    const passphrase = await vscode.window.showInputBox({
+      title: "Encrypted chat export",
+      prompt,
+      password: true,
+      ignoreFocusOut: true,
+    });
+    if (!passphrase) return undefined;
+    try {
+      const headers = await exportFileMod.readExportHeaders(filePath, {
+        passphrase,
+      });
+      return { headers, passphrase };
+    } catch (err) {
+      if (!err || err.code !== "WRONG_PASSPHRASE") throw err;
+      prompt = "Wrong passphrase. Try again.";
+    }
+  }
+}
+
+/**
+ * Ask for a destination and write an export object as .cursor-chat.json.
+ * Returns the saved Uri, or undefined when the user cancelled.
+ */
+async function saveExportObject(exportObj, baseName) {
+  const saveUri = await askExportDestination(baseName);
+  if (!saveUri) return undefined;
+  await exportFileMod.writeExportObject(saveUri.fsPath, exportObj);
+  return saveUri;
+}
+
+/**
+ * Log how long reading the chats of an export took (debugInfo from
+ * buildExportObject).
+ */
+function logExportTiming(label, debugInfo) {
+  if (!output)
+    output = vscode.window.createOutputChannel("Cursor Chat Transfer");
+  const seconds = ((debugInfo.elapsedMs || 0) / 1000).toFixed(2);
+  output.appendLine(
+    `[export] ${label}: read ${debugInfo.totalComposers} chat(s) and ${debugInfo.bubbleCount} message(s) in ${seconds}s`,
+  );
+}
+
 /**
  * Export command:
  * - user picks workspace state.vscdb and global state.vscdb
  * - read composer.composerData -> collect allComposers and ids
  * - for each id, read cursorDiskKV value: composerData:<id>
- * - save JSON file with structure:
- *   { allComposers: [...], composers: { [id]: "<json string as stored>" } }
+ * - collect the composer.content.<sha> payloads and agentKv:* state those chats reference
+ * - scan chat data and messages for likely secrets first; the user can redact
+ *   them, drop the affected chats or export anyway
+ * - optionally anonymize paths and machine identity (see anonymize.js) and
+ *   encrypt the file with a passphrase (AES-256-GCM, see exportCrypto.js)
+ * - stream a JSON file (gzip-compressed for .gz names) with structure:
+ *   { allComposers: [...], composers: { [id]: "<json string as stored>" },
+ *     bubbles: { [id]: [...] }, contents: { [sha]: "<payload>" },
+ *     agentKv: { [id]: [{ key, value }] } }
  */
 async function doExport() {
   try {
@@ -66,90 +412,53 @@ async function doExport() {
       },
       async (progress) => {
         progress.report({ message: "Reading workspace database..." });
-        const wsDb = await dbMod.openSqliteReadOnly(wsUri.fsPath);
-        let composerData = await dbMod.readItemTableComposer(wsDb);
-        let workspaceComposerIds = null;
-        if (composerData && Array.isArray(composerData.selectedComposerIds)) {
-          workspaceComposerIds = new Set(composerData.selectedComposerIds);
-        }
-        if (!composerData || !Array.isArray(composerData.allComposers)) {
-          composerData = await dbMod.readComposerHeaders(glUri.fsPath);
-        }
-        if (!composerData || !Array.isArray(composerData.allComposers)) {
+        const allComposers = await pickComposers(
+          wsUri,
+          glUri,
+          "Choose chats to export",
+        );
+        if (!allComposers) return;
+
+        // Nothing is written until the user has seen any secrets found
+        progress.report({ message: "Scanning chats for secrets..." });
+        const reviewed = await reviewExportSecrets(
+          wsUri,
+          glUri,
+          allComposers.map((c) => c.composerId).filter(Boolean),
+        );
+        if (!reviewed) return;
+        const { ids: selectedIds, redactSecrets } = reviewed;
+        if (selectedIds.length === 0) {
           vscode.window.showWarningMessage(
-            "No composer data found in workspace or global DB.",
+            "No chats left to export after dropping the affected ones.",
           );
-          wsDb.closeReadOnly();
           return;
         }
-        let allComposers = composerData.allComposers;
-        if (workspaceComposerIds && workspaceComposerIds.size > 0) {
-          allComposers = allComposers.filter(
-            (c) => c && workspaceComposerIds.has(c.composerId),
-          );
-        }
-        wsDb.closeReadOnly();
 
-        // Optional selection step
-        const selectionMode = await vscode.window.showQuickPick(
-          [
-            { label: "Export all chats", value: "all" },
-            { label: "Select chats…", value: "select" },
-          ],
-          { title: "Choose chats to export" },
-        );
-        if (!selectionMode) {
-          return;
-        }
-        if (selectionMode.value === "select") {
-          const items = allComposers.map((c) => {
-            const label = c.name || c.composerId || "Untitled";
-            const description = c.subtitle || "";
-            const detail = c.unifiedMode
-              ? `Mode: ${c.unifiedMode} • Updated: ${c.lastUpdatedAt || ""}`
-              : "";
-            return { label, description, detail, picked: true, composer: c };
-          });
-          const picked = await vscode.window.showQuickPick(items, {
-            canPickMany: true,
-            title: "Select chats to export",
-          });
-          if (!picked) {
-            return;
-          }
-          allComposers = picked.map((p) => p.composer);
-        }
+        const exportOptions = await askExportOptions();
+        if (!exportOptions) return;
+        const { passphrase, anonymize } = exportOptions;
 
-        const selectedIds = allComposers
-          .map((c) => c.composerId)
-          .filter(Boolean);
-
-        progress.report({ message: "Building export object..." });
-        const {
-          allComposers: finalComposers,
-          composers,
-          bubbles,
-        } = await transferMod.buildExportObject(wsUri, glUri, selectedIds);
-
-        const exportObj = { allComposers: finalComposers, composers, bubbles };
-
-        progress.report({ message: "Saving to file..." });
-        const saveUri = await vscode.window.showSaveDialog({
-          title: "Save exported Cursor chats",
-          filters: { "Cursor Chat Export": ["cursor-chat.json"] },
-          saveLabel: "Save Export",
-          defaultUri: vscode.Uri.file(
-            path.join(os.homedir(), "cursor-chat-export.cursor-chat.json"),
-          ),
+        const saveUri = await askExportDestination("cursor-chat-export", {
+          encrypted: !!passphrase,
         });
         if (!saveUri) return;
-        fs.writeFileSync(
+
+        // Chats go from the DB to the file in batches, never all in memory
+        progress.report({ message: "Reading chats..." });
+        const debugInfo = await transferMod.exportToFile(
+          wsUri,
+          glUri,
+          selectedIds,
           saveUri.fsPath,
-          JSON.stringify(exportObj, null, 2),
-          "utf8",
+          (message) => progress.report({ message }),
+          { passphrase, redactSecrets, anonymize },
         );
+        logExportTiming("JSON export", debugInfo);
         vscode.window.showInformationMessage(
-          "Cursor chats exported successfully.",
+          passphrase
+            ? "Cursor chats exported and encrypted successfully."
+            : "Cursor chats exported successfully.",
         );
       },
     );
@@ -162,12 +471,166 @@ async function doExport() {
   }
 }
 
+/**
+ * Export as Markdown command:
+ * - user picks workspace/global DBs and chats, like the JSON export
+ * - reads chats through buildExportObject
+ * - writes one <chat name>-<id>.md file per chat into a chosen folder
+ */
+async function doExportMarkdown() {
+  try {
+    const wsUri = await pathsMod.quickPickWorkspaceDbOrBrowse();
+    if (!wsUri) return;
+    const glUri = await pathsMod.quickPickGlobalDbOrBrowse(
+      pathsMod.getDefaultCursorUserDir,
+    );
+    if (!glUri) return;
+
+    const chosen = await pickComposers(
+      wsUri,
+      glUri,
+      "Choose chats to export as Markdown",
+    );
+    if (!chosen) return;
+
+    const folder = await vscode.window.showOpenDialog({
+      canSelectFiles: false,
+      canSelectFolders: true,
+      canSelectMany: false,
+      title: "Select a folder for the Markdown files",
+      openLabel: "Export Here",
+      defaultUri: vscode.Uri.file(os.homedir()),
+    });
+    if (!folder || !folder[0]) return;
+
+    const written = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Exporting chats as Markdown...",
+        cancellable: false,
+      },
+      async (progress) => {
+        progress.report({ message: "Reading chats..." });
+        const selectedIds = chosen.map((c) => c.composerId).filter(Boolean);
+        const { allComposers, composers, bubbles, debugInfo } =
+          await transferMod.buildExportObject(wsUri, glUri, selectedIds);
+        logExportTiming("Markdown export", debugInfo);
+
+        progress.report({ message: "Writing Markdown files..." });
+        const files = [];
+        for (const header of allComposers) {
+          const id = header.composerId;
+          const markdown = markdownMod.renderComposerMarkdown(
+            header,
+            composers[id],
+            bubbles[id],
+          );
+          const filePath = path.join(
+            folder[0].fsPath,
+            markdownMod.markdownFileName(header),
+          );
+          fs.writeFileSync(filePath, markdown, "utf8");
+          files.push(filePath);
+        }
+        return files;
+      },
+    );
+    vscode.window.showInformationMessage(
+      `Exported ${written.length} chat(s) as Markdown to ${folder[0].fsPath}.`,
+    );
+  } catch (err) {
+    console.error(err);
+
+    let errorMessage = `Markdown export failed: ${err.message || String(err)}`;
+
+    vscode.window.showErrorMessage(errorMessage);
+  }
+}
+
+/**
+ * Export as HTML archive command:
+ * - user picks workspace/global DBs and chats, like the JSON export
+ * - renders them into one self-contained, offline HTML file
+ */
+async function doExportHtml() {
+  try {
+    const wsUri = await pathsMod.quickPickWorkspaceDbOrBrowse();
+    if (!wsUri) return;
+    const glUri = await pathsMod.quickPickGlobalDbOrBrowse(
+      pathsMod.getDefaultCursorUserDir,
+    );
+    if (!glUri) return;
+
+    const chosen = await pickComposers(
+      wsUri,
+      glUri,
+      "Choose chats for the HTML archive",
+    );
+    if (!chosen) return;
+
+    const wsName =
+      pathsMod.tryGetWorkspaceName(path.basename(path.dirname(wsUri.fsPath))) ||
+      "cursor-chat";
+    const saveUri = await vscode.window.showSaveDialog({
+      title: "Save Cursor chat archive",
+      filters: { "HTML Archive": ["html"] },
+      saveLabel: "Save Archive",
+      defaultUri: vscode.Uri.file(
+        path.join(os.homedir(), `${wsName}-chats.html`),
+      ),
+    });
+    if (!saveUri) return;
+
+    await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Exporting chats as HTML...",
+        cancellable: false,
+      },
+      async (progress) => {
+        progress.report({ message: "Reading chats..." });
+        const selectedIds = chosen.map((c) => c.composerId).filter(Boolean);
+        const exportObj = await transferMod.buildExportObject(
+          wsUri,
+          glUri,
+          selectedIds,
+        );
+        logExportTiming("HTML export", exportObj.debugInfo);
+
+        progress.report({ message: "Rendering archive..." });
+        const html = htmlMod.renderArchiveHtml(
+          exportObj,
+          `${wsName} — Cursor chats`,
+        );
+        fs.writeFileSync(saveUri.fsPath, html, "utf8");
+      },
+    );
+    vscode.window.showInformationMessage(
+      `Chat archive saved to ${saveUri.fsPath}.`,
+    );
+  } catch (err) {
+    console.error(err);
+
+    let errorMessage = `HTML export failed: ${err.message || String(err)}`;
+
+    vscode.window.showErrorMessage(errorMessage);
+  }
+}
+
 /**
  * Import command:
- * - user picks export file
+ * - user picks export file (.cursor-chat.json, .cursor-chat.json.gz or .cursor-chat.enc)
+ * - encrypted files: user enters the passphrase, asked again when it is wrong
+ * - user imports all chats of the file or selects some (shown with mode,
+ *   dates, message count and size)
  * - user picks target workspace state.vscdb and global state.vscdb
+ * - chats imported into that workspace before (recognized by their original
+ *   composerId) are skipped, replace the earlier copies or are duplicated, as
+ *   the user chooses
+ * - the file is streamed: chats are cloned with new IDs as they are read and
+ *   inserted into cursorDiskKV if missing (skip if exists); placeholders of
+ *   anonymized exports are expanded for the target workspace folder
  * - read existing composer.composerData, merge allComposers (by composerId), write back
- * - for each composer value, insert into cursorDiskKV if missing (skip if exists)
  */
 async function doImport() {
   try {
@@ -177,17 +640,36 @@ async function doImport() {
       canSelectMany: false,
       title: "Select exported Cursor chats (.cursor-chat.json)",
       openLabel: "Select Export",
-      filters: { "Cursor Chat Export": ["cursor-chat.json"], JSON: ["json"] },
+      filters: {
+        "Cursor Chat Export": ["cursor-chat.json", "gz", "enc"],
+        JSON: ["json"],
+      },
     });
     if (!exported || !exported[0]) return;
-    const text = fs.readFileSync(exported[0].fsPath, "utf8");
-    const obj = JSON.parse(text);
-    if (
-      !obj ||
-      !Array.isArray(obj.allComposers) ||
-      typeof obj.composers !== "object"
-    ) {
-      vscode.window.showErrorMessage("Invalid export file format.");
+    const filePath = exported[0].fsPath;
+    // Check the file (and passphrase) before asking for the target; only the
+    // headers are read
+    const checked = await readExportHeadersForImport(filePath);
+    if (!checked) return;
+    const { headers, passphrase } = checked;
+    if (headers.length === 0) {
+      vscode.window.showWarningMessage("The export file contains no chats.");
+      return;
+    }
+    // Read the whole file once, and only when the counts are needed
+    let summaries;
+    const getSummaries = async () =>
+      summaries ||
+      (summaries = await readImportSummaries(filePath, passphrase));
+    const chosen = await chooseComposers(
+      headers,
+      `Import chats from ${path.basename(filePath)}`,
+      "import",
+      async () => importPickItems(await getSummaries()),
+    );
+    if (!chosen) return;
+    if (chosen.length === 0) {
+      vscode.window.showWarningMessage("No chats selected.");
       return;
     }
 
@@ -197,18 +679,18 @@ async function doImport() {
       pathsMod.getDefaultCursorUserDir,
     );
     if (!glUri) return;
+    const onExisting = await askOnExisting(wsUri, glUri, chosen, getSummaries);
+    if (!onExisting) return;
 
     await vscode.window.withProgress(
       {
         location: vscode.ProgressLocation.Notification,
         title: "Importing chats...",
-        cancellable: false,
+        cancellable: true,
       },
-      async (progress) => {
-        progress.report({ message: "Cloning chats with new IDs..." });
-
-        // Clone the imported data with new IDs to avoid conflicts
-        const { cloned } = transferMod.cloneExportObjectForCopy(obj);
+      async (progress, token) => {
+        const controller = new AbortController();
+        token.onCancellationRequested(() => controller.abort());
 
         if (!output)
           output = vscode.window.createOutputChannel("Cursor Chat Transfer");
@@ -217,13 +699,46 @@ async function doImport() {
           `Import from file started at ${new Date().toISOString()}`,
         );
         output.appendLine(`${"=".repeat(50)}`);
-        output.appendLine(
-          `Cloned ${cloned.allComposers.length} composers with new IDs`,
-        );
 
+        // Chats are cloned with new IDs while the file is streamed in
         progress.report({ message: "Creating backups and importing..." });
-        const result = await transferMod.importFromObject(cloned, wsUri, glUri);
-        const { inserted, verification } = result;
+        const result = await transferMod.importFromFile(
+          filePath,
+          wsUri,
+          glUri,
+          {
+            onProgress: (message) => progress.report({ message }),
+            signal: controller.signal,
+            passphrase,
+            composerIds:
+              chosen.length < headers.length
+                ? chosen.map((c) => c.composerId)
+                : undefined,
+            onExisting,
+          },
+        );
+        const { inserted, verification, allComposers } = result;
+        output.appendLine(
+          `Schema stage: ${result.sourceSchemaStage === null ? "unknown" : result.sourceSchemaStage} in the export, ${result.schemaStage} in the target workspace`,
+        );
+        output.appendLine(
+          `Cloned ${allComposers.length} composers with new IDs`,
+        );
+        if (result.replacedChats > 0) {
+          output.appendLine(
+            `Replaced ${result.replacedChats} chats imported before`,
+          );
+        }
+        if (result.mergedChats > 0) {
+          output.appendLine(
+            `Merged new messages into ${result.mergedChats} chats imported before`,
+          );
+        }
+        if (result.skippedChats > 0) {
+          output.appendLine(
+            `Skipped ${result.skippedChats} chats imported before`,
+          );
+        }
 
         // Verification info is already included in the result, no need to reopen DB
         output.appendLine(
@@ -235,12 +750,26 @@ async function doImport() {
         output.appendLine(`${"=".repeat(50)}\n`);
         output.show(true);
 
-        const msg = `Import complete. ${cloned.allComposers.length} chats imported. Reload Cursor to see changes.`;
+        const mergedNote =
+          result.mergedChats > 0
+            ? ` ${result.mergedChats} chats were merged into their earlier copies.`
+            : "";
+        const skippedNote =
+          result.skippedChats > 0
+            ? ` ${result.skippedChats} chats were already there and skipped.`
+            : "";
+        const msg = `Import complete. ${allComposers.length} chats imported.${mergedNote}${skippedNote} Reload Cursor to see changes.`;
         vscode.window.showInformationMessage(msg);
       },
     );
   } catch (err) {
     console.error(err);
+    if (err && err.message === "Cancelled") {
+      vscode.window.showInformationMessage(
+        "Import cancelled. No changes were made.",
+      );
+      return;
+    }
 
     let errorMessage = `Import failed: ${err.message || String(err)}`;
 
@@ -259,13 +788,80 @@ class ChatTransferTreeItem extends vscode.TreeItem {
   }
 }
 
+class WorkspaceTreeItem extends vscode.TreeItem {
+  constructor(candidate, isCurrent) {
+    const name = pathsMod.tryGetWorkspaceName(candidate.hash) || candidate.hash;
+    super(name, vscode.TreeItemCollapsibleState.Collapsed);
+    const folderPath = pathsMod.tryGetWorkspaceFolderPath(candidate.hash);
+    this.wsUri = vscode.Uri.file(candidate.path);
+    this.isCurrent = isCurrent;
+    this.description = isCurrent
+      ? `(Current) ${folderPath || candidate.hash}`
+      : folderPath || candidate.hash;
+    this.tooltip = `${folderPath || candidate.hash}\n${candidate.path}`;
+    this.contextValue = "workspace";
+    this.iconPath = new vscode.ThemeIcon(
+      isCurrent ? "folder-opened" : "folder",
+    );
+  }
+}
+
+class ChatTreeItem extends vscode.TreeItem {
+  constructor(composer, wsUri, glUri) {
+    super(
+      composer.name || composer.composerId || "Untitled",
+      vscode.TreeItemCollapsibleState.None,
+    );
+    this.composer = composer;
+    this.wsUri = wsUri;
+    this.glUri = glUri;
+    const mode = composer.unifiedMode || composer.forceMode || "chat";
+    const updated = composer.lastUpdatedAt
+      ? new Date(composer.lastUpdatedAt).toLocaleString()
+      : "";
+    this.description = [mode, updated].filter(Boolean).join(" • ");
+    this.tooltip = [
+      composer.name || "Untitled",
+      composer.subtitle,
+      `Mode: ${mode}`,
+      updated && `Updated: ${updated}`,
+      `ID: ${composer.composerId}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+    this.contextValue = "chat";
+    this.iconPath = new vscode.ThemeIcon(
+      mode === "agent" ? "hubot" : "comment-discussion",
+    );
+    this.command = {
+      command: "cursorChatTransfer.previewChat",
+      title: "Preview Chat",
+      arguments: [this],
+    };
+  }
+}
+
 class ChatTransferProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
   getTreeItem(element) {
     return element;
   }
 
-  getChildren() {
-    return [
+  async getChildren(element) {
+    if (element instanceof WorkspaceTreeItem) {
+      return this.getChatItems(element);
+    }
+    if (element) return [];
+
+    const items = [
       new ChatTransferTreeItem(
         "Export Chats",
         "Export chats to a file",
@@ -281,23 +877,1171 @@ class ChatTransferProvider {
         "cloud-download",
       ),
     ];
+    const current = pathsMod.getCurrentWorkspaceStateDbUri();
+    const workspaces = pathsMod
+      .listWorkspaceStateDbs(50)
+      .map(
+        (c) => new WorkspaceTreeItem(c, !!current && current.fsPath === c.path),
+      );
+    // Current workspace first, the rest stay most-recent first
+    workspaces.sort((a, b) => b.isCurrent - a.isCurrent);
+    return items.concat(workspaces);
+  }
+
+  async getChatItems(workspaceItem) {
+    const glUri = pathsMod.toUriIfExists(pathsMod.resolveGlobalStateDbPath());
+    if (!glUri) {
+      return [
+        new ChatTransferTreeItem(
+          "Global state.vscdb not found",
+          "",
+          undefined,
+          "message",
+          "warning",
+        ),
+      ];
+    }
+    try {
+      const wsDb = await dbMod.openSqliteReadOnly(workspaceItem.wsUri.fsPath);
+      let composers;
+      try {
+        composers = await transferMod.listWorkspaceComposers(wsDb, glUri);
+      } finally {
+        wsDb.closeReadOnly();
+      }
+      if (!composers || composers.length === 0) {
+        return [
+          new ChatTransferTreeItem(
+            "No chats",
+            "",
+            undefined,
+            "message",
+            "info",
+          ),
+        ];
+      }
+      return composers
+        .slice()
+        .sort((a, b) => (b.lastUpdatedAt || 0) - (a.lastUpdatedAt || 0))
+        .map((c) => new ChatTreeItem(c, workspaceItem.wsUri, glUri));
+    } catch (err) {
+      console.error(err);
+      return [
+        new ChatTransferTreeItem(
+          "Could not read chats",
+          err.message || String(err),
+          undefined,
+          "message",
+          "error",
+        ),
+      ];
+    }
   }
 }
 
+const PREVIEW_SCHEME = "cursor-chat-preview";
+
 /**
- * @param {vscode.ExtensionContext} context
+ * Read-only documents for chat previews, keyed by preview Uri. A preview
+ * Uri is the same every time a chat is previewed, so setting new content
+ * refreshes a document that is still open; entries are dropped when their
+ * documents close.
  */
-function activate(context) {
-  output = vscode.window.createOutputChannel("Cursor Chat Transfer");
-  const provider = new ChatTransferProvider();
-  vscode.window.registerTreeDataProvider("cursorChatTransfer.view", provider);
-  context.subscriptions.push(
-    vscode.commands.registerCommand("cursorChatTransfer.export", doExport),
-    vscode.commands.registerCommand("cursorChatTransfer.import", doImport),
-  );
+class ChatPreviewContentProvider {
+  constructor() {
+    this.contents = new Map();
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+  }
+
+  provideTextDocumentContent(uri) {
+    return this.contents.get(uri.toString()) || "";
+  }
+
+  setContent(uri, markdown) {
+    this.contents.set(uri.toString(), markdown);
+    this._onDidChange.fire(uri);
+  }
+
+  forget(uri) {
+    this.contents.delete(uri.toString());
+  }
 }
 
-function deactivate() {}
+const previewProvider = new ChatPreviewContentProvider();
+
+/**
+ * Tree context action: open a read-only Markdown preview of one chat.
+ */
+async function doPreviewChat(item) {
+  try {
+    if (!(item instanceof ChatTreeItem)) return;
+    const id = item.composer.composerId;
+    const { allComposers, composers, bubbles } =
+      await transferMod.buildExportObject(item.wsUri, item.glUri, [id]);
+    const header = allComposers[0] || item.composer;
+    const markdown = markdownMod.renderComposerMarkdown(
+      header,
+      composers[id],
+      bubbles[id],
+    );
+    const uri = vscode.Uri.from({
+      scheme: PREVIEW_SCHEME,
+      path: `/${markdownMod.markdownFileName(header)}`,
+      query: id,
+    });
+    previewProvider.setContent(uri, markdown);
+    let doc = await vscode.workspace.openTextDocument(uri);
+    if (doc.languageId !== "markdown") {
+      doc = await vscode.languages.setTextDocumentLanguage(doc, "markdown");
+    }
+    await vscode.window.showTextDocument(doc, { preview: true });
+  } catch (err) {
+    console.error(err);
+    vscode.window.showErrorMessage(
+      `Preview failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+/**
+ * Tree context action: export a single chat to a .cursor-chat.json file.
+ */
+async function doExportChat(item) {
+  try {
+    if (!(item instanceof ChatTreeItem)) return;
+    const exportObj = await transferMod.buildExportObject(
+      item.wsUri,
+      item.glUri,
+      [item.composer.composerId],
+    );
+    const { allComposers, composers, bubbles, contents, agentKv } = exportObj;
+    const baseName = markdownMod
+      .markdownFileName(item.composer)
+      .replace(/\.md$/, "");
+    const saved = await saveExportObject(
+      { allComposers, composers, bubbles, contents, agentKv },
+      baseName,
+    );
+    if (!saved) return;
+    vscode.window.showInformationMessage(
+      `Chat "${item.label}" exported to ${saved.fsPath}.`,
+    );
+  } catch (err) {
+    console.error(err);
+    vscode.window.showErrorMessage(
+      `Export failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+/**
+ * Copy chats into a target workspace picked by the user and log the result.
+ */
+async function copyChats(srcWsUri, glUri, composerIds, provider) {
+  const targetWsUri = await pathsMod.quickPickWorkspaceDbOrBrowse();
+  if (!targetWsUri) return;
+  if (targetWsUri.fsPath === srcWsUri.fsPath) {
+    vscode.window.showWarningMessage(
+      "The chats already belong to that workspace.",
+    );
+    return;
+  }
+
+  let result;
+  try {
+    result = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Copying chats...",
+        cancellable: true,
+      },
+      (progress, token) => {
+        const controller = new AbortController();
+        token.onCancellationRequested(() => controller.abort());
+        return transferMod.copyComposersToWorkspace(
+          srcWsUri,
+          glUri,
+          composerIds,
+          targetWsUri,
+          (message) => progress.report({ message }),
+          controller.signal,
+        );
+      },
+    );
+  } catch (err) {
+    if (err && err.message === "Cancelled") {
+      vscode.window.showInformationMessage(
+        "Copy cancelled. No changes were made.",
+      );
+      return;
+    }
+    throw err;
+  }
+  const { cloned, inserted, verification } = result;
+
+  if (!output)
+    output = vscode.window.createOutputChannel("Cursor Chat Transfer");
+  output.appendLine(`\n${"=".repeat(50)}`);
+  output.appendLine(
+    `Copy to workspace finished at ${new Date().toISOString()}`,
+  );
+  output.appendLine(`Source: ${srcWsUri.fsPath}`);
+  output.appendLine(`Target: ${targetWsUri.fsPath}`);
+  output.appendLine(
+    `Copied ${cloned.allComposers.length} composers with new IDs`,
+  );
+  output.appendLine(
+    `Import verification: ${verification.totalComposers} total composers listed in workspace DB.`,
+  );
+  output.appendLine(`Import verification: KV entries inserted: ${inserted}.`);
+  output.appendLine(`${"=".repeat(50)}\n`);
+
+  if (provider) provider.refresh();
+  vscode.window.showInformationMessage(
+    `Copied ${cloned.allComposers.length} chat(s). Reload Cursor to see changes.`,
+  );
+}
+
+/**
+ * Copy Chats to Workspace command:
+ * - user picks the source workspace and its chats
+ * - user picks the target workspace
+ * - chats are read, cloned with new IDs and imported in memory (no export file)
+ */
+async function doCopyChats(provider) {
+  try {
+    const srcWsUri = await pathsMod.quickPickWorkspaceDbOrBrowse();
+    if (!srcWsUri) return;
+    const glUri = await pathsMod.quickPickGlobalDbOrBrowse(
+      pathsMod.getDefaultCursorUserDir,
+    );
+    if (!glUri) return;
+    const chosen = await pickComposers(
+      srcWsUri,
+      glUri,
+      "Choose chats to copy",
+      "copy",
+    );
+    if (!chosen || chosen.length === 0) return;
+    await copyChats(
+      srcWsUri,
+      glUri,
+      chosen.map((c) => c.composerId),
+      provider,
+    );
+  } catch (err) {
+    console.error(err);
+    vscode.window.showErrorMessage(
+      `Copy failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+/**
+ * Tree context action: copy a single chat into another workspace.
+ */
+async function doCopyChat(item, provider) {
+  try {
+    if (!(item instanceof ChatTreeItem)) return;
+    await copyChats(
+      item.wsUri,
+      item.glUri,
+      [item.composer.composerId],
+      provider,
+    );
+  } catch (err) {
+    console.error(err);
+    vscode.window.showErrorMessage(
+      `Copy failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+/**
+ * Move chats between workspaces and report the result.
+ */
+async function moveChats(srcWsUri, glUri, composerIds, provider) {
+  const targetWsUri = await pathsMod.quickPickWorkspaceDbOrBrowse();
+  if (!targetWsUri) return;
+  if (targetWsUri.fsPath === srcWsUri.fsPath) {
+    vscode.window.showWarningMessage(
+      "Source and target workspace are the same.",
+    );
+    return;
+  }
+  const targetName =
+    pathsMod.tryGetWorkspaceName(
+      path.basename(path.dirname(targetWsUri.fsPath)),
+    ) || targetWsUri.fsPath;
+  const confirm = await vscode.window.showWarningMessage(
+    `Move ${composerIds.length} chat(s) to "${targetName}"? They will no longer appear in the source workspace.`,
+    { modal: true },
+    "Move",
+  );
+  if (confirm !== "Move") return;
+
+  const { moved } = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Moving chats...",
+      cancellable: false,
+    },
+    () =>
+      transferMod.moveComposersToWorkspace(
+        srcWsUri,
+        targetWsUri,
+        glUri,
+        composerIds,
+      ),
+  );
+  if (provider) provider.refresh();
+  vscode.window.showInformationMessage(
+    `Moved ${moved} chat(s) to "${targetName}". Reload Cursor to see changes.`,
+  );
+}
+
+/**
+ * Move Chats command:
+ * - user picks the source workspace and the chats to move
+ * - user picks the target workspace
+ * - chat ownership is reassigned in place; the KV payloads are not cloned
+ */
+async function doMoveChats(provider) {
+  try {
+    const srcWsUri = await pathsMod.quickPickWorkspaceDbOrBrowse();
+    if (!srcWsUri) return;
+    const glUri = await pathsMod.quickPickGlobalDbOrBrowse(
+      pathsMod.getDefaultCursorUserDir,
+    );
+    if (!glUri) return;
+    const chosen = await pickComposers(
+      srcWsUri,
+      glUri,
+      "Choose chats to move",
+      "move",
+    );
+    if (!chosen || chosen.length === 0) return;
+    await moveChats(
+      srcWsUri,
+      glUri,
+      chosen.map((c) => c.composerId),
+      provider,
+    );
+  } catch (err) {
+    console.error(err);
+    vscode.window.showErrorMessage(
+      `Move failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+/**
+ * Tree context action: move a single chat into another workspace.
+ */
+async function doMoveChat(item, provider) {
+  try {
+    if (!(item instanceof ChatTreeItem)) return;
+    await moveChats(
+      item.wsUri,
+      item.glUri,
+      [item.composer.composerId],
+      provider,
+    );
+  } catch (err) {
+    console.error(err);
+    vscode.window.showErrorMessage(
+      `Move failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+function formatAge(timestampMs) {
+  const minutes = Math.max(0, Math.round((Date.now() - timestampMs) / 60000));
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.round(hours / 24)} days ago`;
+}
+
+function getBackupRetention() {
+  const config = vscode.workspace.getConfiguration("cursorChatTransfer");
+  return {
+    keep: config.get("backups.keep", 5),
+    maxAgeDays: config.get("backups.maxAgeDays", 30),
+  };
+}
+
+/**
+ * Every database the backup manager looks after: global DB + workspace DBs.
+ */
+function listManagedDbs() {
+  const dbs = [];
+  const globalPath = pathsMod.resolveGlobalStateDbPath();
+  if (fs.existsSync(globalPath)) {
+    dbs.push({ path: globalPath, label: "Global storage", isGlobal: true });
+  }
+  for (const c of pathsMod.listWorkspaceStateDbs(500)) {
+    dbs.push({
+      path: c.path,
+      label: pathsMod.tryGetWorkspaceName(c.hash) || c.hash,
+      description: pathsMod.tryGetWorkspaceFolderPath(c.hash) || c.hash,
+      isGlobal: false,
+    });
+  }
+  return dbs;
+}
+
+/**
+ * Show the chats recorded in a backup in the output channel.
+ */
+async function showBackupChats(db, backup) {
+  // Workspace backups on newer schemas only hold IDs; their chats come from
+  // the live global headers
+  const globalPath = pathsMod.resolveGlobalStateDbPath();
+  const { chats } = await transferMod.listChatsInDb(
+    backup.path,
+    !db.isGlobal && fs.existsSync(globalPath) ? globalPath : undefined,
+  );
+
+  if (!output)
+    output = vscode.window.createOutputChannel("Cursor Chat Transfer");
+  output.appendLine(`\n${"=".repeat(50)}`);
+  output.appendLine(`Backup: ${backup.path}`);
+  output.appendLine(
+    `Database: ${db.label} • ${dbMod.formatBytes(backup.size)} • ${formatAge(backup.mtime)}`,
+  );
+  output.appendLine(`${chats.length} chat(s):`);
+  for (const c of chats) {
+    const name = c.name || "(unnamed)";
+    const updated = c.lastUpdatedAt
+      ? ` • updated ${new Date(c.lastUpdatedAt).toLocaleString()}`
+      : "";
+    const ws = c.workspaceId
+      ? ` • ${pathsMod.tryGetWorkspaceName(c.workspaceId) || c.workspaceId}`
+      : "";
+    output.appendLine(`  - ${name} [${c.composerId}]${updated}${ws}`);
+  }
+  output.appendLine(`${"=".repeat(50)}\n`);
+  output.show(true);
+}
+
+/**
+ * Restore a backup over its live database after checking the backup's integrity.
+ * The current database is backed up first so the restore can be undone.
+ */
+async function restoreBackup(db, backup, provider) {
+  const confirm = await vscode.window.showWarningMessage(
+    `Restore "${db.label}" from the backup taken ${formatAge(backup.mtime)}? ` +
+      `Close Cursor windows using this database first; chats created since the backup will be lost.`,
+    { modal: true },
+    "Restore",
+  );
+  if (confirm !== "Restore") return;
+
+  const safetyBackup = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Restoring backup...",
+      cancellable: false,
+    },
+    async (progress) => {
+      progress.report({ message: "Checking backup integrity..." });
+      if (!(await dbMod.checkIntegrity(backup.path))) {
+        throw new Error(
+          "The backup failed the integrity check and was not restored.",
+        );
+      }
+      progress.report({ message: "Backing up the current database..." });
+      const current = await dbMod.createBackup(db.path);
+      progress.report({ message: "Restoring..." });
+      await dbMod.restoreFromBackup(backup.path, db.path);
+      if (!(await dbMod.checkIntegrity(db.path))) {
+        await dbMod.restoreFromBackup(current, db.path);
+        throw new Error(
+          "The restored database failed the integrity check; the previous state was put back.",
+        );
+      }
+      return current;
+    },
+  );
+  if (provider) provider.refresh();
+  vscode.window.showInformationMessage(
+    `Backup restored. The previous state was saved as ${path.basename(safetyBackup)}. Restart Cursor to see changes.`,
+  );
+}
+
+/**
+ * Apply the retention policy to the backups of every managed database.
+ */
+async function pruneAllBackups() {
+  const { keep, maxAgeDays } = getBackupRetention();
+  const dbs = listManagedDbs();
+  const total = dbs.reduce((n, db) => n + dbMod.listBackups(db.path).length, 0);
+  const policy = `keep the newest ${keep} per database${maxAgeDays > 0 ? `, none older than ${maxAgeDays} days` : ""}`;
+  const confirm = await vscode.window.showWarningMessage(
+    `Apply the retention policy (${policy}) to ${total} existing backup(s)?`,
+    { modal: true },
+    "Prune",
+  );
+  if (confirm !== "Prune") return;
+
+  let removed = 0;
+  let freed = 0;
+  for (const db of dbs) {
+    for (const b of dbMod.pruneBackups(db.path, { keep, maxAgeDays })) {
+      removed += 1;
+      freed += b.size;
+    }
+  }
+  vscode.window.showInformationMessage(
+    `Removed ${removed} backup(s), freed ${dbMod.formatBytes(freed)}.`,
+  );
+}
+
+/**
+ * Manage Backups command:
+ * - lists the .backup-<timestamp>.vscdb files next to the global and workspace DBs
+ * - a backup can be inspected (chats it contains), restored or deleted
+ * - old backups can be pruned with the configured retention policy
+ */
+async function doManageBackups(provider) {
+  try {
+    const dbs = listManagedDbs()
+      .map((db) => ({ ...db, backups: dbMod.listBackups(db.path) }))
+      .filter((db) => db.backups.length > 0);
+    if (dbs.length === 0) {
+      vscode.window.showInformationMessage("No database backups found.");
+      return;
+    }
+
+    const dbPick = await vscode.window.showQuickPick(
+      [
+        {
+          label: "$(trash) Prune old backups…",
+          description: "Apply the retention policy to all databases",
+          prune: true,
+        },
+        ...dbs.map((db) => {
+          const size = db.backups.reduce((n, b) => n + b.size, 0);
+          return {
+            label: db.isGlobal ? `$(globe) ${db.label}` : db.label,
+            description: db.description || "",
+            detail: `${db.backups.length} backup(s) • ${dbMod.formatBytes(size)}`,
+            db,
+          };
+        }),
+      ],
+      { title: "Database backups" },
+    );
+    if (!dbPick) return;
+    if (dbPick.prune) {
+      await pruneAllBackups();
+      return;
+    }
+
+    const db = dbPick.db;
+    const backupPick = await vscode.window.showQuickPick(
+      db.backups.map((b) => ({
+        label: b.mtime ? new Date(b.mtime).toLocaleString() : b.timestamp,
+        description: `${dbMod.formatBytes(b.size)} • ${formatAge(b.mtime)}`,
+        detail: b.name,
+        backup: b,
+      })),
+      { title: `Backups of ${db.label} (most recent first)` },
+    );
+    if (!backupPick) return;
+    const backup = backupPick.backup;
+
+    const action = await vscode.window.showQuickPick(
+      [
+        { label: "$(list-unordered) Show chats in backup", value: "show" },
+        { label: "$(history) Restore…", value: "restore" },
+        { label: "$(trash) Delete", value: "delete" },
+      ],
+      { title: backup.name },
+    );
+    if (!action) return;
+    if (action.value === "show") {
+      await showBackupChats(db, backup);
+    } else if (action.value === "restore") {
+      await restoreBackup(db, backup, provider);
+    } else if (action.value === "delete") {
+      const confirm = await vscode.window.showWarningMessage(
+        `Delete ${backup.name}?`,
+        { modal: true },
+        "Delete",
+      );
+      if (confirm !== "Delete") return;
+      dbMod.removeBackup(backup.path);
+      vscode.window.showInformationMessage(`Deleted ${backup.name}.`);
+    }
+  } catch (err) {
+    console.error(err);
+    vscode.window.showErrorMessage(
+      `Backup operation failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+/**
+ * Apply the SQLite engine settings and load the engine. The built-in engine
+ * loads asynchronously, so this runs at activation and on settings changes.
+ */
+async function applySqliteSettings() {
+  const config = vscode.workspace.getConfiguration("cursorChatTransfer");
+  dbMod.configureSqlite({
+    engine: config.get("sqlite.engine", "auto"),
+    cliPath: config.get("sqlite.cliPath", ""),
+  });
+  try {
+    const backend = await dbMod.initSqlite();
+    output.appendLine(`[sqlite] Using ${backend.description}`);
+    // Say up front when the built-in engine cannot handle this machine's
+    // chats, rather than failing on the first export or search
+    const limit =
+      backend.name === "builtin" &&
+      dbMod.builtinEngineLimit(pathsMod.resolveGlobalStateDbPath());
+    if (limit) {
+      output.appendLine(`[sqlite] ${limit}`);
+      vscode.window.showWarningMessage(`Cursor Chat Transfer: ${limit}`);
+    }
+  } catch (err) {
+    output.appendLine(`[sqlite] ${err.message || String(err)}`);
+    vscode.window.showErrorMessage(
+      `Cursor Chat Transfer: ${err.message || String(err)}`,
+    );
+  }
+}
+
+function getAutoBackupSettings() {
+  const config = vscode.workspace.getConfiguration("cursorChatTransfer");
+  return {
+    enabled: config.get("autoBackup.enabled", false),
+    intervalHours: Math.max(1, config.get("autoBackup.intervalHours", 24)),
+    folder: config.get("autoBackup.folder", ""),
+    keep: Math.max(1, config.get("autoBackup.keep", 7)),
+  };
+}
+
+/**
+ * Export every workspace's chats into the configured backup folder.
+ * Status goes to the output channel; `interactive` runs also show a message.
+ */
+async function runAutoBackup(interactive = false) {
+  if (autoBackupRunning) {
+    if (interactive) {
+      vscode.window.showInformationMessage("A chat backup is already running.");
+    }
+    return;
+  }
+  const settings = getAutoBackupSettings();
+  let folder = settings.folder;
+  if (!folder && interactive) {
+    const picked = await vscode.window.showOpenDialog({
+      canSelectFiles: false,
+      canSelectFolders: true,
+      canSelectMany: false,
+      title: "Select a folder for chat backups",
+      openLabel: "Use Folder",
+    });
+    if (!picked || !picked[0]) return;
+    folder = picked[0].fsPath;
+    await vscode.workspace
+      .getConfiguration("cursorChatTransfer")
+      .update("autoBackup.folder", folder, vscode.ConfigurationTarget.Global);
+  }
+  if (!folder) {
+    output.appendLine(
+      "[auto-backup] Skipped: set cursorChatTransfer.autoBackup.folder to enable backups.",
+    );
+    return;
+  }
+
+  const glDbPath = pathsMod.resolveGlobalStateDbPath();
+  if (!fs.existsSync(glDbPath)) {
+    output.appendLine(
+      `[auto-backup] Skipped: global DB not found (${glDbPath}).`,
+    );
+    autoBackupFailures += 1;
+    autoBackupLastFailure = Date.now();
+    return;
+  }
+
+  autoBackupRunning = true;
+  const log = (line) => output.appendLine(`[auto-backup] ${line}`);
+  try {
+    log(`Started at ${new Date().toISOString()} → ${folder}`);
+    const workspaces = pathsMod.listWorkspaceStateDbs(Infinity).map((c) => ({
+      path: c.path,
+      hash: c.hash,
+      name: pathsMod.tryGetWorkspaceName(c.hash) || c.hash,
+    }));
+    const result = await autoBackupMod.runScheduledBackup({
+      folder,
+      glDbPath,
+      workspaces,
+      keep: settings.keep,
+      log,
+    });
+    autoBackupFailures = 0;
+    if (interactive) {
+      vscode.window.showInformationMessage(
+        result.skipped
+          ? "Chat backup: nothing changed since the last backup."
+          : `Chat backup written: ${result.exported} chat(s) exported, ${result.reused} unchanged.`,
+      );
+    }
+  } catch (err) {
+    console.error(err);
+    autoBackupFailures += 1;
+    autoBackupLastFailure = Date.now();
+    log(`Failed: ${err.message || String(err)}`);
+    if (interactive) {
+      vscode.window.showErrorMessage(
+        `Chat backup failed: ${err.message || String(err)}`,
+      );
+    }
+  } finally {
+    autoBackupRunning = false;
+  }
+}
+
+/**
+ * (Re)arm the background backup timer from the current settings.
+ * The next run is due one interval after the last completed run.
+ */
+function scheduleAutoBackup() {
+  if (autoBackupTimer) {
+    clearTimeout(autoBackupTimer);
+    autoBackupTimer = undefined;
+  }
+  const settings = getAutoBackupSettings();
+  if (!settings.enabled) return;
+  if (!settings.folder) {
+    output.appendLine(
+      "[auto-backup] Enabled but no folder configured (cursorChatTransfer.autoBackup.folder).",
+    );
+    return;
+  }
+  const intervalMs = settings.intervalHours * 60 * 60 * 1000;
+  let due = autoBackupMod.getLastRun(settings.folder) + intervalMs;
+  if (autoBackupFailures > 0) {
+    // Retry failed runs with a growing delay, at most one interval apart
+    const retryMs = Math.min(
+      intervalMs,
+      AUTO_BACKUP_RETRY_MS * 2 ** (autoBackupFailures - 1),
+    );
+    due = Math.max(due, autoBackupLastFailure + retryMs);
+  }
+  // Give Cursor a minute after startup before touching its databases
+  const dueAt = Date.now() + Math.max(60 * 1000, due - Date.now());
+  output.appendLine(
+    `[auto-backup] Next backup at ${new Date(dueAt).toLocaleString()}.`,
+  );
+  // Node fires longer timeouts immediately, so long intervals wake up early
+  // and just re-arm until the backup is due
+  autoBackupTimer = setTimeout(
+    async () => {
+      if (Date.now() >= dueAt) {
+        await runAutoBackup(false);
+      }
+      scheduleAutoBackup();
+    },
+    Math.min(dueAt - Date.now(), MAX_TIMER_DELAY_MS),
+  );
+}
+
+/**
+ * Sync Chats Through Shared Folder command: push this machine's new and
+ * changed chats to the sync folder and pull the ones other machines pushed.
+ * Chats changed on both sides are left alone until the user picks a side.
+ */
+async function doSyncNow() {
+  const config = vscode.workspace.getConfiguration("cursorChatTransfer");
+  let folder = config.get("sync.folder", "");
+  if (!folder) {
+    const picked = await vscode.window.showOpenDialog({
+      canSelectFiles: false,
+      canSelectFolders: true,
+      canSelectMany: false,
+      title: "Select the shared folder to sync chats through",
+      openLabel: "Use Folder",
+    });
+    if (!picked || !picked[0]) return;
+    folder = picked[0].fsPath;
+    await config.update(
+      "sync.folder",
+      folder,
+      vscode.ConfigurationTarget.Global,
+    );
+  }
+  const glDbPath = pathsMod.resolveGlobalStateDbPath();
+  if (!fs.existsSync(glDbPath)) {
+    vscode.window.showErrorMessage(`Global DB not found (${glDbPath}).`);
+    return;
+  }
+  const workspaces = pathsMod.listWorkspaceStateDbs(Infinity).map((c) => ({
+    path: c.path,
+    hash: c.hash,
+    name: pathsMod.tryGetWorkspaceName(c.hash) || c.hash,
+  }));
+  const log = (line) => output.appendLine(`[sync] ${line}`);
+  const sync = (prefer) =>
+    vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Syncing chats",
+      },
+      () => syncMod.runSync({ folder, glDbPath, workspaces, prefer, log }),
+    );
+
+  try {
+    let result = await sync();
+    if (result.conflicts.length > 0) {
+      const names = result.conflicts
+        .map((c) => c.name || c.syncId)
+        .slice(0, 5)
+        .join(", ");
+      const choice = await vscode.window.showWarningMessage(
+        `${result.conflicts.length} chats changed both here and on another machine since the last sync (${names}). Which version should win?`,
+        { modal: true },
+        "Keep This Machine's",
+        "Take the Other Machine's",
+      );
+      if (choice === "Keep This Machine's") result = await sync("local");
+      else if (choice === "Take the Other Machine's") {
+        result = await sync("remote");
+      }
+    }
+    const notes = [];
+    if (result.conflicts.length > 0) {
+      notes.push(`${result.conflicts.length} left unresolved`);
+    }
+    if (result.unmatched.length > 0) {
+      notes.push(
+        `${result.unmatched.length} belong to workspaces not opened on this machine`,
+      );
+    }
+    if (result.pending > 0) {
+      notes.push(`${result.pending} still arriving`);
+    }
+    vscode.window.showInformationMessage(
+      `Chat sync: ${result.pushed} pushed, ${result.pulled} pulled${notes.length > 0 ? ` (${notes.join("; ")})` : ""}.${result.pulled > 0 ? " Reload Cursor to see changes." : ""}`,
+    );
+  } catch (err) {
+    console.error(err);
+    log(`Failed: ${err.message || String(err)}`);
+    vscode.window.showErrorMessage(
+      `Chat sync failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+/**
+ * Diagnose Chat Storage command:
+ * - checks a workspace DB and the global DB for the problems that keep chats
+ *   from showing up (see lib/doctor.js) and writes the report to the output
+ *   channel
+ * - offers the fix of each class of problem found; after a fix the DBs are
+ *   checked again, until nothing is left or the user stops
+ */
+async function doDiagnose(provider) {
+  try {
+    const wsUri = await pathsMod.quickPickWorkspaceDbOrBrowse();
+    if (!wsUri) return;
+    const glUri = await pathsMod.quickPickGlobalDbOrBrowse(
+      pathsMod.getDefaultCursorUserDir,
+    );
+    if (!glUri) return;
+    const target = { wsDbPath: wsUri.fsPath, glDbPath: glUri.fsPath };
+
+    let fixes = 0;
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const report = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: "Diagnosing chat storage...",
+        },
+        () => doctorMod.diagnose(target),
+      );
+      output.appendLine(`\n${"=".repeat(50)}`);
+      doctorMod.formatReport(report).forEach((line) => output.appendLine(line));
+      output.appendLine(`${"=".repeat(50)}\n`);
+      output.show(true);
+      if (report.problems.length === 0) {
+        vscode.window.showInformationMessage(
+          fixes > 0
+            ? "All chat storage problems are fixed. Reload Cursor to see changes."
+            : "No chat storage problems found.",
+        );
+        return;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const pick = await vscode.window.showQuickPick(
+        report.problems.map((p) => ({
+          label: p.fix,
+          description: `${p.items.length} ${p.unit}(s)`,
+          detail: p.title,
+          problem: p,
+        })),
+        {
+          title: `${report.problems.length} kind(s) of problems found; the full report is in the output`,
+          placeHolder:
+            "Pick a fix to apply (the databases are backed up first)",
+        },
+      );
+      if (!pick) {
+        if (fixes > 0) {
+          vscode.window.showInformationMessage(
+            "Reload Cursor to see the fixes applied so far.",
+          );
+        }
+        return;
+      }
+      if (pick.problem.kind === "integrity") {
+        // eslint-disable-next-line no-await-in-loop
+        const confirm = await vscode.window.showWarningMessage(
+          "Restore the damaged databases from their newest intact backups? Close Cursor windows using them first; changes made since those backups will be lost. The damaged files are kept as backups.",
+          { modal: true },
+          "Restore",
+        );
+        if (confirm !== "Restore") return;
+      } else if (pick.problem.confirm) {
+        // eslint-disable-next-line no-await-in-loop
+        const confirm = await vscode.window.showWarningMessage(
+          `${pick.problem.confirm} ${pick.problem.fix} (${pick.problem.items.length} ${pick.problem.unit}(s))? The list is in the output.`,
+          { modal: true },
+          "Apply Fix",
+        );
+        if (confirm !== "Apply Fix") return;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const { fixed } = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `${pick.problem.fix}...`,
+        },
+        () => doctorMod.applyFix(report, pick.problem.kind),
+      );
+      output.appendLine(
+        `[doctor] ${pick.problem.fix}: ${fixed} ${pick.problem.unit}(s) fixed.`,
+      );
+      fixes += 1;
+      if (provider) provider.refresh();
+    }
+  } catch (err) {
+    console.error(err);
+    output.appendLine(`[doctor] Failed: ${err.message || String(err)}`);
+    vscode.window.showErrorMessage(
+      `Chat storage diagnosis failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+/**
+ * Search Chats command:
+ * - user enters a search term
+ * - bubble values in the global DB are searched in a background sqlite3 process
+ * - hits are grouped by workspace and chat; picking one opens its preview or exports it
+ */
+async function doSearchChats() {
+  try {
+    const term = await vscode.window.showInputBox({
+      title: "Search Chats",
+      prompt: "Text to search for in all stored chat messages",
+      validateInput: (v) =>
+        v && v.trim().length >= 2 ? undefined : "Enter at least 2 characters",
+    });
+    if (!term) return;
+    const glUri =
+      pathsMod.toUriIfExists(pathsMod.resolveGlobalStateDbPath()) ||
+      (await pathsMod.quickPickGlobalDbOrBrowse(
+        pathsMod.getDefaultCursorUserDir,
+      ));
+    if (!glUri) return;
+
+    const SEARCH_LIMIT = 500;
+    const found = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `Searching chats for "${term.trim()}"...`,
+        cancellable: true,
+      },
+      async (progress, token) => {
+        const controller = new AbortController();
+        token.onCancellationRequested(() => controller.abort());
+        const hits = await dbMod.searchBubbles(glUri.fsPath, term.trim(), {
+          limit: SEARCH_LIMIT,
+          signal: controller.signal,
+        });
+        const headers = await dbMod.readComposerHeaders(glUri.fsPath);
+        return { hits, headers: (headers && headers.allComposers) || [] };
+      },
+    );
+
+    if (found.hits.length === 0) {
+      vscode.window.showInformationMessage(
+        `No chats mention "${term.trim()}".`,
+      );
+      return;
+    }
+    const groups = searchMod.groupSearchResults(
+      found.hits,
+      found.headers,
+      term.trim(),
+    );
+    const items = [];
+    for (const group of groups) {
+      const wsName = group.workspaceId
+        ? pathsMod.tryGetWorkspaceName(group.workspaceId) || group.workspaceId
+        : "Unknown workspace";
+      items.push({ label: wsName, kind: vscode.QuickPickItemKind.Separator });
+      for (const chat of group.chats) {
+        items.push({
+          label: (chat.header && chat.header.name) || chat.composerId,
+          description: `${chat.matches.length} match${chat.matches.length === 1 ? "" : "es"}`,
+          detail: chat.matches[0].snippet,
+          chat,
+          workspaceId: group.workspaceId,
+        });
+      }
+    }
+    const limited =
+      found.hits.length >= SEARCH_LIMIT
+        ? ` (first ${SEARCH_LIMIT} matches)`
+        : "";
+    const pick = await vscode.window.showQuickPick(items, {
+      title: `Chats matching "${term.trim()}"${limited}`,
+      matchOnDescription: true,
+      matchOnDetail: true,
+    });
+    if (!pick) return;
+
+    const wsPath = pick.workspaceId
+      ? path.join(
+          pathsMod.resolveWorkspaceStorageDir(),
+          pick.workspaceId,
+          "state.vscdb",
+        )
+      : null;
+    if (!pick.chat.header || !wsPath || !fs.existsSync(wsPath)) {
+      vscode.window.showWarningMessage(
+        "This chat is not linked to an existing workspace, so it can't be opened.",
+      );
+      return;
+    }
+    const item = new ChatTreeItem(
+      pick.chat.header,
+      vscode.Uri.file(wsPath),
+      glUri,
+    );
+    const action = await vscode.window.showQuickPick(
+      [
+        { label: "$(open-preview) Preview", value: "preview" },
+        { label: "$(export) Export…", value: "export" },
+      ],
+      { title: item.label },
+    );
+    if (!action) return;
+    if (action.value === "preview") {
+      await doPreviewChat(item);
+    } else {
+      await doExportChat(item);
+    }
+  } catch (err) {
+    console.error(err);
+    if (err && err.message === "Cancelled") return;
+    vscode.window.showErrorMessage(
+      `Search failed: ${err.message || String(err)}`,
+    );
+  }
+}
+
+/**
+ * @param {vscode.ExtensionContext} context
+ */
+function activate(context) {
+  output = vscode.window.createOutputChannel("Cursor Chat Transfer");
+  const provider = new ChatTransferProvider();
+  context.subscriptions.push(
+    vscode.window.registerTreeDataProvider("cursorChatTransfer.view", provider),
+    vscode.workspace.registerTextDocumentContentProvider(
+      PREVIEW_SCHEME,
+      previewProvider,
+    ),
+    vscode.workspace.onDidCloseTextDocument((doc) => {
+      if (doc.uri.scheme === PREVIEW_SCHEME) previewProvider.forget(doc.uri);
+    }),
+    vscode.commands.registerCommand("cursorChatTransfer.refresh", () =>
+      provider.refresh(),
+    ),
+    vscode.commands.registerCommand(
+      "cursorChatTransfer.previewChat",
+      doPreviewChat,
+    ),
+    vscode.commands.registerCommand(
+      "cursorChatTransfer.exportChat",
+      doExportChat,
+    ),
+    vscode.commands.registerCommand(
+      "cursorChatTransfer.searchChats",
+      doSearchChats,
+    ),
+    vscode.commands.registerCommand("cursorChatTransfer.backupNow", () =>
+      runAutoBackup(true),
+    ),
+    vscode.commands.registerCommand("cursorChatTransfer.syncNow", doSyncNow),
+    vscode.commands.registerCommand("cursorChatTransfer.diagnose", () =>
+      doDiagnose(provider),
+    ),
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (e.affectsConfiguration("cursorChatTransfer.sqlite")) {
+        applySqliteSettings();
+      }
+      if (e.affectsConfiguration("cursorChatTransfer.autoBackup")) {
+        scheduleAutoBackup();
+      }
+    }),
+    vscode.commands.registerCommand("cursorChatTransfer.manageBackups", () =>
+      doManageBackups(provider),
+    ),
+    vscode.commands.registerCommand("cursorChatTransfer.copy", () =>
+      doCopyChats(provider),
+    ),
+    vscode.commands.registerCommand("cursorChatTransfer.move", () =>
+      doMoveChats(provider),
+    ),
+    vscode.commands.registerCommand("cursorChatTransfer.moveChat", (item) =>
+      doMoveChat(item, provider),
+    ),
+    vscode.commands.registerCommand("cursorChatTransfer.copyChat", (item) =>
+      doCopyChat(item, provider),
+    ),
+    vscode.commands.registerCommand("cursorChatTransfer.export", doExport),
+    vscode.commands.registerCommand("cursorChatTransfer.import", doImport),
+    vscode.commands.registerCommand(
+      "cursorChatTransfer.exportMarkdown",
+      doExportMarkdown,
+    ),
+    vscode.commands.registerCommand(
+      "cursorChatTransfer.exportHtml",
+      doExportHtml,
+    ),
+  );
+  applySqliteSettings();
+  scheduleAutoBackup();
+}
+
+function deactivate() {
+  if (autoBackupTimer) {
+    clearTimeout(autoBackupTimer);
+    autoBackupTimer = undefined;
+  }
+  return dbMod.closeSqlite();
+}
 
 module.exports = {
   activate,
@@ -0,0 +1,257 @@
+"use strict";
+
+// Anonymized exports: the workspace root, home directory, user name and host
+// name are replaced with placeholder tokens and machine-specific fields are
+// dropped from chat headers and composerData, so a chat can be shared
+// publicly. Importing expands the tokens again for the target workspace and
+// machine.
+
+const os = require("os");
+const { transformStoredValue } = require("./storedValues");
+
+const PLACEHOLDERS = {
+  workspaceRoot: "{{CCT_WORKSPACE_ROOT}}",
+  workspaceRootUri: "{{CCT_WORKSPACE_ROOT_URI}}",
+  home: "{{CCT_HOME}}",
+  homeUri: "{{CCT_HOME_URI}}",
+  user: "{{CCT_USER}}",
+  host: "{{CCT_HOST}}",
+};
+const PLACEHOLDER_PREFIX = "{{CCT_";
+
+// Top-level fields of headers and composerData that identify the machine or
+// session rather than the chat
+const MACHINE_FIELDS = new Set([
+  "workspaceIdentifier",
+  "machineId",
+  "macMachineId",
+  "devDeviceId",
+  "sqmId",
+  "remoteAuthority",
+  "hostname",
+  "hostName",
+]);
+
+// Account and host names too common to identify anyone; replacing them as
+// words would mangle ordinary text
+const GENERIC_NAMES = new Set([
+  "admin",
+  "administrator",
+  "dev",
+  "developer",
+  "localhost",
+  "root",
+  "runner",
+  "ubuntu",
+  "user",
+  "vscode",
+]);
+
+/**
+ * User name, home directory and host name of this machine.
+ */
+function machineIdentity() {
+  let user = "";
+  try {
+    user = os.userInfo().username;
+  } catch {}
+  return { home: os.homedir(), user, host: os.hostname() };
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * The spellings of a folder path found in stored chats: `native` ones as
+ * used in file paths (both slash styles for Windows drives) and `uri` ones as
+ * in the path of a file:// URI.
+ */
+function pathForms(folder) {
+  let p = safeDecode(String(folder)).replace(/[\\/]+$/, "");
+  if (/^\/[A-Za-z]:/.test(p)) p = p.slice(1);
+  const native = new Set([p]);
+  const uri = new Set();
+  const drive = /^([A-Za-z]):[\\/]/.exec(p);
+  if (drive) {
+    const slashed = p.replace(/\\/g, "/");
+    const rest = slashed.slice(2);
+    for (const letter of [drive[1].toLowerCase(), drive[1].toUpperCase()]) {
+      native.add(`${letter}:${rest}`);
+      native.add(`${letter}:${rest}`.replace(/\//g, "\\"));
+      uri.add(`/${letter}:${encodeURI(rest)}`);
+      uri.add(`/${letter}%3A${encodeURI(rest)}`);
+    }
+  } else {
+    uri.add(encodeURI(p));
+  }
+  for (const form of native) uri.delete(form);
+  return { native: [...native], uri: [...uri] };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole-word matcher for a name, or null for names not worth replacing
+function nameMatcher(name) {
+  if (!name || name.length < 3 || GENERIC_NAMES.has(name.toLowerCase())) {
+    return null;
+  }
+  return new RegExp(
+    `(?<![A-Za-z0-9_-])${escapeRegExp(name)}(?![A-Za-z0-9_-])`,
+    "g",
+  );
+}
+
+/**
+ * Build the function that anonymizes stored values (JSON strings, plain
+ * text or header objects): anonymize(value, { dropMachineFields }), where
+ * dropMachineFields also removes MACHINE_FIELDS from the value's top level
+ * (for headers and composerData). identity: { workspaceRoot, home, user,
+ * host }; missing parts are left alone.
+ */
+function createAnonymizer({ workspaceRoot, home, user, host }) {
+  const replacements = [];
+  const addPath = (folder, token, uriToken) => {
+    if (!folder || folder.length < 2) return;
+    const forms = pathForms(folder);
+    for (const form of forms.uri) replacements.push([form, uriToken]);
+    for (const form of forms.native) replacements.push([form, token]);
+  };
+  // A path only matches as a whole folder name: not /home/al in /home/alice
+  addPath(
+    workspaceRoot,
+    PLACEHOLDERS.workspaceRoot,
+    PLACEHOLDERS.workspaceRootUri,
+  );
+  addPath(home, PLACEHOLDERS.home, PLACEHOLDERS.homeUri);
+  // Longest first, so the workspace root wins over the home folder it is in
+  replacements.sort((a, b) => b[0].length - a[0].length);
+  const pathMatchers = replacements.map(([form, token]) => [
+    form,
+    new RegExp(`${escapeRegExp(form)}(?![A-Za-z0-9_.-])`, "g"),
+    token,
+  ]);
+
+  const names = [];
+  const shortHost = host ? host.split(".")[0] : "";
+  for (const [name, token] of [
+    [user, PLACEHOLDERS.user],
+    [host, PLACEHOLDERS.host],
+    [shortHost !== host ? shortHost : "", PLACEHOLDERS.host],
+  ]) {
+    const matcher = nameMatcher(name);
+    if (matcher) names.push([matcher, token]);
+  }
+
+  const mapString = (text) => {
+    let out = text;
+    for (const [form, matcher, token] of pathMatchers) {
+      if (out.includes(form)) out = out.replace(matcher, token);
+    }
+    for (const [matcher, token] of names) {
+      out = out.replace(matcher, token);
+    }
+    return out;
+  };
+  return (value, { dropMachineFields = false } = {}) =>
+    transformStoredValue(value, {
+      mapString,
+      dropFields: dropMachineFields ? MACHINE_FIELDS : undefined,
+    });
+}
+
+/**
+ * Build the function that expands placeholder tokens in stored values for
+ * the target machine. identity: { workspaceRoot, home, user, host }; tokens
+ * without a value (e.g. no workspace folder known) are kept.
+ */
+function createPlaceholderExpander({ workspaceRoot, home, user, host }) {
+  const values = {};
+  const addPath = (folder, token, uriToken) => {
+    if (!folder) return;
+    let p = safeDecode(String(folder)).replace(/[\\/]+$/, "");
+    if (/^\/[A-Za-z]:/.test(p)) p = p.slice(1);
+    const slashed = p.replace(/\\/g, "/");
+    values[token] = process.platform === "win32" ? p.replace(/\//g, "\\") : p;
+    values[uriToken] = encodeURI(
+      /^[A-Za-z]:/.test(slashed) ? `/${slashed}` : slashed,
+    );
+  };
+  addPath(
+    workspaceRoot,
+    PLACEHOLDERS.workspaceRoot,
+    PLACEHOLDERS.workspaceRootUri,
+  );
+  addPath(home, PLACEHOLDERS.home, PLACEHOLDERS.homeUri);
+  if (user) values[PLACEHOLDERS.user] = user;
+  if (host) values[PLACEHOLDERS.host] = host;
+
+  const mapString = (text) => {
+    if (!text.includes(PLACEHOLDER_PREFIX)) return text;
+    let out = text;
+    for (const [token, value] of Object.entries(values)) {
+      out = out.split(token).join(value);
+    }
+    return out;
+  };
+  return (value) => {
+    if (typeof value === "string" && !value.includes(PLACEHOLDER_PREFIX)) {
+      return value;
+    }
+    return transformStoredValue(value, { mapString });
+  };
+}
+
+/**
+ * Wrap an export sink so every header and stored value goes through
+ * `anonymize` (see createAnonymizer) on its way through. Content payloads
+ * that anonymizing would change are left out: they are keyed by the hash of
+ * their content, and a rewritten payload under the original hash would
+ * shadow the real one in any database it is imported into.
+ */
+function createAnonymizingSink(sink, anonymize) {
+  let section = null;
+  const storedValue = (entry) =>
+    entry && typeof entry.value === "string"
+      ? { ...entry, value: anonymize(entry.value) }
+      : entry;
+  return {
+    ...sink,
+    async section(name) {
+      section = name;
+      await sink.section(name);
+    },
+    async entry(key, value) {
+      if (section === "bubbles" || section === "agentKv") {
+        await sink.entry(
+          key,
+          Array.isArray(value) ? value.map(storedValue) : value,
+        );
+      } else if (section === "contents") {
+        if (anonymize(value) === value) await sink.entry(key, value);
+      } else {
+        await sink.entry(
+          key,
+          anonymize(value, {
+            dropMachineFields:
+              section === "allComposers" || section === "composers",
+          }),
+        );
+      }
+    },
+  };
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  machineIdentity,
+  createAnonymizer,
+  createPlaceholderExpander,
+  createAnonymizingSink,
+};
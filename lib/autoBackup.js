@@ -0,0 +1,275 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { openSqliteReadOnly } = require("./db");
+const { listWorkspaceComposers, buildExportObject } = require("./transfer");
+const { readExportObject, writeExportObject } = require("./exportFile");
+
+const STATE_FILE = ".cursor-chat-backup-state.json";
+const GENERATION_PREFIX = "cursor-chats-";
+
+function readState(folder) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(folder, STATE_FILE), "utf8"));
+  } catch {
+    return { lastRun: 0, lastGeneration: null, chats: {} };
+  }
+}
+
+function writeState(folder, state) {
+  const target = path.join(folder, STATE_FILE);
+  fs.writeFileSync(`${target}.tmp`, JSON.stringify(state, null, 2), "utf8");
+  fs.renameSync(`${target}.tmp`, target);
+}
+
+/**
+ * Generation folders in `folder`, oldest first.
+ */
+function listGenerations(folder) {
+  try {
+    return fs
+      .readdirSync(folder, { withFileTypes: true })
+      .filter((e) => e.isDirectory() && e.name.startsWith(GENERATION_PREFIX))
+      .map((e) => e.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+function workspaceFileName(workspace) {
+  const name = String(workspace.name || "workspace").replace(
+    /[<>:"/\\|?*\x00-\x1f\s]+/g,
+    "_",
+  );
+  return `${name}-${workspace.hash}.cursor-chat.json`;
+}
+
+async function readExportFile(filePath) {
+  try {
+    return await readExportObject(filePath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pull the unchanged chats out of a previous generation's export file.
+ */
+function pickChats(previous, ids) {
+  const picked = {
+    allComposers: [],
+    composers: {},
+    bubbles: {},
+    contents: { ...(previous.contents || {}) },
+    agentKv: {},
+    manifest: { ...(previous.manifest || {}) },
+  };
+  for (const c of previous.allComposers || []) {
+    if (!c || !ids.has(c.composerId)) continue;
+    const id = c.composerId;
+    picked.allComposers.push(c);
+    if (previous.composers && previous.composers[id] != null) {
+      picked.composers[id] = previous.composers[id];
+    }
+    if (previous.bubbles && previous.bubbles[id]) {
+      picked.bubbles[id] = previous.bubbles[id];
+    }
+    if (previous.agentKv && previous.agentKv[id]) {
+      picked.agentKv[id] = previous.agentKv[id];
+    }
+  }
+  return picked;
+}
+
+function mergeExports(a, b) {
+  return {
+    allComposers: [...a.allComposers, ...b.allComposers],
+    composers: { ...a.composers, ...b.composers },
+    bubbles: { ...a.bubbles, ...b.bubbles },
+    contents: { ...a.contents, ...b.contents },
+    agentKv: { ...a.agentKv, ...b.agentKv },
+    manifest: { ...a.manifest, ...b.manifest },
+  };
+}
+
+/**
+ * Back up the chats of every workspace into a dated generation folder.
+ *
+ * options:
+ * - folder: destination folder (created if missing)
+ * - glDbPath: global state.vscdb
+ * - workspaces: [{ path, hash, name }] workspace state.vscdb files
+ * - keep: number of generations to keep (older ones are deleted)
+ * - log: (line) => void
+ *
+ * Chats whose lastUpdatedAt did not change since the previous run are copied
+ * from the previous generation instead of being read from the DB again; when
+ * nothing changed at all no new generation is written.
+ * Returns { generation, exported, reused, workspaces, skipped }.
+ */
+async function runScheduledBackup({
+  folder,
+  glDbPath,
+  workspaces,
+  keep = 7,
+  log = () => {},
+}) {
+  fs.mkdirSync(folder, { recursive: true });
+  const state = readState(folder);
+  const previousDir =
+    state.lastGeneration &&
+    fs.existsSync(path.join(folder, state.lastGeneration))
+      ? path.join(folder, state.lastGeneration)
+      : null;
+  const glUri = { fsPath: glDbPath };
+
+  // Work out what changed since the last run
+  const plan = [];
+  const seen = {};
+  let changedTotal = 0;
+  for (const ws of workspaces) {
+    let composers;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const wsDb = await openSqliteReadOnly(ws.path);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        composers = await listWorkspaceComposers(wsDb, glUri);
+      } finally {
+        wsDb.closeReadOnly();
+      }
+    } catch (err) {
+      log(`Skipping ${ws.name || ws.hash}: ${err.message || String(err)}`);
+      continue;
+    }
+    if (!composers || composers.length === 0) continue;
+
+    const changed = [];
+    const unchanged = [];
+    for (const c of composers) {
+      seen[c.composerId] = {
+        lastUpdatedAt: c.lastUpdatedAt || 0,
+        workspace: ws.hash,
+      };
+      const before = state.chats[c.composerId];
+      const same =
+        before &&
+        before.lastUpdatedAt === (c.lastUpdatedAt || 0) &&
+        before.workspace === ws.hash;
+      if (same && previousDir) {
+        unchanged.push(c.composerId);
+      } else {
+        changed.push(c.composerId);
+      }
+    }
+    changedTotal += changed.length;
+    plan.push({ ws, changed, unchanged });
+  }
+
+  const removed = Object.keys(state.chats).filter((id) => !seen[id]);
+  if (previousDir && changedTotal === 0 && removed.length === 0) {
+    state.lastRun = Date.now();
+    writeState(folder, state);
+    log("No chats changed since the last backup; nothing to do.");
+    return {
+      generation: state.lastGeneration,
+      exported: 0,
+      reused: 0,
+      workspaces: plan.length,
+      skipped: true,
+    };
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const generation = `${GENERATION_PREFIX}${stamp}`;
+  const genDir = path.join(folder, generation);
+  fs.mkdirSync(genDir, { recursive: true });
+
+  let exported = 0;
+  let reused = 0;
+  for (const { ws, changed, unchanged } of plan) {
+    const fileName = workspaceFileName(ws);
+    const previousFile = previousDir ? path.join(previousDir, fileName) : null;
+    const target = path.join(genDir, fileName);
+
+    if (changed.length === 0 && previousFile && fs.existsSync(previousFile)) {
+      fs.copyFileSync(previousFile, target);
+      reused += unchanged.length;
+      continue;
+    }
+
+    let obj = {
+      allComposers: [],
+      composers: {},
+      bubbles: {},
+      contents: {},
+      agentKv: {},
+    };
+    let toExport = changed;
+    if (unchanged.length > 0) {
+      // eslint-disable-next-line no-await-in-loop
+      const previous = previousFile ? await readExportFile(previousFile) : null;
+      const carried = previous ? pickChats(previous, new Set(unchanged)) : null;
+      if (carried && carried.allComposers.length === unchanged.length) {
+        obj = carried;
+        reused += unchanged.length;
+      } else {
+        // Previous generation is missing or incomplete: read everything again
+        toExport = changed.concat(unchanged);
+      }
+    }
+    if (toExport.length > 0) {
+      // eslint-disable-next-line no-await-in-loop
+      const fresh = await buildExportObject(
+        { fsPath: ws.path },
+        glUri,
+        toExport,
+      );
+      obj = mergeExports(obj, fresh);
+      exported += fresh.allComposers.length;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await writeExportObject(target, obj);
+  }
+
+  state.lastRun = Date.now();
+  state.lastGeneration = generation;
+  state.chats = seen;
+  writeState(folder, state);
+
+  // Keep only the newest `keep` generations
+  const generations = listGenerations(folder);
+  for (const old of generations.slice(
+    0,
+    Math.max(0, generations.length - Math.max(1, keep)),
+  )) {
+    fs.rmSync(path.join(folder, old), { recursive: true, force: true });
+    log(`Removed old backup generation ${old}`);
+  }
+
+  log(
+    `Backup ${generation}: ${exported} chat(s) exported, ${reused} unchanged chat(s) reused from the previous generation.`,
+  );
+  return {
+    generation,
+    exported,
+    reused,
+    workspaces: plan.length,
+    skipped: false,
+  };
+}
+
+/**
+ * When the last run finished, according to the folder's state file (0 if never).
+ */
+function getLastRun(folder) {
+  return readState(folder).lastRun || 0;
+}
+
+module.exports = {
+  runScheduledBackup,
+  getLastRun,
+  listGenerations,
+};
@@ -0,0 +1,182 @@
+"use strict";
+
+// Bubble `type` values used by Cursor
+const BUBBLE_TYPE_USER = 1;
+const BUBBLE_TYPE_ASSISTANT = 2;
+
+function tryParseJson(text) {
+  if (typeof text !== "string" || text.length === 0) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Return the bubbles of a composer in conversation order.
+ * Order follows the composer's conversation header list
+ * (`fullConversationHeadersOnly`, or the legacy inline `conversation`);
+ * bubbles the header list does not mention are appended by createdAt.
+ * Returns [{ bubbleId, data }] where data is the parsed bubble JSON.
+ */
+function getOrderedBubbles(composerValue, composerBubbles) {
+  const composer = tryParseJson(composerValue) || {};
+  const byId = new Map();
+  for (const bubble of composerBubbles || []) {
+    if (!bubble || !bubble.bubbleId) continue;
+    const data = tryParseJson(bubble.value);
+    if (data) byId.set(bubble.bubbleId, data);
+  }
+
+  const ordered = [];
+  const seen = new Set();
+  const headers = Array.isArray(composer.fullConversationHeadersOnly)
+    ? composer.fullConversationHeadersOnly
+    : Array.isArray(composer.conversation)
+      ? composer.conversation
+      : [];
+  for (const head of headers) {
+    if (!head || !head.bubbleId || seen.has(head.bubbleId)) continue;
+    // Legacy composers store the whole bubble inline in `conversation`
+    const data = byId.get(head.bubbleId) || (head.text != null ? head : null);
+    if (!data) continue;
+    seen.add(head.bubbleId);
+    ordered.push({ bubbleId: head.bubbleId, data });
+  }
+
+  const rest = [];
+  for (const [bubbleId, data] of byId) {
+    if (!seen.has(bubbleId)) rest.push({ bubbleId, data });
+  }
+  rest.sort((a, b) => toTime(a.data.createdAt) - toTime(b.data.createdAt));
+  return ordered.concat(rest);
+}
+
+/**
+ * Merge an incoming version of a composer's stored composerData into the
+ * local one (both JSON text). Conversation headers the local list lacks are
+ * inserted after the last header they follow in the incoming list, so
+ * messages added on either side are kept in order; lastUpdatedAt becomes
+ * the later of the two and every other field keeps its local value.
+ * Returns the merged JSON text, or the local value when either side does
+ * not parse.
+ */
+function mergeComposerConversation(localValue, incomingValue) {
+  const local = tryParseJson(localValue);
+  const incoming = tryParseJson(incomingValue);
+  if (!local || !incoming) return localValue;
+
+  const merged = { ...local };
+  const field = Array.isArray(incoming.fullConversationHeadersOnly)
+    ? "fullConversationHeadersOnly"
+    : Array.isArray(incoming.conversation)
+      ? "conversation"
+      : null;
+  if (field) {
+    const list = Array.isArray(local[field]) ? local[field].slice() : [];
+    let after = -1;
+    for (const head of incoming[field]) {
+      if (!head || !head.bubbleId) continue;
+      const at = list.findIndex((h) => h && h.bubbleId === head.bubbleId);
+      if (at >= 0) {
+        after = at;
+      } else {
+        after += 1;
+        list.splice(after, 0, head);
+      }
+    }
+    merged[field] = list;
+  }
+
+  const times = [local.lastUpdatedAt, incoming.lastUpdatedAt].filter(
+    (t) => typeof t === "number",
+  );
+  if (times.length > 0) merged.lastUpdatedAt = Math.max(...times);
+  return JSON.stringify(merged);
+}
+
+function toTime(value) {
+  if (typeof value === "number") return value;
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? 0 : t;
+}
+
+/**
+ * Normalize a parsed bubble into the parts the renderers care about.
+ * Returns { role, text, codeBlocks: [{ language, code }], toolCalls: [...] }.
+ */
+function describeBubble(data) {
+  const role =
+    data.type === BUBBLE_TYPE_USER
+      ? "user"
+      : data.type === BUBBLE_TYPE_ASSISTANT
+        ? "assistant"
+        : "unknown";
+
+  const text = typeof data.text === "string" ? data.text : "";
+
+  const codeBlocks = [];
+  for (const block of Array.isArray(data.codeBlocks) ? data.codeBlocks : []) {
+    if (!block) continue;
+    const code =
+      typeof block.content === "string"
+        ? block.content
+        : typeof block.code === "string"
+          ? block.code
+          : "";
+    if (!code) continue;
+    codeBlocks.push({
+      language: block.languageId || block.language || "",
+      code,
+    });
+  }
+
+  const toolCalls = [];
+  const tool = data.toolFormerData;
+  if (tool && (tool.name || tool.tool)) {
+    toolCalls.push({
+      name: String(tool.name || tool.tool),
+      status: tool.status || "",
+      args: summarizeArgs(tool.rawArgs != null ? tool.rawArgs : tool.params),
+    });
+  }
+
+  return { role, text, codeBlocks, toolCalls };
+}
+
+/**
+ * Short "key: value" summary of tool-call arguments.
+ */
+function summarizeArgs(raw, maxLength = 120) {
+  let args = raw;
+  if (typeof raw === "string") {
+    args = tryParseJson(raw);
+    if (args == null) return truncate(raw, maxLength);
+  }
+  if (!args || typeof args !== "object") return "";
+  const parts = [];
+  for (const [key, value] of Object.entries(args)) {
+    const shown =
+      typeof value === "string" ? value : JSON.stringify(value) || "";
+    parts.push(`${key}: ${truncate(shown.replace(/\s+/g, " "), 60)}`);
+  }
+  return truncate(parts.join(", "), maxLength);
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function formatTimestamp(value) {
+  const t = toTime(value);
+  return t ? new Date(t).toISOString() : "";
+}
+
+module.exports = {
+  getOrderedBubbles,
+  mergeComposerConversation,
+  describeBubble,
+  formatTimestamp,
+  tryParseJson,
+};
@@ -1,9 +1,8 @@
 'use strict';
 
 const fs = require('fs');
-const os = require('os');
 const path = require('path');
-const { execSync, spawnSync } = require('child_process');
+const { configureSqlite, initSqlite, getSqliteBackend, closeSqlite, findSqlite3, builtinEngineLimit } = require('./sqlite');
 
 function formatBytes(bytes) {
 	const units = ['B', 'KB', 'MB', 'GB'];
@@ -34,170 +33,28 @@ function hexToUtf8(hex) {
 }
 
 /**
- * Find sqlite3 CLI path
+ * Execute SQL through the active SQLite backend (handles WAL mode properly)
  */
-function findSqlite3() {
-	const isWindows = process.platform === 'win32';
-	
-	// Define paths based on platform
-	const paths = isWindows ? [
-		// Common Windows installation paths
-		'C:\\sqlite3\\sqlite3.exe',
-		'C:\\sqlite\\sqlite3.exe',
-		'C:\\Program Files\\sqlite3\\sqlite3.exe',
-		'C:\\Program Files\\sqlite\\sqlite3.exe',
-		'C:\\Program Files (x86)\\sqlite3\\sqlite3.exe',
-		'C:\\Program Files (x86)\\sqlite\\sqlite3.exe',
-		// User-specific paths
-		process.env.LOCALAPPDATA ? `${process.env.LOCALAPPDATA}\\sqlite3\\sqlite3.exe` : null,
-		process.env.APPDATA ? `${process.env.APPDATA}\\sqlite3\\sqlite3.exe` : null,
-		process.env.USERPROFILE ? `${process.env.USERPROFILE}\\sqlite3\\sqlite3.exe` : null,
-		// Chocolatey installation path
-		'C:\\ProgramData\\chocolatey\\bin\\sqlite3.exe',
-		// Scoop installation path
-		process.env.USERPROFILE ? `${process.env.USERPROFILE}\\scoop\\apps\\sqlite\\current\\sqlite3.exe` : null,
-	].filter(Boolean) : [
-		// Unix/macOS paths
-		'/usr/bin/sqlite3',
-		'/usr/local/bin/sqlite3',
-		'/bin/sqlite3',
-		'/opt/homebrew/bin/sqlite3',
-		process.env.HOME ? `${process.env.HOME}/.android_sdk/platform-tools/sqlite3` : null,
-	].filter(Boolean);
-	
-	for (const p of paths) {
-		if (fs.existsSync(p)) {
-			return p;
-		}
-	}
-	
-	// Try to find sqlite3 using system command
+async function execSqlite3(dbPath, sql) {
 	try {
-		if (isWindows) {
-			// Use 'where' command on Windows
-			const result = execSync('where sqlite3', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
-			// 'where' can return multiple lines, take the first one
-			const firstResult = result.split(/\r?\n/)[0];
-			if (firstResult && fs.existsSync(firstResult)) {
-				return firstResult;
-			}
-		} else {
-			// Use 'which' command on Unix/macOS
-			const result = execSync('which sqlite3', { encoding: 'utf8' }).trim();
-			if (result && fs.existsSync(result)) {
-				return result;
-			}
-		}
-	} catch (e) {
-		// Command failed, continue to next check
-	}
-	
-	// On Windows, also try to find sqlite3.exe directly (might be in PATH without extension)
-	if (isWindows) {
-		try {
-			const result = execSync('where sqlite3.exe', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
-			const firstResult = result.split(/\r?\n/)[0];
-			if (firstResult && fs.existsSync(firstResult)) {
-				return firstResult;
-			}
-		} catch (e) {
-			// Ignore
-		}
-	}
-	
-	return null;
-}
-
-/**
- * Execute SQL using sqlite3 CLI (handles WAL mode properly)
- */
-function execSqlite3(dbPath, sql) {
-	const sqlite3Path = findSqlite3();
-	if (!sqlite3Path) {
-		throw new Error('sqlite3 CLI not found. Please install sqlite3.');
-	}
-	
-	try {
-		return runSqlite3Sync(sqlite3Path, ['-cmd', '.timeout 5000', dbPath], sql);
+		await getSqliteBackend().exec(dbPath, sql);
 	} catch (err) {
 		console.error('[sqlite3] Error executing SQL:', err.message);
 		throw err;
 	}
 }
 
-/**
- * Run sqlite3 synchronously without memory buffer limits.
- * Redirects stdout/stderr to temp files so output size is bounded by disk, not RAM.
- */
-function runSqlite3Sync(sqlite3Path, args, input = '') {
-	const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-chat-transfer-'));
-	const stdoutPath = path.join(tempDir, 'stdout.txt');
-	const stderrPath = path.join(tempDir, 'stderr.txt');
-	let outFd = null;
-	let errFd = null;
-
-	try {
-		outFd = fs.openSync(stdoutPath, 'w');
-		errFd = fs.openSync(stderrPath, 'w');
-
-		const result = spawnSync(sqlite3Path, args, {
-			input,
-			stdio: ['pipe', outFd, errFd]
-		});
-
-		if (result.error) {
-			throw result.error;
-		}
-		if (result.signal) {
-			const stderrText = fs.readFileSync(stderrPath, 'utf8').trim();
-			throw new Error(stderrText || `sqlite3 terminated by signal ${result.signal}`);
-		}
-		if (result.status !== 0) {
-			const stderrText = fs.readFileSync(stderrPath, 'utf8').trim();
-			const code = result.status == null ? 'unknown' : String(result.status);
-			throw new Error(stderrText || `sqlite3 exited with code ${code}`);
-		}
-
-		return fs.readFileSync(stdoutPath, 'utf8');
-	} finally {
-		if (typeof outFd === 'number') { try { fs.closeSync(outFd); } catch {} }
-		if (typeof errFd === 'number') { try { fs.closeSync(errFd); } catch {} }
-		if (fs.existsSync(stdoutPath)) { try { fs.unlinkSync(stdoutPath); } catch {} }
-		if (fs.existsSync(stderrPath)) { try { fs.unlinkSync(stderrPath); } catch {} }
-		try { fs.rmdirSync(tempDir); } catch {}
-	}
+// Queries select hex(...) columns so any value survives the trip through
+// the sqlite3 CLI's text output unchanged.
+async function querySingleHexValue(dbPath, sql) {
+	const rows = await getSqliteBackend().query(dbPath, sql);
+	if (rows.length === 0 || !rows[0][0]) return null;
+	return hexToUtf8(rows[0][0]);
 }
 
-function execSqlite3ListHex(dbPath, sql) {
-	// Use a robust encoding strategy:
-	// - query returns HEX(...) so output has only [0-9A-F]
-	// - .mode list + a separator makes multi-column parsing safe
-	const SEP = '\t';
-	const input = [
-		'.timeout 5000',
-		'.mode list',
-		`.separator "${SEP}"`,
-		sql
-	].join('\n') + '\n';
-	return execSqlite3(dbPath, input);
-}
-
-function querySingleHexValue(dbPath, sql) {
-	const out = execSqlite3ListHex(dbPath, sql).trim();
-	if (!out) return null;
-	// If sqlite3 outputs multiple lines, take the first non-empty one
-	const firstLine = out.split(/\r?\n/).map(l => l.trim()).find(Boolean);
-	if (!firstLine) return null;
-	return hexToUtf8(firstLine);
-}
-
-function queryHexRows(dbPath, sql, colCount) {
-	const out = execSqlite3ListHex(dbPath, sql);
-	if (!out) return [];
-	const lines = out.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-	if (lines.length === 0) return [];
-	return lines.map(line => {
-		const cols = line.split('\t');
+async function queryHexRows(dbPath, sql, colCount) {
+	const rows = await getSqliteBackend().query(dbPath, sql);
+	return rows.map(cols => {
 		// Pad/truncate to expected cols
 		while (cols.length < colCount) cols.push('');
 		if (cols.length > colCount) cols.length = colCount;
@@ -206,29 +63,20 @@ function queryHexRows(dbPath, sql, colCount) {
 }
 
 /**
- * Insert or ignore key-value pairs using sqlite3 CLI
+ * Insert or ignore key-value pairs through the active SQLite backend.
+ * `keyValuePairs` is an array or an async iterable (e.g. rows streamed from
+ * an export file). Rows are written in bounded chunks inside one transaction,
+ * with the exact bytes of each key and value. `onProgress(done, total)` is
+ * called after each chunk (total is undefined for iterables); aborting
+ * `signal` between chunks rolls everything back and rejects with "Cancelled".
+ * Returns the number of rows inserted (keys that already existed are skipped).
+ * With `replace`, existing keys are overwritten instead.
  */
-function insertKVWithCLI(dbPath, keyValuePairs) {
+async function insertKVWithCLI(dbPath, keyValuePairs, { signal, onProgress, replace = false } = {}) {
 	if (!keyValuePairs || keyValuePairs.length === 0) return 0;
 	
-	const sqlite3Path = findSqlite3();
-	if (!sqlite3Path) {
-		throw new Error('sqlite3 CLI not found. Please install sqlite3.');
-	}
-	
-	// Build SQL statements
-	let sql = 'BEGIN TRANSACTION;\n';
-	for (const { key, value } of keyValuePairs) {
-		// Escape single quotes in key and value
-		const escapedKey = sqlEscapeLiteral(key);
-		const escapedValue = sqlEscapeLiteral(value);
-		sql += `INSERT OR IGNORE INTO cursorDiskKV (key, value) VALUES ('${escapedKey}', '${escapedValue}');\n`;
-	}
-	sql += 'COMMIT;\n';
-	
 	try {
-		runSqlite3Sync(sqlite3Path, ['-cmd', '.timeout 5000', dbPath], sql);
-		return keyValuePairs.length;
+		return await getSqliteBackend().insertRows(dbPath, 'cursorDiskKV', keyValuePairs, { signal, onChunk: onProgress, replace });
 	} catch (err) {
 		console.error('[sqlite3] Error inserting KV pairs:', err.message);
 		throw err;
@@ -236,20 +84,25 @@ function insertKVWithCLI(dbPath, keyValuePairs) {
 }
 
 /**
- * Update ItemTable using sqlite3 CLI
+ * Delete cursorDiskKV rows by key through the active SQLite backend, in one
+ * transaction. Returns the number of rows deleted.
  */
-function updateItemTableWithCLI(dbPath, key, value) {
-	const sqlite3Path = findSqlite3();
-	if (!sqlite3Path) {
-		throw new Error('sqlite3 CLI not found. Please install sqlite3.');
+async function deleteKVWithCLI(dbPath, keys) {
+	if (!keys || keys.length === 0) return 0;
+	try {
+		return await getSqliteBackend().deleteRows(dbPath, 'cursorDiskKV', keys);
+	} catch (err) {
+		console.error('[sqlite3] Error deleting KV pairs:', err.message);
+		throw err;
 	}
-	
-	const escapedKey = sqlEscapeLiteral(key);
-	const escapedValue = sqlEscapeLiteral(value);
-	const sql = `INSERT OR REPLACE INTO ItemTable (key, value) VALUES ('${escapedKey}', '${escapedValue}');`;
-	
+}
+
+/**
+ * Update ItemTable through the active SQLite backend
+ */
+async function updateItemTableWithCLI(dbPath, key, value) {
 	try {
-		runSqlite3Sync(sqlite3Path, ['-cmd', '.timeout 5000', dbPath], sql);
+		await getSqliteBackend().insertRows(dbPath, 'ItemTable', [{ key, value }], { replace: true });
 	} catch (err) {
 		console.error('[sqlite3] Error updating ItemTable:', err.message);
 		throw err;
@@ -257,19 +110,14 @@ function updateItemTableWithCLI(dbPath, key, value) {
 }
 
 /**
- * Read ItemTable value using sqlite3 CLI (properly handles WAL)
+ * Read ItemTable value through the active SQLite backend (properly handles WAL)
  */
-function readItemTableWithCLI(dbPath, key) {
-	const sqlite3Path = findSqlite3();
-	if (!sqlite3Path) {
-		return null;
-	}
-	
+async function readItemTableWithCLI(dbPath, key) {
 	try {
 		// Use hex(value) to safely transport large JSON/text (no newline/pipe issues)
 		const escapedKey = sqlEscapeLiteral(key);
 		const sql = `SELECT hex(value) FROM ItemTable WHERE key = '${escapedKey}';`;
-		return querySingleHexValue(dbPath, sql);
+		return await querySingleHexValue(dbPath, sql);
 	} catch (err) {
 		console.error('[sqlite3] Error reading ItemTable:', err.message);
 		return null;
@@ -279,21 +127,18 @@ function readItemTableWithCLI(dbPath, key) {
 /**
  * Create a backup of the database before modifying it
  */
-function createBackup(dbPath) {
+async function createBackup(dbPath) {
 	const backupDir = path.dirname(dbPath);
 	const baseName = path.basename(dbPath, '.vscdb');
 	const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
 	const backupPath = path.join(backupDir, `${baseName}.backup-${timestamp}.vscdb`);
 	
-	// Use sqlite3 CLI to create a proper backup (handles WAL)
-	const sqlite3Path = findSqlite3();
-	if (sqlite3Path) {
-		try {
-			execSync(`"${sqlite3Path}" "${dbPath}" ".backup '${backupPath}'"`, { encoding: 'utf8', maxBuffer: Infinity });
-			return backupPath;
-		} catch (e) {
-			console.warn('[db] sqlite3 backup failed, falling back to file copy:', e.message);
-		}
+	// Let SQLite write a consistent copy (handles WAL)
+	try {
+		await getSqliteBackend().backup(dbPath, backupPath);
+		return backupPath;
+	} catch (e) {
+		console.warn('[db] SQLite backup failed, falling back to file copy:', e.message);
 	}
 	
 	// Fallback: Copy main database file
@@ -316,10 +161,13 @@ function createBackup(dbPath) {
 /**
  * Restore database from backup
  */
-function restoreFromBackup(backupPath, targetPath) {
+async function restoreFromBackup(backupPath, targetPath) {
 	if (!fs.existsSync(backupPath)) {
 		throw new Error(`Backup file not found: ${backupPath}`);
 	}
+	// Don't replace the file under our own open connections
+	await closeSqlite(targetPath);
+	await closeSqlite(backupPath);
 	
 	fs.copyFileSync(backupPath, targetPath);
 	
@@ -329,9 +177,14 @@ function restoreFromBackup(backupPath, targetPath) {
 	
 	if (fs.existsSync(walBackup)) {
 		fs.copyFileSync(walBackup, targetPath + '-wal');
+	} else if (fs.existsSync(targetPath + '-wal')) {
+		// A stale WAL from the replaced DB would be replayed over the backup
+		fs.unlinkSync(targetPath + '-wal');
 	}
 	if (fs.existsSync(shmBackup)) {
 		fs.copyFileSync(shmBackup, targetPath + '-shm');
+	} else if (fs.existsSync(targetPath + '-shm')) {
+		fs.unlinkSync(targetPath + '-shm');
 	}
 }
 
@@ -339,6 +192,7 @@ function restoreFromBackup(backupPath, targetPath) {
  * Remove backup files after successful operation
  */
 function removeBackup(backupPath) {
+	closeSqlite(backupPath).catch(() => {});
 	try {
 		if (fs.existsSync(backupPath)) fs.unlinkSync(backupPath);
 		if (fs.existsSync(backupPath + '-wal')) fs.unlinkSync(backupPath + '-wal');
@@ -349,17 +203,12 @@ function removeBackup(backupPath) {
 }
 
 /**
- * Check database integrity using sqlite3 CLI
+ * Check database integrity with PRAGMA integrity_check
  */
 async function checkIntegrity(dbPath) {
-	const sqlite3Path = findSqlite3();
-	if (!sqlite3Path) {
-		return true; // Can't check, assume OK
-	}
-	
 	try {
-		const result = runSqlite3Sync(sqlite3Path, [dbPath, 'PRAGMA integrity_check;']);
-		return result.trim() === 'ok';
+		const backend = await initSqlite();
+		return await backend.integrityCheck(dbPath);
 	} catch (err) {
 		console.error('Integrity check failed:', err);
 		return false;
@@ -368,13 +217,11 @@ async function checkIntegrity(dbPath) {
 
 /**
  * Open SQLite database wrapper for read operations.
- * All DB interactions (read/write) use the sqlite3 CLI.
+ * All DB interactions (read/write) go through the active SQLite backend
+ * (sqlite3 CLI or the built-in engine, see sqlite.js).
  */
 async function openSqliteReadOnly(dbPath) {
-	const sqlite3Path = findSqlite3();
-	if (!sqlite3Path) {
-		throw new Error('sqlite3 CLI not found. Please install sqlite3.');
-	}
+	await initSqlite();
 	if (!dbPath || !fs.existsSync(dbPath)) {
 		throw new Error(`Database file not found: ${dbPath}`);
 	}
@@ -384,96 +231,196 @@ async function openSqliteReadOnly(dbPath) {
 		readOnly: true,
 		
 		closeReadOnly() {
-			// no-op (sqlite3 CLI runs per query)
+			// no-op: connections are shared per DB path and closed when idle
+			// (see sqlite.js) or by closeSqlite()
 		}
 	};
 }
 
-function readItemTableComposer(dbWrapper) {
-	try {
-		const sql = "SELECT hex(value) FROM ItemTable WHERE key = 'composer.composerData';";
-		const text = querySingleHexValue(dbWrapper.path, sql);
-		if (!text) return Promise.resolve(null);
-		return Promise.resolve(JSON.parse(text));
-	} catch (err) {
-		return Promise.reject(err);
-	}
+async function readItemTableComposer(dbWrapper) {
+	const sql = "SELECT hex(value) FROM ItemTable WHERE key = 'composer.composerData';";
+	const text = await querySingleHexValue(dbWrapper.path, sql);
+	return text ? JSON.parse(text) : null;
 }
 
 /**
  * Read composer headers from the global DB (new Cursor schema).
  * Returns { allComposers: [...] } or null.
  */
-function readComposerHeaders(globalDbPath) {
-	try {
-		const sql = "SELECT hex(value) FROM ItemTable WHERE key = 'composer.composerHeaders';";
-		const text = querySingleHexValue(globalDbPath, sql);
-		if (!text) return Promise.resolve(null);
-		const parsed = JSON.parse(text);
-		if (parsed && Array.isArray(parsed.allComposers)) {
-			return Promise.resolve(parsed);
+async function readComposerHeaders(globalDbPath) {
+	const sql = "SELECT hex(value) FROM ItemTable WHERE key = 'composer.composerHeaders';";
+	const text = await querySingleHexValue(globalDbPath, sql);
+	if (!text) return null;
+	const parsed = JSON.parse(text);
+	return parsed && Array.isArray(parsed.allComposers) ? parsed : null;
+}
+
+async function readCursorDiskKV(dbWrapper, key) {
+	const escapedKey = sqlEscapeLiteral(key);
+	const sql = `SELECT hex(value) FROM cursorDiskKV WHERE key = '${escapedKey}';`;
+	return querySingleHexValue(dbWrapper.path, sql);
+}
+
+// Keep each IN (...) list well below SQLite's expression limits
+const KEYS_PER_QUERY = 200;
+
+/**
+ * Read several cursorDiskKV values at once.
+ * Returns a Map of key -> value for the keys that exist.
+ */
+async function readCursorDiskKVMany(dbWrapper, keys) {
+	const found = new Map();
+	const unique = Array.from(new Set(keys || []));
+	for (let i = 0; i < unique.length; i += KEYS_PER_QUERY) {
+		const list = unique
+			.slice(i, i + KEYS_PER_QUERY)
+			.map(k => `'${sqlEscapeLiteral(k)}'`)
+			.join(', ');
+		const sql = `SELECT hex(key), hex(value) FROM cursorDiskKV WHERE key IN (${list});`;
+		// eslint-disable-next-line no-await-in-loop
+		for (const [k, v] of await queryHexRows(dbWrapper.path, sql, 2)) {
+			if (k) found.set(k, v || '');
 		}
-		return Promise.resolve(null);
-	} catch (err) {
-		return Promise.reject(err);
 	}
+	return found;
 }
 
-function readCursorDiskKV(dbWrapper, key) {
-	try {
-		const escapedKey = sqlEscapeLiteral(key);
-		const sql = `SELECT hex(value) FROM cursorDiskKV WHERE key = '${escapedKey}';`;
-		const val = querySingleHexValue(dbWrapper.path, sql);
-		return Promise.resolve(val);
-	} catch (err) {
-		return Promise.reject(err);
-	}
+function toBubble(key, value) {
+	// Extract bubbleId from key: bubbleId:<composerId>:<bubbleId>
+	const parts = key.split(':');
+	if (parts.length < 3 || parts[0] !== 'bubbleId') return null;
+	const bubbleId = parts.slice(2).join(':'); // bubbleId itself could contain colons
+	return { composerId: parts[1], key, value: value || '', bubbleId };
 }
 
 /**
  * Read all bubbles for a composerId.
  * Returns array of { key, value, bubbleId } where key format is bubbleId:<composerId>:<bubbleId>
  */
-function readBubblesForComposer(dbWrapper, composerId) {
-	try {
-		const prefix = `bubbleId:${composerId}:`;
-		const escapedPrefix = sqlEscapeLiteral(prefix);
-		const sql = `SELECT hex(key), hex(value) FROM cursorDiskKV WHERE key LIKE '${escapedPrefix}%';`;
-		const rows = queryHexRows(dbWrapper.path, sql, 2);
-		const bubbles = [];
-		for (const [k, v] of rows) {
-			if (!k) continue;
-			// Extract bubbleId from key: bubbleId:<composerId>:<bubbleId>
-			const parts = k.split(':');
-			if (parts.length >= 3 && parts[0] === 'bubbleId') {
-				const bubbleId = parts.slice(2).join(':'); // bubbleId itself could contain colons
-				bubbles.push({ key: k, value: v || '', bubbleId });
-			}
+async function readBubblesForComposer(dbWrapper, composerId) {
+	const bubbles = await readBubblesForComposers(dbWrapper, [composerId]);
+	return bubbles.get(composerId) || [];
+}
+
+// Composers per bubble query; a chat can have thousands of bubbles, so keep
+// each result set to a reasonable size
+const COMPOSERS_PER_BUBBLE_QUERY = 50;
+
+/**
+ * Read the bubbles of many composers with a few queries.
+ * Each composer is a key range ('bubbleId:<id>:' up to 'bubbleId:<id>;'),
+ * which SQLite answers from the key index instead of scanning like LIKE does.
+ * Returns a Map of composerId -> [{ key, value, bubbleId }].
+ */
+async function readBubblesForComposers(dbWrapper, composerIds) {
+	const result = new Map();
+	const unique = Array.from(new Set(composerIds || []));
+	for (let i = 0; i < unique.length; i += COMPOSERS_PER_BUBBLE_QUERY) {
+		const ranges = unique
+			.slice(i, i + COMPOSERS_PER_BUBBLE_QUERY)
+			.map(id => {
+				const from = sqlEscapeLiteral(`bubbleId:${id}:`);
+				const to = sqlEscapeLiteral(`bubbleId:${id};`);
+				return `(key >= '${from}' AND key < '${to}')`;
+			})
+			.join(' OR ');
+		const sql = `SELECT hex(key), hex(value) FROM cursorDiskKV WHERE ${ranges};`;
+		// eslint-disable-next-line no-await-in-loop
+		for (const [k, v] of await queryHexRows(dbWrapper.path, sql, 2)) {
+			const bubble = k && toBubble(k, v);
+			if (!bubble) continue;
+			const { composerId, ...rest } = bubble;
+			if (!result.has(composerId)) result.set(composerId, []);
+			result.get(composerId).push(rest);
 		}
-		return Promise.resolve(bubbles);
-	} catch (err) {
-		return Promise.reject(err);
 	}
+	return result;
 }
 
 /**
  * List all keys in cursorDiskKV that match a pattern
  */
-function listCursorDiskKVKeys(dbWrapper, pattern) {
-	try {
-		const escapedPattern = sqlEscapeLiteral(pattern);
-		const sql = `SELECT hex(key) FROM cursorDiskKV WHERE key LIKE '${escapedPattern}';`;
-		const out = execSqlite3ListHex(dbWrapper.path, sql);
-		const keys = out
-			.split(/\r?\n/)
-			.map(l => l.trim())
-			.filter(Boolean)
-			.map(hexToUtf8)
-			.filter(Boolean);
-		return Promise.resolve(keys);
-	} catch (err) {
-		return Promise.reject(err);
+async function listCursorDiskKVKeys(dbWrapper, pattern) {
+	const escapedPattern = sqlEscapeLiteral(pattern);
+	const sql = `SELECT hex(key) FROM cursorDiskKV WHERE key LIKE '${escapedPattern}';`;
+	const rows = await getSqliteBackend().query(dbWrapper.path, sql);
+	return rows.map(cols => hexToUtf8(cols[0])).filter(Boolean);
+}
+
+/**
+ * Count the bubbles of every composer in cursorDiskKV. SQLite does the
+ * grouping, so only one row per composer comes back however many bubbles
+ * the DB holds. Returns a Map of composerId -> number of bubbles.
+ */
+async function countBubblesByComposer(dbWrapper) {
+	const sql = `SELECT hex(substr(key, 10, instr(substr(key, 10), ':') - 1)), hex(count(*))
+		FROM cursorDiskKV
+		WHERE key >= 'bubbleId:' AND key < 'bubbleId;' AND instr(substr(key, 10), ':') > 1
+		GROUP BY 1;`;
+	const counts = new Map();
+	for (const [composerId, count] of await queryHexRows(dbWrapper.path, sql, 2)) {
+		if (composerId) counts.set(composerId, Number(count) || 0);
+	}
+	return counts;
+}
+
+// Most spellings of a search term tried for its letters outside ASCII
+const SEARCH_MAX_SPELLINGS = 16;
+
+/**
+ * The spellings of a search term to look for in lower()ed bubble values.
+ * SQLite's lower() only folds ASCII letters, so those are lowered here the
+ * same way, and other letters are tried in both cases (as typed once the
+ * spellings run out). The term is escaped the way JSON stores it, since
+ * bubble values are searched as raw JSON.
+ */
+function searchSpellings(term) {
+	let spellings = [''];
+	for (const ch of JSON.stringify(String(term)).slice(1, -1)) {
+		let forms = ch.charCodeAt(0) < 128
+			? [ch.toLowerCase()]
+			: Array.from(new Set([ch, ch.toLowerCase(), ch.toUpperCase()].map(f => f.replace(/[A-Z]/g, c => c.toLowerCase()))));
+		if (spellings.length * forms.length > SEARCH_MAX_SPELLINGS) forms = [ch];
+		spellings = spellings.flatMap(s => forms.map(f => s + f));
+	}
+	return spellings;
+}
+
+/**
+ * Case-insensitive substring search over bubble values (see searchSpellings
+ * for letters outside ASCII).
+ * Runs asynchronously (cancellable via AbortSignal) and only ships the key
+ * plus a short window around the first match back from sqlite3, so large
+ * global DBs never get loaded into memory. The built-in engine keeps the DB
+ * in memory anyway and searches in-process.
+ * Returns [{ key, composerId, bubbleId, snippet }].
+ */
+async function searchBubbles(dbPath, term, { limit = 200, signal } = {}) {
+	const backend = await initSqlite();
+	const finds = searchSpellings(term).map(s => `instr(lower(CAST(value AS TEXT)), '${sqlEscapeLiteral(s)}')`);
+	// Scalar max() needs two arguments or more; with one it is the aggregate
+	const pos = finds.length > 1 ? `max(${finds.join(', ')})` : finds[0];
+	const sql = [
+		`SELECT hex(key), hex(substr(text, max(pos - 80, 1), 240)) FROM (`,
+		`  SELECT key, CAST(value AS TEXT) AS text, ${pos} AS pos`,
+		`  FROM cursorDiskKV WHERE key LIKE 'bubbleId:%'`,
+		`) WHERE pos > 0 LIMIT ${Math.max(1, Math.floor(limit))};`,
+	].join('\n');
+	const rows = await backend.query(dbPath, sql, { signal });
+	const results = [];
+	for (const [keyHex, snippetHex] of rows) {
+		const key = hexToUtf8(keyHex);
+		if (!key) continue;
+		const parts = key.split(':');
+		if (parts.length < 3) continue;
+		results.push({
+			key,
+			composerId: parts[1],
+			bubbleId: parts.slice(2).join(':'),
+			snippet: hexToUtf8(snippetHex) || ''
+		});
 	}
+	return results;
 }
 
 /**
@@ -488,11 +435,26 @@ function listBackups(dbPath) {
 		const files = fs.readdirSync(dir);
 		return files
 			.filter(f => pattern.test(f) && !f.endsWith('-wal') && !f.endsWith('-shm'))
-			.map(f => ({
-				path: path.join(dir, f),
-				name: f,
-				timestamp: f.match(/backup-(.+)\.vscdb$/)?.[1] || ''
-			}))
+			.map(f => {
+				const fullPath = path.join(dir, f);
+				// Size includes the WAL/SHM side files of file-copy backups
+				let size = 0;
+				let mtime = 0;
+				for (const p of [fullPath, fullPath + '-wal', fullPath + '-shm']) {
+					try {
+						const stat = fs.statSync(p);
+						size += stat.size;
+						if (p === fullPath) mtime = stat.mtimeMs || 0;
+					} catch {}
+				}
+				return {
+					path: fullPath,
+					name: f,
+					timestamp: f.match(/backup-(.+)\.vscdb$/)?.[1] || '',
+					size,
+					mtime
+				};
+			})
 			.sort((a, b) => b.timestamp.localeCompare(a.timestamp)); // Most recent first
 	} catch (err) {
 		console.error('Error listing backups:', err);
@@ -500,24 +462,56 @@ function listBackups(dbPath) {
 	}
 }
 
+/**
+ * Delete old backups of a database according to a retention policy:
+ * keep at most `keep` of the most recent backups, and drop any older than
+ * `maxAgeDays` (0 disables that rule). Returns the removed backups.
+ */
+function pruneBackups(dbPath, { keep = 5, maxAgeDays = 0 } = {}) {
+	const backups = listBackups(dbPath);
+	const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+	const removed = [];
+	backups.forEach((backup, index) => {
+		const tooMany = index >= Math.max(0, keep);
+		const tooOld = cutoff > 0 && backup.mtime > 0 && backup.mtime < cutoff;
+		if (tooMany || tooOld) {
+			removeBackup(backup.path);
+			removed.push(backup);
+		}
+	});
+	return removed;
+}
+
 module.exports = {
 	openSqliteReadOnly,
 	readItemTableComposer,
 	readComposerHeaders,
 	readCursorDiskKV,
+	readCursorDiskKVMany,
 	readBubblesForComposer,
+	readBubblesForComposers,
 	listCursorDiskKVKeys,
+	countBubblesByComposer,
+	searchBubbles,
 	// CLI-based write operations (handles WAL properly)
 	insertKVWithCLI,
+	deleteKVWithCLI,
 	updateItemTableWithCLI,
 	readItemTableWithCLI,
 	execSqlite3,
 	findSqlite3,
+	// SQLite engine selection (sqlite3 CLI or built-in)
+	configureSqlite,
+	initSqlite,
+	getSqliteBackend,
+	closeSqlite,
+	builtinEngineLimit,
 	// Backup operations
 	checkIntegrity,
 	createBackup,
 	restoreFromBackup,
 	removeBackup,
 	listBackups,
+	pruneBackups,
 	formatBytes,
 };
@@ -0,0 +1,632 @@
+"use strict";
+
+// Diagnostics for a workspace DB and the global DB it reads its chats from:
+// finds the inconsistencies that keep chats from showing up in Cursor, or
+// leave dead data behind, and fixes them one class of problem at a time.
+// Fixes back up the databases they change first and keep the backups when
+// something fails, like imports and moves do.
+
+const fs = require("fs");
+const path = require("path");
+const {
+  openSqliteReadOnly,
+  listCursorDiskKVKeys,
+  countBubblesByComposer,
+  readCursorDiskKVMany,
+  readItemTableWithCLI,
+  updateItemTableWithCLI,
+  deleteKVWithCLI,
+  checkIntegrity,
+  createBackup,
+  removeBackup,
+  restoreFromBackup,
+  listBackups,
+} = require("./db");
+const {
+  buildWorkspaceIdentifier,
+  targetSchemaStage,
+  withSelectedComposers,
+  withoutComposers,
+  globalHeader,
+  workspaceHeader,
+} = require("./transfer");
+
+// Problem classes in report order, with what their fix does; fixes with a
+// `confirm` text should only be applied once the user agreed to it
+const PROBLEMS = [
+  {
+    kind: "integrity",
+    title: "Databases that fail the SQLite integrity check",
+    fix: "Restore the newest backup that passes the check",
+    unit: "database",
+  },
+  {
+    kind: "headersWithoutData",
+    title: "Chats listed without their data (no composerData)",
+    fix: "Remove them from the chat lists",
+    unit: "chat",
+  },
+  {
+    kind: "dataWithoutHeaders",
+    title: "Chat data that no chat list points to",
+    fix: "List these chats in this workspace",
+    unit: "chat",
+    confirm:
+      "Chat data without a list entry can also be left over from chats deleted in Cursor; listing it brings those chats back.",
+  },
+  {
+    kind: "orphanedBubbles",
+    title: "Messages (bubbleId entries) of chats whose data is gone",
+    fix: "Delete the orphaned messages",
+    unit: "chat",
+  },
+  {
+    kind: "staleSelection",
+    title: "selectedComposerIds entries that point at missing chats",
+    fix: "Remove them from the workspace's selection",
+    unit: "chat",
+  },
+  {
+    kind: "unknownWorkspaces",
+    title: "Chats assigned to a workspace with no workspaceStorage folder",
+    fix: "Move them to this workspace",
+    unit: "chat",
+  },
+];
+
+const COMPOSER_DATA_PREFIX = "composerData:";
+// composerData values read at a time when looking for sub-composers
+const SCAN_BATCH = 200;
+const UUID_PATTERN =
+  /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+// Header fields that can be read back from a chat's composerData
+const HEADER_FIELDS = [
+  "name",
+  "createdAt",
+  "lastUpdatedAt",
+  "unifiedMode",
+  "forceMode",
+];
+
+function parseJson(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function headerList(value) {
+  return value && Array.isArray(value.allComposers)
+    ? value.allComposers.filter((c) => c && c.composerId)
+    : null;
+}
+
+/**
+ * A header for a chat that has lost its own, from what its composerData
+ * still records.
+ */
+function headerFromComposerData(composerId, data) {
+  const header = { composerId };
+  for (const field of HEADER_FIELDS) {
+    if (data && data[field] !== undefined) header[field] = data[field];
+  }
+  if (!header.lastUpdatedAt && header.createdAt) {
+    header.lastUpdatedAt = header.createdAt;
+  }
+  return header;
+}
+
+/**
+ * Whether a chat's own composerData marks it as part of another chat (a
+ * best-of-N attempt or a subagent run), which Cursor shows inside its
+ * parent rather than in a chat list.
+ */
+function isSubComposerData(data) {
+  return Boolean(
+    data &&
+    (data.isBestOfNSubcomposer === true ||
+      typeof data.parentComposerId === "string" ||
+      (data.subagentInfo && data.subagentInfo.parentComposerId)),
+  );
+}
+
+/**
+ * The IDs in `candidates` that another chat's header or composerData
+ * mentions, such as the sub-composers a parent chat keeps. Any mention
+ * counts, so such data is left unlisted rather than turned into a chat of
+ * its own. The values are read in batches, never the whole DB at once.
+ */
+async function findReferencedComposers(glDb, dataIds, headers, candidates) {
+  const referenced = new Set();
+  const scan = (text, ownId) => {
+    for (const id of String(text).match(UUID_PATTERN) || []) {
+      if (id !== ownId && candidates.has(id)) referenced.add(id);
+    }
+  };
+  for (const c of headers) scan(JSON.stringify(c), c.composerId);
+  const ids = Array.from(dataIds);
+  for (let i = 0; i < ids.length; i += SCAN_BATCH) {
+    // eslint-disable-next-line no-await-in-loop
+    const values = await readCursorDiskKVMany(
+      glDb,
+      ids.slice(i, i + SCAN_BATCH).map((id) => COMPOSER_DATA_PREFIX + id),
+    );
+    for (const [key, value] of values) {
+      scan(value, key.slice(COMPOSER_DATA_PREFIX.length));
+    }
+  }
+  return referenced;
+}
+
+/**
+ * The workspaceStorage folders next to the given workspace DB's, and the
+ * chat IDs every one of them lists in its own allComposers (stages 0 and 1).
+ */
+async function scanWorkspaceStorage(wsDbPath) {
+  const storageDir = path.dirname(path.dirname(wsDbPath));
+  const folders = new Set();
+  const listed = new Set();
+  let entries = [];
+  try {
+    entries = fs.readdirSync(storageDir, { withFileTypes: true });
+  } catch {}
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    folders.add(entry.name);
+    const dbPath = path.join(storageDir, entry.name, "state.vscdb");
+    if (!fs.existsSync(dbPath)) continue;
+    // eslint-disable-next-line no-await-in-loop
+    const data = parseJson(
+      await readItemTableWithCLI(dbPath, "composer.composerData"),
+    );
+    for (const c of headerList(data) || []) listed.add(c.composerId);
+  }
+  return { folders, listed };
+}
+
+/**
+ * Inspect a workspace DB and the global DB for the problems in PROBLEMS.
+ * Chats are looked up across the whole global DB, so data listed only by
+ * another workspace is not reported as unlisted, nor is the data of
+ * sub-composers, which belong to a parent chat. When either DB fails the
+ * integrity check the other checks are skipped, as their results could not
+ * be trusted.
+ * Returns { wsDbPath, glDbPath, workspaceId, schemaStage, checkedAt,
+ * totals: { chats, headers, bubbles }, skipped, problems }, where problems
+ * lists the classes found, each { kind, title, fix, unit, items }.
+ */
+async function diagnose({ wsDbPath, glDbPath }) {
+  const report = {
+    wsDbPath,
+    glDbPath,
+    workspaceId: path.basename(path.dirname(wsDbPath)),
+    schemaStage: null,
+    checkedAt: new Date().toISOString(),
+    totals: { chats: 0, headers: 0, bubbles: 0 },
+    skipped: false,
+    problems: [],
+  };
+  const found = new Map(PROBLEMS.map((p) => [p.kind, []]));
+
+  for (const [label, dbPath] of [
+    ["workspace", wsDbPath],
+    ["global", glDbPath],
+  ]) {
+    // eslint-disable-next-line no-await-in-loop
+    if (!(await checkIntegrity(dbPath))) {
+      found.get("integrity").push({ label, dbPath });
+    }
+  }
+  if (found.get("integrity").length > 0) {
+    report.skipped = true;
+  } else {
+    report.schemaStage = (await targetSchemaStage(wsDbPath, glDbPath)).stage;
+    const glHeaders =
+      headerList(
+        parseJson(
+          await readItemTableWithCLI(glDbPath, "composer.composerHeaders"),
+        ),
+      ) || [];
+    const wsData =
+      parseJson(
+        await readItemTableWithCLI(wsDbPath, "composer.composerData"),
+      ) || {};
+    const wsHeaders = headerList(wsData) || [];
+    const storage = await scanWorkspaceStorage(wsDbPath);
+    const listedIds = new Set([
+      ...glHeaders.map((c) => c.composerId),
+      ...wsHeaders.map((c) => c.composerId),
+      ...storage.listed,
+    ]);
+
+    const glDb = await openSqliteReadOnly(glDbPath);
+    let dataIds;
+    let bubbleCounts;
+    try {
+      dataIds = new Set(
+        (await listCursorDiskKVKeys(glDb, `${COMPOSER_DATA_PREFIX}%`))
+          .filter((k) => k.startsWith(COMPOSER_DATA_PREFIX))
+          .map((k) => k.slice(COMPOSER_DATA_PREFIX.length)),
+      );
+      bubbleCounts = await countBubblesByComposer(glDb);
+      // Data no list of this machine points to; its composerData still
+      // holds what a header needs
+      let unlistedIds = Array.from(dataIds).filter((id) => !listedIds.has(id));
+      if (unlistedIds.length > 0) {
+        const referenced = await findReferencedComposers(
+          glDb,
+          dataIds,
+          [...glHeaders, ...wsHeaders],
+          new Set(unlistedIds),
+        );
+        unlistedIds = unlistedIds.filter((id) => !referenced.has(id));
+      }
+      const values = await readCursorDiskKVMany(
+        glDb,
+        unlistedIds.map((id) => COMPOSER_DATA_PREFIX + id),
+      );
+      for (const id of unlistedIds) {
+        const data = parseJson(values.get(COMPOSER_DATA_PREFIX + id));
+        if (isSubComposerData(data)) continue;
+        const header = headerFromComposerData(id, data);
+        found.get("dataWithoutHeaders").push({
+          composerId: id,
+          name: header.name || "",
+          bubbles: bubbleCounts.get(id) || 0,
+          header,
+        });
+      }
+    } finally {
+      glDb.closeReadOnly();
+    }
+
+    report.totals.chats = dataIds.size;
+    report.totals.headers = glHeaders.length + wsHeaders.length;
+    for (const count of bubbleCounts.values()) report.totals.bubbles += count;
+
+    // Listed in the global headers or this workspace's list, but no data
+    const withoutData = new Map();
+    for (const [where, list] of [
+      ["global headers", glHeaders],
+      ["workspace list", wsHeaders],
+    ]) {
+      for (const c of list) {
+        if (dataIds.has(c.composerId)) continue;
+        const item = withoutData.get(c.composerId) || {
+          composerId: c.composerId,
+          name: c.name || "",
+          where: [],
+        };
+        item.where.push(where);
+        withoutData.set(c.composerId, item);
+      }
+    }
+    found.get("headersWithoutData").push(...withoutData.values());
+
+    for (const [id, count] of bubbleCounts) {
+      if (!dataIds.has(id)) {
+        found.get("orphanedBubbles").push({ composerId: id, bubbles: count });
+      }
+    }
+
+    const selected = new Set([
+      ...(Array.isArray(wsData.selectedComposerIds)
+        ? wsData.selectedComposerIds
+        : []),
+      ...(Array.isArray(wsData.lastFocusedComposerIds)
+        ? wsData.lastFocusedComposerIds
+        : []),
+    ]);
+    for (const id of selected) {
+      if (typeof id === "string" && !dataIds.has(id)) {
+        found.get("staleSelection").push({ composerId: id });
+      }
+    }
+
+    // Headers without data are already reported above; moving them would
+    // only move a broken entry
+    for (const c of glHeaders) {
+      const ws = c.workspaceIdentifier && c.workspaceIdentifier.id;
+      if (!ws || storage.folders.has(ws) || !dataIds.has(c.composerId)) {
+        continue;
+      }
+      found.get("unknownWorkspaces").push({
+        composerId: c.composerId,
+        name: c.name || "",
+        workspaceId: ws,
+        header: c,
+      });
+    }
+  }
+
+  report.problems = PROBLEMS.filter((p) => found.get(p.kind).length > 0).map(
+    (p) => ({ ...p, items: found.get(p.kind) }),
+  );
+  return report;
+}
+
+function describeItem(kind, item) {
+  const name = item.name ? `"${item.name}" ` : "";
+  switch (kind) {
+    case "integrity":
+      return `${item.label} DB: ${item.dbPath}`;
+    case "headersWithoutData":
+      return `${name}[${item.composerId}] in the ${item.where.join(" and ")}`;
+    case "dataWithoutHeaders":
+      return `${name}[${item.composerId}], ${item.bubbles} message(s)`;
+    case "orphanedBubbles":
+      return `[${item.composerId}]: ${item.bubbles} message(s)`;
+    case "unknownWorkspaces":
+      return `${name}[${item.composerId}] in workspace ${item.workspaceId}`;
+    default:
+      return `[${item.composerId}]`;
+  }
+}
+
+/**
+ * The report as lines of text, for the output channel or a terminal.
+ */
+function formatReport(report) {
+  const lines = [
+    `Chat storage report (${report.checkedAt})`,
+    `Workspace DB: ${report.wsDbPath}${report.schemaStage !== null ? ` (schema stage ${report.schemaStage})` : ""}`,
+    `Global DB: ${report.glDbPath}`,
+  ];
+  if (report.skipped) {
+    lines.push(
+      "The other checks were skipped; fix the integrity problem first.",
+    );
+  } else {
+    lines.push(
+      `Checked ${report.totals.chats} chat(s) with data, ${report.totals.headers} list entries and ${report.totals.bubbles} message(s).`,
+    );
+  }
+  if (report.problems.length === 0) {
+    lines.push("No problems found.");
+    return lines;
+  }
+  for (const problem of report.problems) {
+    lines.push("");
+    lines.push(`${problem.title}: ${problem.items.length}`);
+    for (const item of problem.items) {
+      lines.push(`  - ${describeItem(problem.kind, item)}`);
+    }
+    lines.push(`  Fix: ${problem.fix}`);
+  }
+  return lines;
+}
+
+/**
+ * Back up `dbPaths`, run `change()` and check the databases' integrity
+ * afterwards. Backups are removed on success and kept when anything fails.
+ */
+async function changeWithBackups(dbPaths, change) {
+  const backups = [];
+  try {
+    for (const dbPath of dbPaths) {
+      // eslint-disable-next-line no-await-in-loop
+      backups.push(await createBackup(dbPath));
+    }
+    const result = await change();
+    for (const dbPath of dbPaths) {
+      // eslint-disable-next-line no-await-in-loop
+      if (!(await checkIntegrity(dbPath))) {
+        throw new Error(
+          `Database integrity check failed after the fix: ${dbPath}.`,
+        );
+      }
+    }
+    backups.forEach(removeBackup);
+    return result;
+  } catch (err) {
+    console.error("[doctor] Fix failed:", err);
+    console.log("[doctor] Backups preserved for recovery:");
+    backups.forEach((b) => console.log(`  ${b}`));
+    throw err;
+  }
+}
+
+/**
+ * Put each failing DB back to its newest backup that passes the integrity
+ * check. The damaged database is backed up first and that copy is kept.
+ */
+async function restoreIntactBackups(items) {
+  let fixed = 0;
+  for (const { dbPath } of items) {
+    let intact = null;
+    for (const backup of listBackups(dbPath)) {
+      // eslint-disable-next-line no-await-in-loop
+      if (await checkIntegrity(backup.path)) {
+        intact = backup;
+        break;
+      }
+    }
+    if (!intact) {
+      throw new Error(
+        `No backup of ${dbPath} passes the integrity check; it cannot be repaired automatically.`,
+      );
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const damaged = await createBackup(dbPath);
+    console.log(`[doctor] Damaged database saved as ${damaged}`);
+    // eslint-disable-next-line no-await-in-loop
+    await restoreFromBackup(intact.path, dbPath);
+    // eslint-disable-next-line no-await-in-loop
+    if (!(await checkIntegrity(dbPath))) {
+      // eslint-disable-next-line no-await-in-loop
+      await restoreFromBackup(damaged, dbPath);
+      throw new Error(
+        `${dbPath} still failed the integrity check after restoring ${intact.name}; the previous state was put back.`,
+      );
+    }
+    console.log(`[doctor] Restored ${dbPath} from ${intact.name}`);
+    fixed += 1;
+  }
+  return fixed;
+}
+
+/**
+ * Drop chats from the global headers and the workspace's lists.
+ */
+async function unlistComposers(wsDbPath, glDbPath, ids) {
+  const glHeaders = parseJson(
+    await readItemTableWithCLI(glDbPath, "composer.composerHeaders"),
+  );
+  const glList = headerList(glHeaders);
+  if (glList && glList.some((c) => ids.has(c.composerId))) {
+    await updateItemTableWithCLI(
+      glDbPath,
+      "composer.composerHeaders",
+      JSON.stringify({
+        ...glHeaders,
+        allComposers: glHeaders.allComposers.filter(
+          (c) => !c || !ids.has(c.composerId),
+        ),
+      }),
+    );
+  }
+  const wsJson = await readItemTableWithCLI(wsDbPath, "composer.composerData");
+  if (wsJson) {
+    await updateItemTableWithCLI(
+      wsDbPath,
+      "composer.composerData",
+      JSON.stringify(withoutComposers(JSON.parse(wsJson), ids)),
+    );
+  }
+}
+
+/**
+ * List chats in the workspace where its schema stage has Cursor look for
+ * them (see targetSchemaStage): the global headers point at the workspace,
+ * and on stages 0 and 1 its own allComposers lists them too.
+ */
+async function listComposersInWorkspace(wsDbPath, glDbPath, headers) {
+  const target = await targetSchemaStage(wsDbPath, glDbPath);
+  const workspaceIdentifier = buildWorkspaceIdentifier(wsDbPath);
+  const ids = new Set(headers.map((c) => c.composerId));
+
+  let glHeaders = parseJson(
+    await readItemTableWithCLI(glDbPath, "composer.composerHeaders"),
+  );
+  if (!target.listsInWorkspace || glHeaders) {
+    if (!headerList(glHeaders)) {
+      glHeaders = { ...(glHeaders || {}), allComposers: [] };
+    }
+    const listed = target.listsInWorkspace
+      ? glHeaders.allComposers.filter((c) => c && ids.has(c.composerId))
+      : headers;
+    glHeaders.allComposers = glHeaders.allComposers
+      .filter((c) => !c || !ids.has(c.composerId))
+      .concat(listed.map((c) => globalHeader(c, workspaceIdentifier)));
+    await updateItemTableWithCLI(
+      glDbPath,
+      "composer.composerHeaders",
+      JSON.stringify(glHeaders),
+    );
+  }
+
+  const wsJson = await readItemTableWithCLI(wsDbPath, "composer.composerData");
+  if (wsJson || target.listsInWorkspace) {
+    const current = wsJson ? JSON.parse(wsJson) : {};
+    const next = withSelectedComposers(current, Array.from(ids));
+    if (target.listsInWorkspace) {
+      next.allComposers = (headerList(current) || [])
+        .filter((c) => !ids.has(c.composerId))
+        .concat(headers.map((c) => workspaceHeader(c)));
+    }
+    await updateItemTableWithCLI(
+      wsDbPath,
+      "composer.composerData",
+      JSON.stringify(next),
+    );
+  }
+}
+
+function itemKey(item) {
+  return item.composerId || item.dbPath;
+}
+
+/**
+ * Apply the fix of one problem class of a report from diagnose(). The
+ * databases are diagnosed again first, and only the report's items that are
+ * still broken are fixed, so nothing the user was not shown is touched.
+ * Returns { fixed } with the number of databases or chats fixed; run
+ * diagnose() again afterwards for the new state.
+ */
+async function applyFix(report, kind) {
+  const reported = report.problems.find((p) => p.kind === kind);
+  if (!reported) return { fixed: 0 };
+  const { wsDbPath, glDbPath } = report;
+  const current = await diagnose({ wsDbPath, glDbPath });
+  const shown = new Set(reported.items.map(itemKey));
+  const problem = current.problems.find((p) => p.kind === kind);
+  const items = problem
+    ? problem.items.filter((item) => shown.has(itemKey(item)))
+    : [];
+  if (items.length === 0) return { fixed: 0 };
+  const ids = new Set(items.map((item) => item.composerId));
+
+  if (kind === "integrity") {
+    return { fixed: await restoreIntactBackups(items) };
+  }
+  if (current.skipped) {
+    throw new Error(
+      "Fix the databases that fail the integrity check first, then run the diagnosis again.",
+    );
+  }
+  if (kind === "headersWithoutData") {
+    await changeWithBackups([wsDbPath, glDbPath], () =>
+      unlistComposers(wsDbPath, glDbPath, ids),
+    );
+  } else if (kind === "dataWithoutHeaders" || kind === "unknownWorkspaces") {
+    await changeWithBackups([wsDbPath, glDbPath], () =>
+      listComposersInWorkspace(
+        wsDbPath,
+        glDbPath,
+        items.map((item) => item.header),
+      ),
+    );
+  } else if (kind === "orphanedBubbles") {
+    await changeWithBackups([glDbPath], async () => {
+      const glDb = await openSqliteReadOnly(glDbPath);
+      const keys = [];
+      try {
+        for (const id of ids) {
+          const prefix = `bubbleId:${id}:`;
+          // eslint-disable-next-line no-await-in-loop
+          for (const key of await listCursorDiskKVKeys(glDb, `${prefix}%`)) {
+            if (key.startsWith(prefix)) keys.push(key);
+          }
+        }
+      } finally {
+        glDb.closeReadOnly();
+      }
+      await deleteKVWithCLI(glDbPath, keys);
+    });
+  } else if (kind === "staleSelection") {
+    await changeWithBackups([wsDbPath], async () => {
+      const wsJson = await readItemTableWithCLI(
+        wsDbPath,
+        "composer.composerData",
+      );
+      if (!wsJson) return;
+      await updateItemTableWithCLI(
+        wsDbPath,
+        "composer.composerData",
+        JSON.stringify(withoutComposers(JSON.parse(wsJson), ids)),
+      );
+    });
+  } else {
+    throw new Error(`Unknown problem class: ${kind}`);
+  }
+  return { fixed: ids.size };
+}
+
+module.exports = {
+  PROBLEMS,
+  diagnose,
+  formatReport,
+  applyFix,
+};
@@ -0,0 +1,337 @@
+"use strict";
+
+// Passphrase encryption for export files.
+//
+// An encrypted export starts with two text lines and is followed by binary
+// segments:
+//
+//   CURSOR-CHAT-TRANSFER-ENCRYPTED 1
+//   {"cipher":"aes-256-gcm","kdf":{...},"nonce":"...","compression":"gzip"} <check>
+//   [flag][length][ciphertext][tag] ...
+//
+// The passphrase is stretched with scrypt into an AES-256-GCM key and a MAC
+// key. <check> is an HMAC of the header under the MAC key, so a wrong
+// passphrase is told apart from a damaged file before anything is decrypted.
+// The payload (the gzip-compressed export) is cut into segments that are
+// encrypted and authenticated one by one; each segment's nonce carries its
+// number and its additional data the header and a final-segment flag, so
+// segments cannot be modified, reordered or dropped without the reader
+// noticing.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { Transform } = require("stream");
+
+const MAGIC = "CURSOR-CHAT-TRANSFER-ENCRYPTED 1\n";
+const CIPHER = "aes-256-gcm";
+const SEGMENT_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const SEGMENT_HEADER_LENGTH = 5; // flag byte + uint32 ciphertext length
+const NONCE_PREFIX_LENGTH = 8;
+const MAX_HEADER_LENGTH = 4096;
+// scrypt cost: 128 MB and around half a second per derivation
+const KDF_DEFAULTS = { N: 2 ** 17, r: 8, p: 1 };
+// Limits on the (unauthenticated) header's scrypt parameters, checked before
+// deriving: memory is 128 * N * r bytes and time grows with p * N
+const KDF_MAX_MEMORY = 256 * 1024 * 1024;
+const KDF_MAX_WORK = 2 ** 18;
+
+function wrongPassphraseError() {
+  return Object.assign(
+    new Error("Wrong passphrase for this encrypted export file."),
+    { code: "WRONG_PASSPHRASE" },
+  );
+}
+
+function damagedError(detail) {
+  return Object.assign(
+    new Error(
+      `The encrypted export file is damaged or has been tampered with (${detail}).`,
+    ),
+    { code: "ENCRYPTED_FILE_DAMAGED" },
+  );
+}
+
+function passphraseRequiredError() {
+  return Object.assign(
+    new Error("This export file is encrypted; a passphrase is needed."),
+    { code: "PASSPHRASE_REQUIRED" },
+  );
+}
+
+/**
+ * Whether a file is an encrypted export, going by its first bytes.
+ */
+function isEncryptedExport(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(MAGIC.length);
+    const read = fs.readSync(fd, head, 0, head.length, 0);
+    return read === head.length && head.toString("latin1") === MAGIC;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function deriveKeys(passphrase, kdf) {
+  const { N, r, p } = kdf;
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(
+      String(passphrase).normalize("NFC"),
+      Buffer.from(kdf.salt, "base64"),
+      64,
+      { N, r, p, maxmem: 256 * N * r },
+      (err, key) =>
+        err
+          ? reject(err)
+          : resolve({ encKey: key.subarray(0, 32), macKey: key.subarray(32) }),
+    );
+  });
+}
+
+function headerCheck(macKey, headerText) {
+  return crypto
+    .createHmac("sha256", macKey)
+    .update(headerText)
+    .digest("base64");
+}
+
+function segmentNonce(prefix, index) {
+  const nonce = Buffer.alloc(NONCE_PREFIX_LENGTH + 4);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  return nonce;
+}
+
+function segmentAad(headerBytes, final) {
+  return Buffer.concat([headerBytes, Buffer.from([final ? 1 : 0])]);
+}
+
+/**
+ * A Transform stream that encrypts what is written to it with `passphrase`.
+ * Key derivation runs in the background and the header is written with the
+ * first segment. The data written should already be compressed; the header
+ * records it as gzip.
+ */
+function createEncryptStream(passphrase) {
+  const header = {
+    cipher: CIPHER,
+    kdf: {
+      name: "scrypt",
+      ...KDF_DEFAULTS,
+      salt: crypto.randomBytes(16).toString("base64"),
+    },
+    nonce: crypto.randomBytes(NONCE_PREFIX_LENGTH).toString("base64"),
+    segmentSize: SEGMENT_SIZE,
+    compression: "gzip",
+  };
+  const headerText = JSON.stringify(header);
+  const headerBytes = Buffer.from(headerText, "utf8");
+  const noncePrefix = Buffer.from(header.nonce, "base64");
+  const keys = deriveKeys(passphrase, header.kdf);
+  // Keep a rejected derivation from being reported as unhandled before the
+  // first write awaits it
+  keys.catch(() => {});
+
+  let started = false;
+  let index = 0;
+  let pending = [];
+  let pendingLength = 0;
+
+  async function start(stream) {
+    if (started) return;
+    const { macKey } = await keys;
+    stream.push(
+      `${MAGIC}${headerText} ${headerCheck(macKey, headerText)}\n`,
+      "utf8",
+    );
+    started = true;
+  }
+
+  async function pushSegment(stream, plain, final) {
+    const { encKey } = await keys;
+    const cipher = crypto.createCipheriv(
+      CIPHER,
+      encKey,
+      segmentNonce(noncePrefix, index),
+    );
+    cipher.setAAD(segmentAad(headerBytes, final));
+    const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+    const head = Buffer.alloc(SEGMENT_HEADER_LENGTH);
+    head[0] = final ? 1 : 0;
+    head.writeUInt32BE(encrypted.length, 1);
+    stream.push(Buffer.concat([head, encrypted, cipher.getAuthTag()]));
+    index += 1;
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending.push(chunk);
+      pendingLength += chunk.length;
+      (async () => {
+        await start(this);
+        if (pendingLength < SEGMENT_SIZE) return;
+        let data = Buffer.concat(pending);
+        while (data.length >= SEGMENT_SIZE) {
+          await pushSegment(this, data.subarray(0, SEGMENT_SIZE), false);
+          data = data.subarray(SEGMENT_SIZE);
+        }
+        pending = data.length > 0 ? [data] : [];
+        pendingLength = data.length;
+      })().then(() => callback(), callback);
+    },
+    flush(callback) {
+      (async () => {
+        await start(this);
+        await pushSegment(this, Buffer.concat(pending), true);
+        pending = [];
+        pendingLength = 0;
+      })().then(() => callback(), callback);
+    },
+  });
+}
+
+/**
+ * Read and check the header of an encrypted export. Returns its settings,
+ * the derived keys and the offset where the segments start; throws
+ * "Wrong passphrase" when the header check fails.
+ */
+async function readEncryptedHeader(filePath, passphrase) {
+  if (passphrase === undefined || passphrase === null || passphrase === "") {
+    throw passphraseRequiredError();
+  }
+  const fd = fs.openSync(filePath, "r");
+  let text;
+  try {
+    const buf = Buffer.alloc(MAX_HEADER_LENGTH);
+    const read = fs.readSync(fd, buf, 0, buf.length, 0);
+    text = buf.subarray(0, read).toString("latin1");
+  } finally {
+    fs.closeSync(fd);
+  }
+  const end = text.indexOf("\n", MAGIC.length);
+  if (!text.startsWith(MAGIC) || end < 0) throw damagedError("bad header");
+  const line = text.slice(MAGIC.length, end);
+  const space = line.lastIndexOf(" ");
+  const headerText = Buffer.from(line.slice(0, space), "latin1").toString(
+    "utf8",
+  );
+  const check = line.slice(space + 1);
+  let header;
+  try {
+    header = JSON.parse(headerText);
+  } catch {
+    throw damagedError("bad header");
+  }
+  const kdf = header && header.kdf;
+  if (
+    !kdf ||
+    header.cipher !== CIPHER ||
+    kdf.name !== "scrypt" ||
+    !Number.isInteger(kdf.N) ||
+    kdf.N < 2 ||
+    !Number.isInteger(kdf.r) ||
+    kdf.r < 1 ||
+    128 * kdf.N * kdf.r > KDF_MAX_MEMORY ||
+    !Number.isInteger(kdf.p) ||
+    kdf.p < 1 ||
+    kdf.p * kdf.N > KDF_MAX_WORK ||
+    typeof kdf.salt !== "string" ||
+    typeof header.nonce !== "string" ||
+    Buffer.from(header.nonce, "base64").length !== NONCE_PREFIX_LENGTH
+  ) {
+    throw damagedError("unsupported header");
+  }
+  const keys = await deriveKeys(passphrase, kdf);
+  const expected = Buffer.from(headerCheck(keys.macKey, headerText), "base64");
+  const actual = Buffer.from(check, "base64");
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    throw wrongPassphraseError();
+  }
+  return {
+    header,
+    headerBytes: Buffer.from(headerText, "utf8"),
+    keys,
+    offset: end + 1,
+  };
+}
+
+/**
+ * Open an encrypted export for reading. Once the passphrase has been checked,
+ * resolves to { header, stream }: the stream gives the decrypted payload,
+ * still compressed as header.compression says. Every segment is authenticated before its
+ * data is passed on; the stream fails with a "damaged or tampered with"
+ * error otherwise, including when the file ends early.
+ */
+async function openDecryptStream(filePath, passphrase) {
+  const { header, headerBytes, keys, offset } = await readEncryptedHeader(
+    filePath,
+    passphrase,
+  );
+  const noncePrefix = Buffer.from(header.nonce, "base64");
+  let buffered = Buffer.alloc(0);
+  let index = 0;
+  let finished = false;
+
+  const decrypt = new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+      try {
+        while (buffered.length >= SEGMENT_HEADER_LENGTH) {
+          if (finished) throw damagedError("data after the last segment");
+          const flag = buffered[0];
+          const length = buffered.readUInt32BE(1);
+          if (flag > 1 || length > SEGMENT_SIZE * 2) {
+            throw damagedError(`bad segment ${index + 1}`);
+          }
+          const total = SEGMENT_HEADER_LENGTH + length + TAG_LENGTH;
+          if (buffered.length < total) break;
+          const body = buffered.subarray(SEGMENT_HEADER_LENGTH, total);
+          const decipher = crypto.createDecipheriv(
+            CIPHER,
+            keys.encKey,
+            segmentNonce(noncePrefix, index),
+          );
+          decipher.setAAD(segmentAad(headerBytes, flag === 1));
+          decipher.setAuthTag(body.subarray(length));
+          let plain;
+          try {
+            plain = Buffer.concat([
+              decipher.update(body.subarray(0, length)),
+              decipher.final(),
+            ]);
+          } catch {
+            throw damagedError(`segment ${index + 1} failed authentication`);
+          }
+          buffered = buffered.subarray(total);
+          index += 1;
+          finished = flag === 1;
+          if (plain.length > 0) this.push(plain);
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      callback(
+        finished && buffered.length === 0
+          ? null
+          : damagedError("the file is incomplete"),
+      );
+    },
+  });
+  const input = fs.createReadStream(filePath, { start: offset });
+  input.on("error", (err) => decrypt.destroy(err));
+  decrypt.on("close", () => input.destroy());
+  return { header, stream: input.pipe(decrypt) };
+}
+
+module.exports = {
+  isEncryptedExport,
+  createEncryptStream,
+  openDecryptStream,
+};
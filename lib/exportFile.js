@@ -0,0 +1,544 @@
+"use strict";
+
+// Streaming reader and writer for .cursor-chat.json export files.
+//
+// The file is the usual export object, written one entry per line so it can
+// be produced and consumed a chat at a time:
+//
+//   {"formatVersion":2,"allComposers":[
+//   {...header...},
+//   {...header...}
+//   ],
+//   "bubbles":{
+//   "<composerId>":[{ key, value, bubbleId }, ...]
+//   },
+//   "composers":{ "<composerId>":"<composerData JSON>" ... },
+//   "agentKv":{ "<composerId>":[{ key, value }] ... },
+//   "contents":{ "<sha>":"<payload>" ... },
+//   "manifest":{ "source":{...}, "chats":{...}, ... }}
+//
+// It is still plain JSON, so JSON.parse (and older versions of the extension)
+// read it as before. Sections always come in EXPORT_SECTIONS order: bubbles
+// before composers and agentKv, so an importer can remap bubble IDs while it
+// streams. The writer fills in the manifest (see exportFormat.js) and the
+// reader checks every entry against it. Files ending in .gz are gzip-compressed, and exports written with
+// a passphrase are compressed and then encrypted (see exportCrypto.js). The
+// reader also accepts the older pretty-printed layout, which it has to parse
+// in one piece, and upgrades files of older format versions as it reads them.
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const zlib = require("zlib");
+const { once } = require("events");
+const {
+  isEncryptedExport,
+  createEncryptStream,
+  openDecryptStream,
+} = require("./exportCrypto");
+const {
+  FORMAT_VERSION,
+  COMPUTED_MANIFEST_KEYS,
+  invalidFormat,
+  createManifestBuilder,
+  computedManifestEntries,
+  createEntryChecker,
+  createChatFingerprint,
+} = require("./exportFormat");
+
+const EXPORT_SECTIONS = [
+  "allComposers",
+  "bubbles",
+  "composers",
+  "agentKv",
+  "contents",
+  "manifest",
+];
+const ARRAY_SECTIONS = new Set(["allComposers"]);
+// The first line of the streaming layout; files without a version are
+// format 1
+const FIRST_LINE = /^\{(?:"formatVersion":(\d+),)?"allComposers":\[$/;
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/**
+ * Whether an export should be gzip-compressed, going by its file name.
+ */
+function isCompressedName(filePath) {
+  return /\.gz$/i.test(filePath);
+}
+
+function isGzipFile(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(2);
+    const read = fs.readSync(fd, head, 0, 2, 0);
+    return read === 2 && head[0] === GZIP_MAGIC[0] && head[1] === GZIP_MAGIC[1];
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write an export to a stream. Returns a sink:
+ * - section(name): start the next section (EXPORT_SECTIONS order)
+ * - entry(key, value): add an entry; key is ignored in allComposers
+ * - close(): finish the export (and end `target` unless `end` is false),
+ *   adding the computed manifest entries after the caller's
+ * - abort(): stop writing
+ * Waits for the stream to drain, so only a few lines are buffered at a time.
+ * With a `passphrase` the export is compressed and encrypted, whatever
+ * `gzip` says.
+ */
+function createExportStreamWriter(
+  target,
+  { gzip = false, end = true, passphrase } = {},
+) {
+  const stages = [];
+  if (gzip || passphrase) stages.push(zlib.createGzip());
+  if (passphrase) stages.push(createEncryptStream(passphrase));
+  for (let i = 0; i + 1 < stages.length; i++) stages[i].pipe(stages[i + 1]);
+  const out = stages.length > 0 ? stages[0] : target;
+  const last = stages[stages.length - 1];
+  if (last) last.pipe(target, { end });
+  let done = Promise.resolve();
+  if (end) {
+    done = new Promise((resolve) => target.on("close", resolve));
+  } else if (last) {
+    done = new Promise((resolve) => last.on("end", resolve));
+  }
+  let failure = null;
+  const onError = (err) => {
+    failure = failure || err;
+  };
+  for (const stage of stages) stage.on("error", onError);
+  target.on("error", onError);
+
+  let sectionIndex = -1;
+  let entryCount = 0;
+  let closed = false;
+  const manifest = createManifestBuilder();
+
+  async function write(text) {
+    if (failure) throw failure;
+    if (!out.write(text, "utf8")) {
+      await once(out, "drain");
+    }
+  }
+
+  function currentSection() {
+    return EXPORT_SECTIONS[sectionIndex];
+  }
+
+  async function closeSection() {
+    const name = currentSection();
+    await write(ARRAY_SECTIONS.has(name) ? "\n]" : "\n}");
+  }
+
+  async function writeEntry(key, value) {
+    const line = ARRAY_SECTIONS.has(currentSection())
+      ? JSON.stringify(value)
+      : `${JSON.stringify(String(key))}:${JSON.stringify(value)}`;
+    await write(`${entryCount > 0 ? "," : ""}\n${line}`);
+    entryCount += 1;
+  }
+
+  return {
+    async section(name) {
+      const next = EXPORT_SECTIONS.indexOf(name);
+      if (next <= sectionIndex) {
+        throw new Error(`Export sections out of order: ${name}`);
+      }
+      // Sections that were skipped are written empty
+      while (sectionIndex < next) {
+        if (sectionIndex >= 0) await closeSection();
+        sectionIndex += 1;
+        const opener = ARRAY_SECTIONS.has(currentSection()) ? "[" : "{";
+        const start =
+          sectionIndex === 0 ? `{"formatVersion":${FORMAT_VERSION},` : ",\n";
+        await write(`${start}"${currentSection()}":${opener}`);
+        entryCount = 0;
+      }
+    },
+    async entry(key, value) {
+      if (sectionIndex < 0) throw new Error("No export section started");
+      const section = currentSection();
+      if (section === "manifest" && COMPUTED_MANIFEST_KEYS.has(key)) return;
+      manifest.add(section, key, value);
+      await writeEntry(key, value);
+    },
+    async close() {
+      if (closed) return;
+      if (currentSection() !== "manifest") await this.section("manifest");
+      const computed = computedManifestEntries(manifest);
+      for (const [key, value] of Object.entries(computed)) {
+        await writeEntry(key, value);
+      }
+      await closeSection();
+      await write("}\n");
+      closed = true;
+      if (stages.length > 0 || end) out.end();
+      await done;
+      if (failure) throw failure;
+    },
+    abort() {
+      closed = true;
+      for (const stage of stages) stage.destroy();
+      if (end) target.destroy();
+    },
+  };
+}
+
+/**
+ * Open an export file for writing (gzip when the name ends in .gz, encrypted
+ * when a `passphrase` is given); returns a sink like createExportStreamWriter. The data goes to a temporary file
+ * that replaces `filePath` on close(), so a failed export never leaves a
+ * truncated file behind; abort() removes it.
+ */
+function createExportFileWriter(
+  filePath,
+  { gzip = isCompressedName(filePath), passphrase } = {},
+) {
+  const tmpPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.tmp`,
+  );
+  const writer = createExportStreamWriter(fs.createWriteStream(tmpPath), {
+    gzip,
+    passphrase,
+  });
+  return {
+    ...writer,
+    async close() {
+      await writer.close();
+      fs.renameSync(tmpPath, filePath);
+    },
+    abort() {
+      writer.abort();
+      try {
+        fs.unlinkSync(tmpPath);
+      } catch {}
+    },
+  };
+}
+
+/**
+ * A sink (see createExportFileWriter) that collects an export object in
+ * memory. `sink.result` holds the object.
+ */
+function createExportObjectSink() {
+  const result = {
+    allComposers: [],
+    composers: {},
+    bubbles: {},
+    contents: {},
+    agentKv: {},
+    manifest: {},
+  };
+  let current = null;
+  return {
+    result,
+    async section(name) {
+      current = name;
+    },
+    async entry(key, value) {
+      if (ARRAY_SECTIONS.has(current)) result[current].push(value);
+      else result[current][key] = value;
+    },
+    async close() {},
+    abort() {},
+  };
+}
+
+/**
+ * Feed an in-memory export object to a sink, section by section.
+ */
+async function writeExportObjectTo(sink, obj) {
+  for (const name of EXPORT_SECTIONS) {
+    await sink.section(name);
+    const data = obj[name];
+    if (ARRAY_SECTIONS.has(name)) {
+      for (const value of Array.isArray(data) ? data : []) {
+        await sink.entry(null, value);
+      }
+    } else {
+      for (const [key, value] of Object.entries(data || {})) {
+        await sink.entry(key, value);
+      }
+    }
+  }
+}
+
+/**
+ * Write an in-memory export object to a file (gzip when the name ends in .gz).
+ */
+async function writeExportObject(filePath, obj, options = {}) {
+  const writer = createExportFileWriter(filePath, options);
+  try {
+    await writeExportObjectTo(writer, obj);
+    await writer.close();
+  } catch (err) {
+    writer.abort();
+    throw err;
+  }
+}
+
+// The export text of a file, decrypted and decompressed as needed
+async function openTextStream(filePath, passphrase) {
+  let input;
+  let compressed;
+  if (isEncryptedExport(filePath)) {
+    const decrypted = await openDecryptStream(filePath, passphrase);
+    input = decrypted.stream;
+    compressed = decrypted.header.compression === "gzip";
+  } else {
+    input = fs.createReadStream(filePath);
+    compressed = isGzipFile(filePath);
+  }
+  if (!compressed) return input;
+  const gunzip = zlib.createGunzip();
+  input.on("error", (err) => gunzip.destroy(err));
+  // Stopping early (readExportHeaders) closes the file as well
+  gunzip.on("close", () => input.destroy());
+  return input.pipe(gunzip);
+}
+
+async function readWholeFile(filePath, passphrase) {
+  const chunks = [];
+  try {
+    for await (const chunk of await openTextStream(filePath, passphrase)) {
+      chunks.push(chunk);
+    }
+  } catch (err) {
+    throw gzipError(err);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw invalidFormat("not valid JSON");
+  }
+}
+
+// zlib errors while streaming, as export format errors
+function gzipError(err) {
+  if (err.code === "Z_DATA_ERROR") return invalidFormat("corrupt gzip data");
+  if (err.code === "Z_BUF_ERROR")
+    return invalidFormat("the file is incomplete");
+  return err;
+}
+
+function checkExportObject(obj) {
+  if (
+    !obj ||
+    typeof obj !== "object" ||
+    !Array.isArray(obj.allComposers) ||
+    !obj.composers ||
+    typeof obj.composers !== "object"
+  ) {
+    throw invalidFormat();
+  }
+}
+
+// The entries of an export object parsed in one piece, in EXPORT_SECTIONS
+// order
+function* objectEntries(obj) {
+  for (const section of EXPORT_SECTIONS) {
+    const data = obj[section];
+    if (ARRAY_SECTIONS.has(section)) {
+      for (const value of Array.isArray(data) ? data : []) {
+        yield { section, key: null, value };
+      }
+    } else if (data && typeof data === "object") {
+      for (const [key, value] of Object.entries(data)) {
+        yield { section, key, value };
+      }
+    }
+  }
+}
+
+/**
+ * Read an export file entry by entry:
+ * yields { section, key, value } in EXPORT_SECTIONS order (key is null in
+ * allComposers). Only one line is held in memory at a time for files in the
+ * streaming layout; older pretty-printed files are parsed in one piece.
+ * Entries of older format versions are upgraded to the current one, and every
+ * entry is validated; "Invalid export file format" errors name the chat or
+ * bubble at fault. Once the last entry has been read, the file is checked
+ * against its manifest (per-chat counts and checksums).
+ * options.passphrase: needed for encrypted exports; a missing or wrong one
+ * fails with code PASSPHRASE_REQUIRED or WRONG_PASSPHRASE, a modified file
+ * with ENCRYPTED_FILE_DAMAGED.
+ */
+async function* readExportEntries(filePath, options = {}) {
+  const stream = await openTextStream(filePath, options.passphrase);
+  const lines = readline.createInterface({
+    input: stream,
+    crlfDelay: Infinity,
+  });
+  const iterator = lines[Symbol.asyncIterator]();
+  let lineNo = 1;
+  try {
+    let first;
+    try {
+      first = await iterator.next();
+    } catch (err) {
+      throw gzipError(err);
+    }
+    const version = first.done ? null : FIRST_LINE.exec(first.value.trim());
+    if (!version) {
+      lines.close();
+      stream.destroy();
+      const obj = await readWholeFile(filePath, options.passphrase);
+      checkExportObject(obj);
+      const checker = createEntryChecker(obj.formatVersion || 1);
+      for (const entry of objectEntries(obj)) {
+        yield checker.check(entry);
+      }
+      checker.finish();
+      return;
+    }
+    const checker = createEntryChecker(version[1] ? Number(version[1]) : 1);
+
+    let section = EXPORT_SECTIONS[0];
+    let finished = false;
+    for (;;) {
+      let next;
+      try {
+        next = await iterator.next();
+      } catch (err) {
+        throw gzipError(err);
+      }
+      if (next.done) break;
+      lineNo += 1;
+      const line = next.value;
+      if (line === "") continue;
+      if (finished) throw invalidFormat(`unexpected data on line ${lineNo}`);
+      const closer = ARRAY_SECTIONS.has(section) ? "]" : "}";
+      if (line === closer || line === `${closer},` || line === `${closer}}`) {
+        if (line === `${closer}}`) {
+          finished = true;
+        }
+        continue;
+      }
+      const opener = /^"(\w+)":([[{])$/.exec(line);
+      if (opener) {
+        const index = EXPORT_SECTIONS.indexOf(opener[1]);
+        if (index <= EXPORT_SECTIONS.indexOf(section)) {
+          throw invalidFormat(
+            `unexpected section "${opener[1]}" on line ${lineNo}`,
+          );
+        }
+        section = opener[1];
+        continue;
+      }
+      const text = line.endsWith(",") ? line.slice(0, -1) : line;
+      let parsed;
+      try {
+        parsed = JSON.parse(ARRAY_SECTIONS.has(section) ? text : `{${text}}`);
+      } catch {
+        throw invalidFormat(`malformed entry on line ${lineNo}`);
+      }
+      if (ARRAY_SECTIONS.has(section)) {
+        yield checker.check({ section, key: null, value: parsed });
+      } else {
+        const [key, value] = Object.entries(parsed)[0] || [];
+        if (key === undefined) {
+          throw invalidFormat(`malformed entry on line ${lineNo}`);
+        }
+        yield checker.check({ section, key, value });
+      }
+    }
+    if (!finished) throw invalidFormat("the file is incomplete");
+    checker.finish();
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+/**
+ * Read a whole export file into an object (for callers that need all of it
+ * at once anyway). Takes the options of readExportEntries.
+ */
+async function readExportObject(filePath, options = {}) {
+  const sink = createExportObjectSink();
+  let section = null;
+  for await (const entry of readExportEntries(filePath, options)) {
+    if (entry.section !== section) {
+      section = entry.section;
+      await sink.section(section);
+    }
+    await sink.entry(entry.key, entry.value);
+  }
+  return sink.result;
+}
+
+/**
+ * The allComposers headers of an export file, reading no further than that
+ * section. Throws for files that are not exports, and checks the passphrase
+ * of encrypted ones (options as for readExportEntries).
+ */
+async function readExportHeaders(filePath, options = {}) {
+  const headers = [];
+  for await (const entry of readExportEntries(filePath, options)) {
+    if (entry.section !== "allComposers") break;
+    headers.push(entry.value);
+  }
+  return headers;
+}
+
+/**
+ * Per-chat summaries of an export file, read in one pass:
+ * [{ header, bubbles, bytes, fingerprint }] in allComposers order, where
+ * `bytes` is the size of the chat's stored values (composerData, messages
+ * and agent state) and `fingerprint` its content fingerprint (see
+ * exportFormat.js). Options as for readExportEntries.
+ */
+async function readExportChatSummaries(filePath, options = {}) {
+  const chats = new Map();
+  const sizeOf = (text) =>
+    typeof text === "string" ? Buffer.byteLength(text, "utf8") : 0;
+  for await (const { section, key, value } of readExportEntries(
+    filePath,
+    options,
+  )) {
+    if (section === "allComposers") {
+      chats.set(value.composerId, {
+        header: value,
+        bubbles: 0,
+        bytes: 0,
+        fingerprint: createChatFingerprint(),
+      });
+      continue;
+    }
+    const chat = chats.get(key);
+    if (!chat) continue;
+    if (section === "bubbles") {
+      chat.bubbles += value.length;
+      chat.fingerprint.bubbles(value);
+      for (const bubble of value) chat.bytes += sizeOf(bubble.value);
+    } else if (section === "composers") {
+      chat.bytes += sizeOf(value);
+      chat.fingerprint.composerData(value);
+    } else if (section === "agentKv") {
+      for (const entry of value) chat.bytes += sizeOf(entry.value);
+    }
+  }
+  return Array.from(chats.values(), (chat) => ({
+    ...chat,
+    fingerprint: chat.fingerprint.digest(),
+  }));
+}
+
+module.exports = {
+  EXPORT_SECTIONS,
+  isCompressedName,
+  isEncryptedExport,
+  createExportStreamWriter,
+  createExportFileWriter,
+  createExportObjectSink,
+  writeExportObject,
+  readExportEntries,
+  readExportObject,
+  readExportHeaders,
+  readExportChatSummaries,
+};
@@ -0,0 +1,383 @@
+"use strict";
+
+// Versions, manifest and validation of export files (see exportFile.js for
+// the layout).
+//
+// Format 1: { allComposers, composers, bubbles[, agentKv, contents] } as
+// written by the 0.0.x releases, without a version or manifest.
+// Format 2: the file starts with "formatVersion" and ends with a "manifest"
+// section:
+//   source:      { schemaStage, os, userDirLayout } of the exported DBs
+//   formatVersion, exporter: { name, version }, createdAt
+//   chats:       { [composerId]: { bubbles, agentKv, composerData, sha256 } }
+//   totals:      { chats, bubbles, agentKv, contents }
+// A chat's sha256 covers its header, bubbles, composerData and agentKv
+// entries as written, in file order.
+
+const crypto = require("crypto");
+const { version: EXPORTER_VERSION } = require("../package.json");
+
+const FORMAT_VERSION = 2;
+const EXPORTER_NAME = "cursor-chat-transfer";
+const CHAT_SECTIONS = new Set([
+  "allComposers",
+  "bubbles",
+  "composers",
+  "agentKv",
+]);
+// Manifest entries the export writer computes itself
+const COMPUTED_MANIFEST_KEYS = new Set([
+  "formatVersion",
+  "exporter",
+  "createdAt",
+  "chats",
+  "totals",
+]);
+const CONTENT_HASH = /^[0-9a-fA-F]{32,128}$/;
+
+function invalidFormat(detail) {
+  return new Error(
+    detail
+      ? `Invalid export file format: ${detail}`
+      : "Invalid export file format.",
+  );
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Per-chat counts and checksums of the entries of an export, fed with
+ * add(section, key, value) in file order.
+ */
+function createManifestBuilder() {
+  const chats = new Map();
+  let contents = 0;
+  return {
+    add(section, key, value) {
+      if (section === "contents") {
+        contents += 1;
+        return;
+      }
+      if (!CHAT_SECTIONS.has(section)) return;
+      const id = section === "allComposers" ? value && value.composerId : key;
+      if (!id) return;
+      let chat = chats.get(id);
+      if (!chat) {
+        chat = {
+          hash: crypto.createHash("sha256"),
+          bubbles: 0,
+          agentKv: 0,
+          composerData: false,
+        };
+        chats.set(id, chat);
+      }
+      chat.hash.update(`${section}\n${JSON.stringify(value)}\n`);
+      if (section === "bubbles" && Array.isArray(value)) {
+        chat.bubbles += value.length;
+      } else if (section === "agentKv" && Array.isArray(value)) {
+        chat.agentKv += value.length;
+      } else if (section === "composers") {
+        chat.composerData = true;
+      }
+    },
+    /** { chats, totals } for the manifest; call once, at the end. */
+    build() {
+      const out = {};
+      const totals = { chats: 0, bubbles: 0, agentKv: 0, contents };
+      for (const [id, chat] of chats) {
+        out[id] = {
+          bubbles: chat.bubbles,
+          agentKv: chat.agentKv,
+          composerData: chat.composerData,
+          sha256: chat.hash.digest("hex"),
+        };
+        totals.chats += 1;
+        totals.bubbles += chat.bubbles;
+        totals.agentKv += chat.agentKv;
+      }
+      return { chats: out, totals };
+    },
+  };
+}
+
+const sha256 = (text) =>
+  crypto.createHash("sha256").update(String(text)).digest("hex");
+
+/**
+ * Content fingerprint of one chat: its composerData and its messages by
+ * bubble ID, whatever order they are read in. Unlike the manifest checksum
+ * it does not depend on the header, so a chat keeps its fingerprint between
+ * exports until its content changes. Feed it with bubbles([{ bubbleId,
+ * value }]) and composerData(text); digest() returns the hex SHA-256.
+ */
+function createChatFingerprint() {
+  const bubbles = [];
+  let composerData = "";
+  return {
+    bubbles(list) {
+      for (const bubble of list || []) {
+        if (!bubble) continue;
+        bubbles.push(`${bubble.bubbleId} ${sha256(bubble.value || "")}`);
+      }
+    },
+    composerData(text) {
+      composerData = sha256(text || "");
+    },
+    digest() {
+      return sha256(`${bubbles.sort().join("\n")}\n${composerData}`);
+    },
+  };
+}
+
+/**
+ * The manifest entries the export writer adds after the caller's (source),
+ * given the builder that saw every entry.
+ */
+function computedManifestEntries(builder) {
+  const { chats, totals } = builder.build();
+  return {
+    formatVersion: FORMAT_VERSION,
+    exporter: { name: EXPORTER_NAME, version: EXPORTER_VERSION },
+    createdAt: new Date().toISOString(),
+    chats,
+    totals,
+  };
+}
+
+// Format 1 files were written from in-memory objects by hand-rolled code;
+// bring their entries to the shape format 2 guarantees
+function upgradeFromFormat1(entry) {
+  const { section, key, value } = entry;
+  const asText = (v) =>
+    typeof v === "string" || v == null ? v || "" : JSON.stringify(v);
+  if (section === "composers") {
+    return { section, key, value: asText(value) };
+  }
+  if (section === "bubbles" && Array.isArray(value)) {
+    return {
+      section,
+      key,
+      value: value.map((bubble) => {
+        if (!isPlainObject(bubble)) return bubble;
+        const fromKey =
+          typeof bubble.key === "string" &&
+          bubble.key.startsWith(`bubbleId:${key}:`)
+            ? bubble.key.slice(`bubbleId:${key}:`.length)
+            : undefined;
+        const bubbleId = bubble.bubbleId || fromKey;
+        return {
+          ...bubble,
+          key: bubble.key || (bubbleId && `bubbleId:${key}:${bubbleId}`),
+          value: asText(bubble.value),
+          bubbleId,
+        };
+      }),
+    };
+  }
+  return entry;
+}
+
+// Upgraders by the format they read; each returns the entry in the next
+// format
+const UPGRADERS = {
+  1: upgradeFromFormat1,
+};
+
+/**
+ * Validate (and upgrade, for older formats) the entries of an export file
+ * of the given format version as they are read:
+ * - check({ section, key, value }) returns the entry in the current format,
+ *   or throws an "Invalid export file format" error naming the chat or
+ *   bubble at fault
+ * - finish() checks the manifest against what was read (format 2 and up)
+ */
+function createEntryChecker(version) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw invalidFormat(`unknown format version ${version}`);
+  }
+  if (version > FORMAT_VERSION) {
+    throw new Error(
+      `This export file uses format ${version}, which is newer than this version of the extension supports (${FORMAT_VERSION}). Update the extension to import it.`,
+    );
+  }
+  const names = new Map();
+  const builder = version >= 2 ? createManifestBuilder() : null;
+  const manifest = {};
+  let headerCount = 0;
+  const seen = {
+    bubbles: new Set(),
+    composers: new Set(),
+    agentKv: new Set(),
+  };
+
+  const chatLabel = (id) =>
+    names.get(id) ? `chat "${names.get(id)}" (${id})` : `chat ${id}`;
+
+  function checkChatKey(section, id) {
+    if (!names.has(id)) {
+      throw invalidFormat(
+        `${section} entry for chat ${id}, which is not in allComposers`,
+      );
+    }
+    if (seen[section].has(id)) {
+      throw invalidFormat(`${section} of ${chatLabel(id)} appear twice`);
+    }
+    seen[section].add(id);
+  }
+
+  function validate({ section, key, value }) {
+    if (section === "allComposers") {
+      headerCount += 1;
+      if (!isPlainObject(value)) {
+        throw invalidFormat(
+          `chat #${headerCount} in allComposers is not an object`,
+        );
+      }
+      const id = value.composerId;
+      if (typeof id !== "string" || id === "") {
+        throw invalidFormat(
+          `chat #${headerCount} in allComposers has no composerId`,
+        );
+      }
+      if (names.has(id)) {
+        throw invalidFormat(`chat ${id} is listed twice in allComposers`);
+      }
+      names.set(id, typeof value.name === "string" ? value.name : "");
+    } else if (section === "bubbles") {
+      checkChatKey(section, key);
+      if (!Array.isArray(value)) {
+        throw invalidFormat(`the bubbles of ${chatLabel(key)} are not a list`);
+      }
+      value.forEach((bubble, i) => {
+        const where = `bubble #${i + 1} of ${chatLabel(key)}`;
+        if (!isPlainObject(bubble))
+          throw invalidFormat(`${where} is not an object`);
+        if (typeof bubble.bubbleId !== "string" || bubble.bubbleId === "") {
+          throw invalidFormat(`${where} has no bubbleId`);
+        }
+        const named = `bubble ${bubble.bubbleId} of ${chatLabel(key)}`;
+        if (bubble.key !== `bubbleId:${key}:${bubble.bubbleId}`) {
+          throw invalidFormat(
+            `${named} has a key that does not match its chat`,
+          );
+        }
+        if (typeof bubble.value !== "string") {
+          throw invalidFormat(`${named} has no stored value`);
+        }
+        if (bubble.value !== "" && tryParse(bubble.value) === undefined) {
+          throw invalidFormat(`${named} is not valid JSON`);
+        }
+      });
+    } else if (section === "composers") {
+      checkChatKey(section, key);
+      if (typeof value !== "string") {
+        throw invalidFormat(
+          `the composerData of ${chatLabel(key)} is not a string`,
+        );
+      }
+      if (value !== "" && !isPlainObject(tryParse(value))) {
+        throw invalidFormat(
+          `the composerData of ${chatLabel(key)} is not a JSON object`,
+        );
+      }
+    } else if (section === "agentKv") {
+      checkChatKey(section, key);
+      if (!Array.isArray(value)) {
+        throw invalidFormat(
+          `the agent state of ${chatLabel(key)} is not a list`,
+        );
+      }
+      value.forEach((entry, i) => {
+        if (
+          !isPlainObject(entry) ||
+          typeof entry.key !== "string" ||
+          !entry.key.startsWith("agentKv:") ||
+          typeof entry.value !== "string"
+        ) {
+          throw invalidFormat(
+            `agent state entry #${i + 1} of ${chatLabel(key)} is malformed`,
+          );
+        }
+      });
+    } else if (section === "contents") {
+      if (!CONTENT_HASH.test(key)) {
+        throw invalidFormat(`content payload "${key}" has an invalid hash`);
+      }
+      if (typeof value !== "string") {
+        throw invalidFormat(`content payload ${key} is not a string`);
+      }
+    } else if (section === "manifest") {
+      manifest[key] = value;
+    }
+  }
+
+  return {
+    check(entry) {
+      let current = entry;
+      for (let v = version; v < FORMAT_VERSION; v++) {
+        current = UPGRADERS[v](current);
+      }
+      validate(current);
+      if (builder) builder.add(current.section, current.key, current.value);
+      return current;
+    },
+    finish() {
+      if (!builder) return;
+      if (!isPlainObject(manifest.chats) || !isPlainObject(manifest.totals)) {
+        throw invalidFormat("the manifest is missing or incomplete");
+      }
+      const { chats, totals } = builder.build();
+      for (const [id, expected] of Object.entries(manifest.chats)) {
+        const actual = chats[id];
+        if (!actual) {
+          throw invalidFormat(
+            `${chatLabel(id)} is in the manifest but not in the file`,
+          );
+        }
+        if (
+          actual.bubbles !== expected.bubbles ||
+          actual.agentKv !== expected.agentKv
+        ) {
+          throw invalidFormat(
+            `${chatLabel(id)} has ${actual.bubbles} bubble(s) and ${actual.agentKv} agent state entries; the manifest lists ${expected.bubbles} and ${expected.agentKv}`,
+          );
+        }
+        if (actual.sha256 !== expected.sha256) {
+          throw invalidFormat(
+            `the checksum of ${chatLabel(id)} does not match the manifest; the file was modified or damaged`,
+          );
+        }
+      }
+      for (const id of Object.keys(chats)) {
+        if (!manifest.chats[id]) {
+          throw invalidFormat(`${chatLabel(id)} is not in the manifest`);
+        }
+      }
+      if (totals.contents !== manifest.totals.contents) {
+        throw invalidFormat(
+          `the file has ${totals.contents} content payload(s); the manifest lists ${manifest.totals.contents}`,
+        );
+      }
+    },
+  };
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  COMPUTED_MANIFEST_KEYS,
+  invalidFormat,
+  createManifestBuilder,
+  computedManifestEntries,
+  createEntryChecker,
+  createChatFingerprint,
+};
@@ -0,0 +1,271 @@
+"use strict";
+
+const {
+  getOrderedBubbles,
+  describeBubble,
+  formatTimestamp,
+} = require("./conversation");
+
+const KEYWORDS = new Set(
+  (
+    "abstract as async await break case catch class const continue def " +
+    "default del do elif else enum export extends false final finally fn " +
+    "for from func function if impl import in interface is let match mod " +
+    "module mut new nil none null package pass private protected pub " +
+    "public raise return self static struct super switch this throw trait " +
+    "true try type typeof undefined use var void while with yield"
+  ).split(" "),
+);
+
+// Languages whose line comments start with "#"
+const HASH_COMMENT_LANGUAGES = new Set([
+  "python",
+  "py",
+  "ruby",
+  "rb",
+  "shell",
+  "sh",
+  "bash",
+  "zsh",
+  "shellscript",
+  "powershell",
+  "yaml",
+  "yml",
+  "toml",
+  "perl",
+  "r",
+  "dockerfile",
+  "makefile",
+]);
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Tiny language-agnostic highlighter: comments, strings, numbers, keywords.
+ * Good enough for reading archived chats without shipping a real grammar.
+ */
+function highlightCode(code, language) {
+  const lang = String(language || "").toLowerCase();
+  const lineComment = HASH_COMMENT_LANGUAGES.has(lang)
+    ? "#[^\\n]*"
+    : "\\/\\/[^\\n]*";
+  const tokenRe = new RegExp(
+    [
+      `(${lineComment}|\\/\\*[\\s\\S]*?\\*\\/)`,
+      "(\"(?:\\\\.|[^\"\\\\\\n])*\"|'(?:\\\\.|[^'\\\\\\n])*'|`(?:\\\\.|[^`\\\\])*`)",
+      "(\\b\\d+(?:\\.\\d+)?\\b)",
+      "([A-Za-z_][A-Za-z0-9_]*)",
+    ].join("|"),
+    "g",
+  );
+  let html = "";
+  let last = 0;
+  let m;
+  while ((m = tokenRe.exec(code)) !== null) {
+    html += escapeHtml(code.slice(last, m.index));
+    const [text, comment, string, number, word] = m;
+    if (comment) html += `<span class="tok-c">${escapeHtml(text)}</span>`;
+    else if (string) html += `<span class="tok-s">${escapeHtml(text)}</span>`;
+    else if (number) html += `<span class="tok-n">${escapeHtml(text)}</span>`;
+    else if (word && KEYWORDS.has(word))
+      html += `<span class="tok-k">${escapeHtml(text)}</span>`;
+    else html += escapeHtml(text);
+    last = m.index + text.length;
+  }
+  html += escapeHtml(code.slice(last));
+  return html;
+}
+
+function renderCodeBlock(code, language) {
+  const label = language
+    ? `<div class="code-lang">${escapeHtml(language)}</div>`
+    : "";
+  return `<div class="code">${label}<pre><code>${highlightCode(code, language)}</code></pre></div>`;
+}
+
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`\n]+)`/g, "<code>$1</code>")
+    .replace(/\*\*([^*\n]+)\*\*/g, "<strong>$1</strong>");
+}
+
+/**
+ * Render bubble text: fenced code becomes highlighted blocks, the rest is
+ * escaped prose with inline code and bold.
+ */
+function renderText(text) {
+  const parts = [];
+  const fenceRe = /^(`{3,})([^\n`]*)\n([\s\S]*?)^\1[ \t]*$/gm;
+  let last = 0;
+  let m;
+  while ((m = fenceRe.exec(text)) !== null) {
+    parts.push(renderProse(text.slice(last, m.index)));
+    parts.push(renderCodeBlock(m[3].replace(/\n$/, ""), m[2].trim()));
+    last = m.index + m[0].length;
+  }
+  parts.push(renderProse(text.slice(last)));
+  return parts.join("");
+}
+
+function renderProse(text) {
+  return text
+    .split(/\n{2,}/)
+    .map((para) => para.trim())
+    .filter(Boolean)
+    .map((para) => `<p>${renderInline(para).replace(/\n/g, "<br>")}</p>`)
+    .join("");
+}
+
+function renderBubble(data) {
+  const bubble = describeBubble(data);
+  const body = [];
+  if (bubble.text.trim()) body.push(renderText(bubble.text));
+  for (const block of bubble.codeBlocks) {
+    if (bubble.text.includes(block.code.trim())) continue;
+    body.push(renderCodeBlock(block.code, block.language));
+  }
+  for (const call of bubble.toolCalls) {
+    const status = call.status ? ` (${escapeHtml(call.status)})` : "";
+    const args = call.args
+      ? `<pre class="tool-args">${escapeHtml(call.args)}</pre>`
+      : "";
+    body.push(
+      `<details class="tool"><summary>Tool call: <code>${escapeHtml(call.name)}</code>${status}</summary>${args}</details>`,
+    );
+  }
+  if (body.length === 0) return "";
+  const label =
+    bubble.role === "user"
+      ? "User"
+      : bubble.role === "assistant"
+        ? "Assistant"
+        : "Other";
+  return `<article class="bubble ${bubble.role}"><div class="role">${label}</div>${body.join("")}</article>`;
+}
+
+function renderChat(header, composerValue, composerBubbles, index) {
+  const meta = [
+    header.unifiedMode || header.forceMode
+      ? `Mode: ${header.unifiedMode || header.forceMode}`
+      : "",
+    header.createdAt ? `Created: ${formatTimestamp(header.createdAt)}` : "",
+    header.lastUpdatedAt
+      ? `Updated: ${formatTimestamp(header.lastUpdatedAt)}`
+      : "",
+  ].filter(Boolean);
+  const bubbles = getOrderedBubbles(composerValue, composerBubbles)
+    .map(({ data }) => renderBubble(data))
+    .join("");
+  return (
+    `<section class="chat" id="chat-${index}"${index === 0 ? "" : " hidden"}>` +
+    `<h1>${escapeHtml(header.name || header.composerId || "Untitled chat")}</h1>` +
+    `<div class="meta">${meta.map(escapeHtml).join(" · ")}</div>` +
+    (bubbles || '<p class="empty">No messages stored for this chat.</p>') +
+    `</section>`
+  );
+}
+
+const STYLE = `
+*{box-sizing:border-box}
+body{margin:0;display:flex;height:100vh;font:14px/1.5 -apple-system,"Segoe UI",Roboto,sans-serif;color:#1f2328;background:#fff}
+nav{width:280px;flex-shrink:0;overflow-y:auto;border-right:1px solid #d0d7de;background:#f6f8fa}
+nav h2{font-size:13px;margin:12px;text-transform:uppercase;color:#57606a}
+nav a{display:block;padding:8px 12px;color:inherit;text-decoration:none;border-left:3px solid transparent}
+nav a small{display:block;color:#57606a}
+nav a.active{background:#fff;border-left-color:#0969da}
+main{flex:1;overflow-y:auto;padding:16px 32px}
+h1{font-size:20px;margin:0 0 4px}
+.meta{color:#57606a;margin-bottom:16px}
+.bubble{margin:12px 0;padding:8px 12px;border-radius:6px;border:1px solid #d0d7de}
+.bubble.user{background:#ddf4ff}
+.role{font-weight:600;font-size:12px;text-transform:uppercase;color:#57606a}
+.code{margin:8px 0;border-radius:6px;background:#f6f8fa;border:1px solid #d0d7de}
+.code-lang{font-size:11px;color:#57606a;padding:2px 8px;border-bottom:1px solid #d0d7de}
+pre{margin:0;padding:8px;overflow-x:auto}
+code{font:12px/1.45 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace}
+.tok-k{color:#cf222e}.tok-s{color:#0a3069}.tok-n{color:#0550ae}.tok-c{color:#6e7781;font-style:italic}
+details.tool{margin:6px 0;color:#57606a}
+details.tool summary{cursor:pointer}
+.empty{color:#57606a}
+@media (prefers-color-scheme:dark){
+body{color:#e6edf3;background:#0d1117}
+nav{background:#161b22;border-color:#30363d}
+nav a.active{background:#0d1117}
+.bubble,.code,.code-lang{border-color:#30363d}
+.bubble.user{background:#0c2d6b}
+.code{background:#161b22}
+.tok-k{color:#ff7b72}.tok-s{color:#a5d6ff}.tok-n{color:#79c0ff}.tok-c{color:#8b949e}
+}`;
+
+const SCRIPT = `
+document.querySelectorAll("nav a").forEach(function (link) {
+  link.addEventListener("click", function (e) {
+    e.preventDefault();
+    document.querySelectorAll("nav a").forEach(function (l) { l.classList.remove("active"); });
+    document.querySelectorAll("section.chat").forEach(function (s) { s.hidden = true; });
+    link.classList.add("active");
+    document.getElementById(link.dataset.chat).hidden = false;
+  });
+});`;
+
+/**
+ * Render an export object ({ allComposers, composers, bubbles }) as one
+ * self-contained HTML page: chat list in a sidebar, one conversation at a
+ * time, no external assets.
+ */
+function renderArchiveHtml(exportObj, title = "Cursor chat archive") {
+  const headers = (exportObj.allComposers || []).filter(
+    (c) => c && c.composerId,
+  );
+  const links = headers
+    .map((header, index) => {
+      const updated = header.lastUpdatedAt
+        ? formatTimestamp(header.lastUpdatedAt).slice(0, 10)
+        : "";
+      return (
+        `<a href="#chat-${index}" data-chat="chat-${index}"${index === 0 ? ' class="active"' : ""}>` +
+        `${escapeHtml(header.name || "Untitled chat")}` +
+        `<small>${escapeHtml([header.unifiedMode, updated].filter(Boolean).join(" · "))}</small></a>`
+      );
+    })
+    .join("");
+  const chats = headers
+    .map((header, index) =>
+      renderChat(
+        header,
+        (exportObj.composers || {})[header.composerId],
+        (exportObj.bubbles || {})[header.composerId],
+        index,
+      ),
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<nav><h2>${escapeHtml(title)} (${headers.length})</h2>${links}</nav>
+<main>${chats || '<p class="empty">No chats in this archive.</p>'}</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderArchiveHtml,
+  highlightCode,
+  escapeHtml,
+};
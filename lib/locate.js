@@ -0,0 +1,151 @@
+'use strict';
+
+// Locating Cursor's storage on disk. No editor APIs here, so this module is
+// shared by the extension (through paths.js) and the command-line tool.
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+function getDefaultCursorUserDir() {
+	const platform = process.platform;
+	if (platform === 'darwin') {
+		return path.join(os.homedir(), 'Library', 'Application Support', 'Cursor');
+	}
+	if (platform === 'win32') {
+		const appData = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+		return path.join(appData, 'Cursor');
+	}
+	return path.join(os.homedir(), '.config', 'Cursor');
+}
+
+function resolveWorkspaceStorageDir() {
+	const envPath = process.env.WORKSPACE_PATH;
+	if (envPath && envPath.trim() !== '') {
+		const expanded = envPath.startsWith('~') ? path.join(os.homedir(), envPath.slice(1)) : envPath;
+		if (fs.existsSync(expanded)) return expanded;
+	}
+	const remoteLinux = path.join(os.homedir(), '.cursor-server', 'data', 'User', 'workspaceStorage');
+	if (fs.existsSync(remoteLinux)) return remoteLinux;
+	const isWSL = !!process.env.WSL_DISTRO_NAME || (process.platform === 'linux' && fs.existsSync('/proc/sys/fs/binfmt_misc/WSLInterop'));
+	if (isWSL) {
+		const winUser = process.env.WINDOWS_USER || process.env.USER || process.env.USERNAME;
+		if (winUser) {
+			const wslPath = path.join('/mnt', 'c', 'Users', winUser, 'AppData', 'Roaming', 'Cursor', 'User', 'workspaceStorage');
+			if (fs.existsSync(wslPath)) return wslPath;
+		}
+		try {
+			const usersDir = '/mnt/c/Users';
+			if (fs.existsSync(usersDir)) {
+				const names = fs.readdirSync(usersDir);
+				for (const name of names) {
+					const p = path.join(usersDir, name, 'AppData', 'Roaming', 'Cursor', 'User', 'workspaceStorage');
+					if (fs.existsSync(p)) return p;
+				}
+			}
+		} catch {}
+	}
+	const base = getDefaultCursorUserDir();
+	return path.join(base, 'User', 'workspaceStorage');
+}
+
+/**
+ * Global state.vscdb that belongs to the detected workspaceStorage dir
+ * (sibling globalStorage folder), falling back to the default user dir.
+ */
+function resolveGlobalStateDbPath() {
+	const sibling = path.join(path.dirname(resolveWorkspaceStorageDir()), 'globalStorage', 'state.vscdb');
+	if (fs.existsSync(sibling)) return sibling;
+	return path.join(getDefaultCursorUserDir(), 'User', 'globalStorage', 'state.vscdb');
+}
+
+function listWorkspaceStateDbs(max = 20) {
+	const root = resolveWorkspaceStorageDir();
+	const results = [];
+	try {
+		const entries = fs.readdirSync(root, { withFileTypes: true });
+		for (const ent of entries) {
+			if (!ent.isDirectory()) continue;
+			const candidate = path.join(root, ent.name, 'state.vscdb');
+			if (!fs.existsSync(candidate)) continue;
+			const stat = fs.statSync(candidate);
+			results.push({ path: candidate, mtime: stat.mtimeMs || 0, hash: ent.name });
+		}
+	} catch {}
+	results.sort((a, b) => b.mtime - a.mtime);
+	return results.slice(0, max);
+}
+
+function tryGetWorkspaceName(hash) {
+	try {
+		const root = resolveWorkspaceStorageDir();
+		const wsJson = path.join(root, hash, 'workspace.json');
+		if (!fs.existsSync(wsJson)) return undefined;
+		const text = fs.readFileSync(wsJson, 'utf8');
+		const obj = JSON.parse(text);
+		const folder = obj && obj.folder;
+		if (typeof folder !== 'string') return undefined;
+		let p = folder;
+		if (p.startsWith('file://')) {
+			try {
+				const url = new URL(p);
+				p = url.pathname;
+			} catch {}
+		}
+		const base = path.basename(p);
+		return base || undefined;
+	} catch {
+		return undefined;
+	}
+}
+
+function tryGetWorkspaceFolderPath(hash) {
+	try {
+		const root = resolveWorkspaceStorageDir();
+		const wsJson = path.join(root, hash, 'workspace.json');
+		if (!fs.existsSync(wsJson)) return undefined;
+		const text = fs.readFileSync(wsJson, 'utf8');
+		const obj = JSON.parse(text);
+		const folder = obj && obj.folder;
+		if (typeof folder !== 'string') return undefined;
+		let p = folder;
+		if (p.startsWith('file://')) {
+			try {
+				const url = new URL(p);
+				p = url.pathname;
+			} catch {}
+		}
+		return p || undefined;
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Which kind of Cursor user dir a workspaceStorage dir belongs to: 'macos',
+ * 'windows' or 'linux' for the desktop app's default location, 'remote' for
+ * a Remote-SSH server, 'wsl' for a Windows user dir reached from WSL, and
+ * 'custom' for anything else (e.g. WORKSPACE_PATH).
+ */
+function describeUserDirLayout(workspaceStorageDir) {
+	const normalized = path.resolve(workspaceStorageDir).replace(/\\/g, '/');
+	if (normalized.includes('/.cursor-server/data/User/')) return 'remote';
+	if (/^\/mnt\/[a-z]\/Users\/[^/]+\/AppData\/Roaming\/Cursor\/User\//i.test(normalized)) return 'wsl';
+	const expected = path.join(getDefaultCursorUserDir(), 'User', 'workspaceStorage');
+	if (path.resolve(workspaceStorageDir) === path.resolve(expected)) {
+		if (process.platform === 'darwin') return 'macos';
+		if (process.platform === 'win32') return 'windows';
+		return 'linux';
+	}
+	return 'custom';
+}
+
+module.exports = {
+	getDefaultCursorUserDir,
+	resolveWorkspaceStorageDir,
+	resolveGlobalStateDbPath,
+	listWorkspaceStateDbs,
+	tryGetWorkspaceName,
+	tryGetWorkspaceFolderPath,
+	describeUserDirLayout
+};
@@ -0,0 +1,90 @@
+"use strict";
+
+const {
+  getOrderedBubbles,
+  describeBubble,
+  formatTimestamp,
+} = require("./conversation");
+
+const ROLE_LABELS = { user: "User", assistant: "Assistant", unknown: "Other" };
+
+/**
+ * Fence code with enough backticks that the code itself cannot close it.
+ */
+function fenceCode(code, language) {
+  const longestRun = Math.max(
+    0,
+    ...(code.match(/`+/g) || []).map((run) => run.length),
+  );
+  const fence = "`".repeat(Math.max(3, longestRun + 1));
+  const body = code.endsWith("\n") ? code : `${code}\n`;
+  return `${fence}${language || ""}\n${body}${fence}`;
+}
+
+/**
+ * Render one chat as Markdown.
+ * header: the composer's allComposers entry
+ * composerValue: stored composerData:<id> string
+ * composerBubbles: [{ key, value, bubbleId }] from buildExportObject
+ */
+function renderComposerMarkdown(header, composerValue, composerBubbles) {
+  const lines = [];
+  lines.push(`# ${header.name || header.composerId || "Untitled chat"}`, "");
+
+  const meta = [
+    ["Chat ID", header.composerId],
+    ["Mode", header.unifiedMode || header.forceMode],
+    ["Created", formatTimestamp(header.createdAt)],
+    ["Last updated", formatTimestamp(header.lastUpdatedAt)],
+  ].filter(([, value]) => value);
+  for (const [label, value] of meta) {
+    lines.push(`- **${label}:** ${value}`);
+  }
+  if (header.subtitle) lines.push(`- **Summary:** ${header.subtitle}`);
+  lines.push("");
+
+  for (const { data } of getOrderedBubbles(composerValue, composerBubbles)) {
+    const bubble = describeBubble(data);
+    const hasContent =
+      bubble.text.trim() ||
+      bubble.codeBlocks.length > 0 ||
+      bubble.toolCalls.length > 0;
+    if (!hasContent) continue;
+
+    lines.push(`## ${ROLE_LABELS[bubble.role]}`, "");
+    if (bubble.text.trim()) {
+      lines.push(bubble.text.trim(), "");
+    }
+    for (const block of bubble.codeBlocks) {
+      // Assistant text usually already contains its code blocks inline
+      if (bubble.text.includes(block.code.trim())) continue;
+      lines.push(fenceCode(block.code, block.language), "");
+    }
+    for (const call of bubble.toolCalls) {
+      const status = call.status ? ` (${call.status})` : "";
+      const args = call.args ? ` — ${call.args}` : "";
+      lines.push(`> **Tool call:** \`${call.name}\`${status}${args}`, "");
+    }
+  }
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+/**
+ * File name for a chat's Markdown export, safe on all platforms.
+ */
+function markdownFileName(header) {
+  const base = String(header.name || "chat")
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, "_")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80);
+  const shortId = String(header.composerId || "").slice(0, 8);
+  return `${base || "chat"}${shortId ? `-${shortId}` : ""}.md`;
+}
+
+module.exports = {
+  renderComposerMarkdown,
+  markdownFileName,
+  fenceCode,
+};
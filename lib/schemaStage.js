@@ -0,0 +1,63 @@
+"use strict";
+
+// Which stage of Cursor's chat storage migration a workspace is at (see
+// docs/cursor-architecture-knowledge.md, section 4):
+//   0: not migrated; the workspace DB lists its chats in allComposers
+//   1: chat data moved to the global DB, but Cursor still reads the
+//      workspace's allComposers
+//   2: fully migrated; chats are listed in the global composerHeaders
+//   3: created under the new schema (never migrated)
+
+const { readItemTableWithCLI } = require("./db");
+
+function parseJson(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect the schema stage of a workspace DB and the global DB next to it.
+ * Returns { stage, workspaceHasAllComposers, hasComposerHeaders }; stage is
+ * null when the workspace DB has no composer data to go by.
+ */
+async function detectSchemaStage(wsDbPath, glDbPath) {
+  const composerData = parseJson(
+    await readItemTableWithCLI(wsDbPath, "composer.composerData"),
+  );
+  const marker = await readItemTableWithCLI(
+    wsDbPath,
+    "__$__isNewStorageMarker",
+  );
+  const headers = parseJson(
+    await readItemTableWithCLI(glDbPath, "composer.composerHeaders"),
+  );
+  const workspaceHasAllComposers = !!(
+    composerData && Array.isArray(composerData.allComposers)
+  );
+  const hasComposerHeaders = !!(headers && Array.isArray(headers.allComposers));
+
+  let stage = null;
+  if (composerData && typeof composerData === "object") {
+    const migrated = composerData.hasMigratedComposerData;
+    if (migrated === true) {
+      stage = workspaceHasAllComposers ? 1 : 2;
+    } else if (migrated === false && String(marker).trim() === "true") {
+      stage = 3;
+    } else if (workspaceHasAllComposers) {
+      stage = 0;
+    } else {
+      // No flag and no list: treat it like a migrated workspace, which is
+      // how Cursor reads it
+      stage = hasComposerHeaders ? 2 : 0;
+    }
+  }
+  return { stage, workspaceHasAllComposers, hasComposerHeaders };
+}
+
+module.exports = {
+  detectSchemaStage,
+};
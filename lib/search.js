@@ -0,0 +1,71 @@
+"use strict";
+
+/**
+ * Turn a raw window of stored bubble JSON into a readable one-line snippet
+ * centred on the search term.
+ */
+function cleanSnippet(raw, term, width = 120) {
+  const text = String(raw || "")
+    .replace(/\\n|\\r|\\t/g, " ")
+    .replace(/\\"/g, '"')
+    .replace(/\\\\/g, "\\")
+    .replace(/\s+/g, " ")
+    .trim();
+  // Line breaks and quotes in the term read the same as in the text
+  const at = text
+    .toLowerCase()
+    .indexOf(String(term).replace(/\s+/g, " ").trim().toLowerCase());
+  if (at < 0 || text.length <= width) return text.slice(0, width);
+  const start = Math.max(0, at - Math.floor((width - term.length) / 2));
+  const end = Math.min(text.length, start + width);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Group bubble search hits by workspace and composer.
+ * headers: allComposers entries from composer.composerHeaders, used to name
+ * chats and find their workspace via workspaceIdentifier.id.
+ * Returns [{ workspaceId, chats: [{ composerId, header, matches }] }], with
+ * chats that have no header collected under workspaceId null.
+ */
+function groupSearchResults(results, headers, term) {
+  const headerById = new Map();
+  for (const h of headers || []) {
+    if (h && h.composerId) headerById.set(h.composerId, h);
+  }
+
+  const workspaces = new Map();
+  for (const hit of results) {
+    const header = headerById.get(hit.composerId) || null;
+    const workspaceId =
+      (header && header.workspaceIdentifier && header.workspaceIdentifier.id) ||
+      null;
+    if (!workspaces.has(workspaceId)) workspaces.set(workspaceId, new Map());
+    const chats = workspaces.get(workspaceId);
+    if (!chats.has(hit.composerId)) {
+      chats.set(hit.composerId, {
+        composerId: hit.composerId,
+        header,
+        matches: [],
+      });
+    }
+    chats.get(hit.composerId).matches.push({
+      bubbleId: hit.bubbleId,
+      snippet: cleanSnippet(hit.snippet, term),
+    });
+  }
+
+  return Array.from(workspaces, ([workspaceId, chats]) => ({
+    workspaceId,
+    chats: Array.from(chats.values()).sort(
+      (a, b) =>
+        ((b.header && b.header.lastUpdatedAt) || 0) -
+        ((a.header && a.header.lastUpdatedAt) || 0),
+    ),
+  }));
+}
+
+module.exports = {
+  cleanSnippet,
+  groupSearchResults,
+};
@@ -0,0 +1,297 @@
+"use strict";
+
+// Detection and redaction of likely secrets (API keys, private keys, JWTs,
+// .env-style assignments, connection strings with passwords) in stored chat
+// values before they leave the machine in an export.
+
+const {
+  transformStoredValue,
+  collectContentHashes,
+} = require("./storedValues");
+
+const REDACTED = "[REDACTED]";
+
+// Each pattern marks the secret with a `secret` group (and the `d` flag for
+// its indices) when only part of the match should be redacted (the value of
+// an assignment, the password of a connection string); otherwise the whole
+// match is the secret.
+const SECRET_PATTERNS = [
+  {
+    type: "privateKey",
+    label: "Private key",
+    regex:
+      /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g,
+  },
+  {
+    type: "jwt",
+    label: "JSON Web Token",
+    regex: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g,
+  },
+  {
+    type: "apiKey",
+    label: "AWS access key",
+    regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    type: "apiKey",
+    label: "GitHub token",
+    regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g,
+  },
+  {
+    type: "apiKey",
+    label: "API key",
+    regex: /\bsk-(?=[A-Za-z0-9_-]*\d)[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    type: "apiKey",
+    label: "Stripe key",
+    regex: /\b[rsp]k_(?:live|test)_[0-9A-Za-z]{16,}/g,
+  },
+  {
+    type: "apiKey",
+    label: "Slack token",
+    regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+  },
+  {
+    type: "apiKey",
+    label: "Google API key",
+    regex: /\bAIza[0-9A-Za-z_-]{35}/g,
+  },
+  {
+    type: "connectionString",
+    label: "Connection string password",
+    regex:
+      /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@"'\\]+:(?<secret>[^\s@/"'\\]+)@[^\s"'\\]+/dgi,
+  },
+  {
+    type: "envAssignment",
+    label: ".env secret",
+    regex:
+      /^[ \t]*(?:export[ \t]+)?[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|ACCESS_?KEY|PRIVATE_?KEY|CREDENTIALS?)[A-Z0-9_]*[ \t]*=[ \t]*["']?(?<secret>[^\s"'#\\]{6,})/dgm,
+  },
+];
+
+// Values that are obviously placeholders rather than secrets
+const PLACEHOLDER =
+  /^(?:\$|<|\{|process\.env|os\.environ)|^(?:x+|\*+|\.+|changeme|example|placeholder|password|secret|your[-_].*|.*[-_]here)$/i;
+
+/**
+ * Find likely secrets in a string. Returns [{ type, label, start, end }]
+ * spans of the secret parts, sorted and without overlaps.
+ */
+function findSecrets(text) {
+  if (typeof text !== "string" || text.length < 8) return [];
+  const found = [];
+  for (const { type, label, regex } of SECRET_PATTERNS) {
+    regex.lastIndex = 0;
+    let m;
+    while ((m = regex.exec(text)) !== null) {
+      const secret = m.groups && m.groups.secret;
+      if (secret !== undefined && PLACEHOLDER.test(secret)) continue;
+      const [start, end] =
+        secret === undefined
+          ? [m.index, m.index + m[0].length]
+          : m.indices.groups.secret;
+      found.push({ type, label, start, end });
+    }
+  }
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const spans = [];
+  for (const span of found) {
+    const last = spans[spans.length - 1];
+    if (last && span.start < last.end) continue;
+    spans.push(span);
+  }
+  return spans;
+}
+
+// A short, masked sample of a secret for reports
+function maskSecret(secret) {
+  const oneLine = secret.replace(/\s+/g, " ");
+  return oneLine.length <= 8
+    ? "*".repeat(oneLine.length)
+    : `${oneLine.slice(0, 4)}…(${oneLine.length} chars)`;
+}
+
+/**
+ * Secrets in a stored value (composerData or bubble JSON, or plain text).
+ * Returns [{ type, label, sample }] with masked samples.
+ */
+function scanStoredValue(value) {
+  const findings = [];
+  transformStoredValue(value, {
+    mapString: (text) => {
+      for (const span of findSecrets(text)) {
+        findings.push({
+          type: span.type,
+          label: span.label,
+          sample: maskSecret(text.slice(span.start, span.end)),
+        });
+      }
+      return text;
+    },
+  });
+  return findings;
+}
+
+function redactText(text) {
+  const spans = findSecrets(text);
+  if (spans.length === 0) return text;
+  let out = "";
+  let at = 0;
+  for (const span of spans) {
+    out += text.slice(at, span.start) + REDACTED;
+    at = span.end;
+  }
+  return out + text.slice(at);
+}
+
+/**
+ * A stored value with its secrets replaced by [REDACTED]. JSON values stay
+ * valid JSON (they are re-serialized only when something was redacted);
+ * values without secrets are returned unchanged.
+ */
+function redactStoredValue(value) {
+  if (typeof value !== "string") return value;
+  return transformStoredValue(value, { mapString: redactText });
+}
+
+/**
+ * An export sink (see exportFile.js) that writes nothing and records the
+ * secrets found in every stored value: composerData, bubbles, agent state
+ * and content payloads (file contents). Content payloads are shared, so
+ * their findings go to every chat that references them. `sink.report` lists
+ * the affected chats: [{ composerId, name, findings: [{ type, label, sample, where }] }].
+ */
+function createSecretScanSink() {
+  const names = new Map();
+  const byChat = new Map();
+  // Content hash -> the chats whose stored values reference it
+  const contentRefs = new Map();
+  let section = null;
+  function add(composerId, where, value) {
+    const findings = scanStoredValue(value);
+    if (findings.length === 0) return;
+    if (!byChat.has(composerId)) byChat.set(composerId, []);
+    for (const f of findings) byChat.get(composerId).push({ ...f, where });
+  }
+  function addContentRefs(composerId, values) {
+    for (const hash of collectContentHashes(values)) {
+      if (!contentRefs.has(hash)) contentRefs.set(hash, new Set());
+      contentRefs.get(hash).add(composerId);
+    }
+  }
+  return {
+    get report() {
+      return Array.from(byChat, ([composerId, findings]) => ({
+        composerId,
+        name: names.get(composerId) || "",
+        findings,
+      }));
+    },
+    async section(name) {
+      section = name;
+    },
+    async entry(key, value) {
+      if (section === "allComposers") {
+        if (value && value.composerId) {
+          names.set(value.composerId, value.name || "");
+        }
+      } else if (section === "composers") {
+        add(key, "chat data", value);
+        addContentRefs(key, [value]);
+      } else if (section === "bubbles" && Array.isArray(value)) {
+        for (const bubble of value) {
+          if (bubble && bubble.value) {
+            add(key, `message ${bubble.bubbleId || bubble.key}`, bubble.value);
+          }
+        }
+        addContentRefs(
+          key,
+          value.map((bubble) => bubble && bubble.value),
+        );
+      } else if (section === "agentKv" && Array.isArray(value)) {
+        for (const entry of value) {
+          if (entry && entry.value) {
+            add(key, `agent state ${entry.key}`, entry.value);
+          }
+        }
+      } else if (section === "contents") {
+        const chats = contentRefs.get(key);
+        // Exports only carry payloads their chats reference; list one
+        // without a known chat under an empty composerId rather than drop it
+        for (const composerId of chats && chats.size > 0 ? chats : [""]) {
+          add(composerId, `file content ${key.slice(0, 12)}`, value);
+        }
+      }
+    },
+    async close() {},
+    abort() {},
+  };
+}
+
+/**
+ * Wrap an export sink so every stored value (composerData, bubbles and agent
+ * state) is redacted on its way through. Content payloads with secrets are
+ * left out instead: they are keyed by the hash of their content, and a
+ * redacted payload under the original hash would shadow the real one in any
+ * database it is imported into.
+ */
+function createRedactingSink(sink) {
+  let section = null;
+  return {
+    ...sink,
+    async section(name) {
+      section = name;
+      await sink.section(name);
+    },
+    async entry(key, value) {
+      if (section === "composers") {
+        await sink.entry(key, redactStoredValue(value));
+      } else if (section === "contents") {
+        if (redactStoredValue(value) === value) await sink.entry(key, value);
+      } else if (
+        (section === "bubbles" || section === "agentKv") &&
+        Array.isArray(value)
+      ) {
+        await sink.entry(
+          key,
+          value.map((entry) =>
+            entry && typeof entry.value === "string"
+              ? { ...entry, value: redactStoredValue(entry.value) }
+              : entry,
+          ),
+        );
+      } else {
+        await sink.entry(key, value);
+      }
+    },
+  };
+}
+
+/**
+ * Plain-text report lines for the chats of a scan, grouped by chat.
+ */
+function formatSecretReport(report) {
+  const lines = [];
+  for (const chat of report) {
+    lines.push(
+      chat.composerId
+        ? `${chat.name || "(untitled)"} [${chat.composerId}]: ${chat.findings.length} possible secret(s)`
+        : `File contents not tied to a chat: ${chat.findings.length} possible secret(s)`,
+    );
+    for (const f of chat.findings) {
+      lines.push(`  - ${f.label} in ${f.where}: ${f.sample}`);
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  findSecrets,
+  scanStoredValue,
+  redactStoredValue,
+  createSecretScanSink,
+  createRedactingSink,
+  formatSecretReport,
+};
@@ -0,0 +1,657 @@
+'use strict';
+
+// SQLite engines behind one interface. Every query in db.js goes through
+// getSqliteBackend(), which is either the sqlite3 CLI or the bundled WASM
+// build of SQLite (sql.js) for machines without the CLI.
+//
+// Backend interface (all paths are database files, all methods async):
+// - query(dbPath, sql, { signal }) -> string[][]; columns should be hex() or
+//   single-line values, NULL comes back as ''
+// - exec(dbPath, sql) runs a script (may contain BEGIN/COMMIT)
+// - insertRows(dbPath, table, rows, { replace, signal, onChunk }) writes
+//   { key, value } string rows (an array or async iterable) into a key/value
+//   table in one transaction, in bounded chunks; values are never spliced
+//   into SQL as quoted literals. Resolves with the number of rows written.
+// - deleteRows(dbPath, table, keys) deletes rows of a key/value table by key
+//   in one transaction. Resolves with the number of rows deleted.
+// - backup(dbPath, backupPath) writes a consistent standalone copy
+// - integrityCheck(dbPath) -> boolean
+// - close(dbPath) / closeAll() release open connections
+//
+// Both engines keep a connection per database open between calls (a
+// long-lived sqlite3 process, or the in-memory image), so callers should
+// batch work into few queries rather than open/close per key.
+
+const fs = require('fs');
+const { execSync, spawn } = require('child_process');
+const { readDatabaseImage, writeDatabaseImage, writeDatabaseCopy, fileSignature, assertNoOtherConnections } = require('./wal');
+
+/**
+ * Find sqlite3 CLI path
+ */
+function findSqlite3() {
+	const isWindows = process.platform === 'win32';
+	
+	// Define paths based on platform
+	const paths = isWindows ? [
+		// Common Windows installation paths
+		'C:\\sqlite3\\sqlite3.exe',
+		'C:\\sqlite\\sqlite3.exe',
+		'C:\\Program Files\\sqlite3\\sqlite3.exe',
+		'C:\\Program Files\\sqlite\\sqlite3.exe',
+		'C:\\Program Files (x86)\\sqlite3\\sqlite3.exe',
+		'C:\\Program Files (x86)\\sqlite\\sqlite3.exe',
+		// User-specific paths
+		process.env.LOCALAPPDATA ? `${process.env.LOCALAPPDATA}\\sqlite3\\sqlite3.exe` : null,
+		process.env.APPDATA ? `${process.env.APPDATA}\\sqlite3\\sqlite3.exe` : null,
+		process.env.USERPROFILE ? `${process.env.USERPROFILE}\\sqlite3\\sqlite3.exe` : null,
+		// Chocolatey installation path
+		'C:\\ProgramData\\chocolatey\\bin\\sqlite3.exe',
+		// Scoop installation path
+		process.env.USERPROFILE ? `${process.env.USERPROFILE}\\scoop\\apps\\sqlite\\current\\sqlite3.exe` : null,
+	].filter(Boolean) : [
+		// Unix/macOS paths
+		'/usr/bin/sqlite3',
+		'/usr/local/bin/sqlite3',
+		'/bin/sqlite3',
+		'/opt/homebrew/bin/sqlite3',
+		process.env.HOME ? `${process.env.HOME}/.android_sdk/platform-tools/sqlite3` : null,
+	].filter(Boolean);
+	
+	for (const p of paths) {
+		if (fs.existsSync(p)) {
+			return p;
+		}
+	}
+	
+	// Try to find sqlite3 using system command
+	try {
+		if (isWindows) {
+			// Use 'where' command on Windows
+			const result = execSync('where sqlite3', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+			// 'where' can return multiple lines, take the first one
+			const firstResult = result.split(/\r?\n/)[0];
+			if (firstResult && fs.existsSync(firstResult)) {
+				return firstResult;
+			}
+		} else {
+			// Use 'which' command on Unix/macOS
+			const result = execSync('which sqlite3', { encoding: 'utf8' }).trim();
+			if (result && fs.existsSync(result)) {
+				return result;
+			}
+		}
+	} catch (e) {
+		// Command failed, continue to next check
+	}
+	
+	// On Windows, also try to find sqlite3.exe directly (might be in PATH without extension)
+	if (isWindows) {
+		try {
+			const result = execSync('where sqlite3.exe', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+			const firstResult = result.split(/\r?\n/)[0];
+			if (firstResult && fs.existsSync(firstResult)) {
+				return firstResult;
+			}
+		} catch (e) {
+			// Ignore
+		}
+	}
+	
+	return null;
+}
+
+/**
+ * Run sqlite3 in a child process without blocking the extension host.
+ * Pass an AbortSignal to kill a long-running query.
+ */
+function runSqlite3Async(sqlite3Path, args, input = '', signal = undefined) {
+	return new Promise((resolve, reject) => {
+		const child = spawn(sqlite3Path, args, { stdio: ['pipe', 'pipe', 'pipe'], signal });
+		const stdout = [];
+		const stderr = [];
+		child.stdout.on('data', chunk => stdout.push(chunk));
+		child.stderr.on('data', chunk => stderr.push(chunk));
+		child.on('error', err => {
+			if (err.name === 'AbortError') {
+				reject(cancelledError());
+			} else {
+				reject(err);
+			}
+		});
+		child.on('close', (code, sig) => {
+			if (signal && signal.aborted) return; // already rejected via 'error'
+			const stderrText = Buffer.concat(stderr).toString('utf8').trim();
+			if (sig) {
+				reject(new Error(stderrText || `sqlite3 terminated by signal ${sig}`));
+			} else if (code !== 0) {
+				reject(new Error(stderrText || `sqlite3 exited with code ${code}`));
+			} else {
+				resolve(Buffer.concat(stdout).toString('utf8'));
+			}
+		});
+		child.stdin.on('error', () => {}); // EPIPE when the process is killed early
+		child.stdin.end(input);
+	});
+}
+
+function parseListOutput(out) {
+	if (!out) return [];
+	return out
+		.split(/\r?\n/)
+		.map(l => l.trim())
+		.filter(Boolean)
+		.map(l => l.split('\t'));
+}
+
+const LIST_MODE_SETUP = ['.timeout 5000', '.mode list', '.separator "\t"', '.headers off'].join('\n') + '\n';
+
+function listModeInput(sql) {
+	return LIST_MODE_SETUP + sql + '\n';
+}
+
+// Printed after each request so the reader knows where its output ends
+const DONE_MARKER = '__cursor_chat_transfer_done_';
+// Close a session's sqlite3 process after this long without requests
+const SESSION_IDLE_MS = 30 * 1000;
+// Bounds for one chunk of insertRows(): whichever is reached first
+const CHUNK_MAX_ROWS = 500;
+const CHUNK_MAX_BYTES = 1024 * 1024;
+
+/**
+ * Split rows into chunks of at most CHUNK_MAX_ROWS rows and roughly
+ * CHUNK_MAX_BYTES of key/value text (a single larger row gets its own chunk).
+ * Works on arrays and async iterables, pulling rows only as chunks are used.
+ */
+async function* chunkRows(rows) {
+	let chunk = [];
+	let bytes = 0;
+	for await (const row of rows) {
+		const size = Buffer.byteLength(row.key, 'utf8') + Buffer.byteLength(row.value, 'utf8');
+		if (chunk.length > 0 && (chunk.length >= CHUNK_MAX_ROWS || bytes + size > CHUNK_MAX_BYTES)) {
+			yield chunk;
+			chunk = [];
+			bytes = 0;
+		}
+		chunk.push(row);
+		bytes += size;
+	}
+	if (chunk.length > 0) yield chunk;
+}
+
+/**
+ * A string as a SQL expression built from its UTF-8 bytes, so no quoting is
+ * involved and the stored text is byte-for-byte the original.
+ */
+function hexText(value) {
+	return `CAST(X'${Buffer.from(String(value), 'utf8').toString('hex')}' AS TEXT)`;
+}
+
+function cancelledError() {
+	return new Error('Cancelled');
+}
+
+/**
+ * One long-lived sqlite3 process for a database. Requests are written to
+ * its stdin one at a time, each followed by `.print <marker>`; everything on
+ * stdout up to the marker is that request's output. The process runs with
+ * -bail, so a failing statement ends it (rolling back any open transaction)
+ * and the request is rejected with sqlite3's error; the next request starts
+ * a fresh process.
+ */
+class Sqlite3Session {
+	constructor(sqlite3Path, dbPath) {
+		this.sqlite3Path = sqlite3Path;
+		this.dbPath = dbPath;
+		this.child = null;
+		this.pending = null;
+		this.queue = Promise.resolve();
+		this.seq = 0;
+		this.idleTimer = null;
+	}
+
+	start() {
+		const child = spawn(this.sqlite3Path, ['-bail', '-batch', this.dbPath], { stdio: ['pipe', 'pipe', 'pipe'] });
+		const stderr = [];
+		child.stdout.on('data', chunk => this.onStdout(chunk));
+		child.stderr.on('data', chunk => stderr.push(chunk));
+		child.stdin.on('error', () => {}); // EPIPE when sqlite3 exits on an error
+		const finish = err => {
+			if (this.child === child) this.child = null;
+			const pending = this.pending;
+			if (!pending) return;
+			this.pending = null;
+			const stderrText = Buffer.concat(stderr).toString('utf8').trim();
+			pending.reject(err || new Error(stderrText || 'sqlite3 exited unexpectedly'));
+		};
+		child.on('error', finish);
+		child.on('close', () => finish());
+		child.stdin.write(LIST_MODE_SETUP);
+		this.child = child;
+	}
+
+	onStdout(chunk) {
+		const pending = this.pending;
+		if (!pending) return;
+		pending.chunks.push(chunk);
+		pending.tail = (pending.tail + chunk.toString('latin1')).slice(-(pending.marker.length + 4));
+		if (!pending.tail.trimEnd().endsWith(pending.marker)) return;
+		this.pending = null;
+		const out = Buffer.concat(pending.chunks).toString('utf8');
+		pending.resolve(out.slice(0, out.lastIndexOf(pending.marker)));
+	}
+
+	/**
+	 * Run a script and resolve with its stdout. Requests are queued.
+	 */
+	run(sql) {
+		const job = this.queue.then(() => this.send(sql));
+		this.queue = job.catch(() => {});
+		return job;
+	}
+
+	send(sql) {
+		clearTimeout(this.idleTimer);
+		return new Promise((resolve, reject) => {
+			if (!this.child) this.start();
+			const marker = `${DONE_MARKER}${++this.seq}`;
+			this.pending = { marker, resolve, reject, chunks: [], tail: '' };
+			let script = sql.trim();
+			// Terminate the last SQL statement so `.print` is not swallowed by it
+			if (!script.split('\n').pop().startsWith('.') && !script.endsWith(';')) script += ';';
+			this.child.stdin.write(`${script}\n.print ${marker}\n`);
+		}).finally(() => {
+			this.idleTimer = setTimeout(() => this.close(), SESSION_IDLE_MS);
+			this.idleTimer.unref();
+		});
+	}
+
+	/**
+	 * Run `fn(send)` inside BEGIN IMMEDIATE ... COMMIT, holding the queue so
+	 * no other request lands in the middle. `send(sql)` runs one script. When
+	 * fn throws, the transaction is rolled back (if sqlite3 has not already
+	 * exited on the error, which rolls it back too).
+	 */
+	transaction(fn) {
+		const job = this.queue.then(async () => {
+			await this.send('BEGIN IMMEDIATE;');
+			let result;
+			try {
+				result = await fn(sql => this.send(sql));
+			} catch (err) {
+				if (this.child) await this.send('ROLLBACK;').catch(() => {});
+				throw err;
+			}
+			await this.send('COMMIT;');
+			return result;
+		});
+		this.queue = job.catch(() => {});
+		return job;
+	}
+
+	/**
+	 * End the sqlite3 process once queued requests are done.
+	 */
+	close() {
+		clearTimeout(this.idleTimer);
+		const job = this.queue.then(() => new Promise(resolve => {
+			const child = this.child;
+			if (!child) return resolve();
+			this.child = null;
+			child.once('close', () => resolve());
+			child.stdin.end();
+		}));
+		this.queue = job;
+		return job;
+	}
+}
+
+function createCliBackend(sqlite3Path) {
+	const sessions = new Map();
+
+	function session(dbPath) {
+		let s = sessions.get(dbPath);
+		if (!s) {
+			s = new Sqlite3Session(sqlite3Path, dbPath);
+			sessions.set(dbPath, s);
+		}
+		return s;
+	}
+
+	async function query(dbPath, sql, { signal } = {}) {
+		if (signal) {
+			// Cancellable queries get their own process, so killing it does not
+			// take the shared session down with it
+			return parseListOutput(await runSqlite3Async(sqlite3Path, [dbPath], listModeInput(sql), signal));
+		}
+		return parseListOutput(await session(dbPath).run(sql));
+	}
+
+	async function totalChanges(send) {
+		return Number((await send('SELECT total_changes();')).trim());
+	}
+
+	function close(dbPath) {
+		const s = sessions.get(dbPath);
+		if (!s) return Promise.resolve();
+		sessions.delete(dbPath);
+		return s.close();
+	}
+
+	return {
+		name: 'cli',
+		description: `sqlite3 CLI (${sqlite3Path})`,
+		query,
+		async exec(dbPath, sql) {
+			await session(dbPath).run(sql);
+		},
+		async insertRows(dbPath, table, rows, { replace = false, signal, onChunk } = {}) {
+			const verb = replace ? 'INSERT OR REPLACE' : 'INSERT OR IGNORE';
+			return session(dbPath).transaction(async send => {
+				const before = await totalChanges(send);
+				let done = 0;
+				for await (const chunk of chunkRows(rows)) {
+					if (signal && signal.aborted) throw cancelledError();
+					await send(chunk
+						.map(({ key, value }) => `${verb} INTO ${table} (key, value) VALUES (${hexText(key)}, ${hexText(value)});`)
+						.join('\n'));
+					done += chunk.length;
+					if (onChunk) onChunk(done, rows.length);
+				}
+				return (await totalChanges(send)) - before;
+			});
+		},
+		async deleteRows(dbPath, table, keys) {
+			return session(dbPath).transaction(async send => {
+				const before = await totalChanges(send);
+				for await (const chunk of chunkRows(keys.map(key => ({ key, value: '' })))) {
+					await send(chunk
+						.map(({ key }) => `DELETE FROM ${table} WHERE key = ${hexText(key)};`)
+						.join('\n'));
+				}
+				return (await totalChanges(send)) - before;
+			});
+		},
+		async backup(dbPath, backupPath) {
+			const target = backupPath.replace(/'/g, "''");
+			await session(dbPath).run(`.backup '${target}'`);
+		},
+		async integrityCheck(dbPath) {
+			const rows = await query(dbPath, 'PRAGMA integrity_check;');
+			return rows.length === 1 && rows[0][0] === 'ok';
+		},
+		close,
+		async closeAll() {
+			await Promise.all(Array.from(sessions.keys(), close));
+		}
+	};
+}
+
+// Databases kept open by the built-in engine (global + workspace DBs + one spare)
+const BUILTIN_MAX_OPEN = 3;
+// Largest DB (plus WAL) the built-in engine loads: sql.js has no paged file
+// access, so the image, the WASM heap copy and the export on write each hold
+// the whole database in memory. Larger databases need the sqlite3 CLI.
+const BUILTIN_MAX_DB_BYTES = 512 * 1024 * 1024;
+
+function fileSize(filePath) {
+	try {
+		return fs.statSync(filePath).size;
+	} catch {
+		return 0;
+	}
+}
+
+/**
+ * Why the built-in engine cannot open a database (it is larger than
+ * BUILTIN_MAX_DB_BYTES), or null when it can.
+ */
+function builtinEngineLimit(dbPath) {
+	const size = fileSize(dbPath) + fileSize(dbPath + '-wal');
+	if (size <= BUILTIN_MAX_DB_BYTES) return null;
+	return `${dbPath} is ${Math.round(size / 1024 / 1024)} MB; the built-in SQLite engine only handles databases up to ${BUILTIN_MAX_DB_BYTES / 1024 / 1024} MB, so the sqlite3 CLI is required for it. Install sqlite3, or point to it with the cursorChatTransfer.sqlite.cliPath setting (--sqlite3 on the command line).`;
+}
+
+function cellToString(value) {
+	if (value == null) return '';
+	if (value instanceof Uint8Array) return Buffer.from(value).toString('utf8');
+	return String(value);
+}
+
+/**
+ * The WASM engine works on an in-memory image of each DB (WAL applied, see
+ * wal.js). Images are cached until the files change on disk; writes are
+ * flushed back to the file after every script that changed rows. It cannot
+ * lock the files, so it refuses to write while another program has a DB
+ * open, and refuses DBs larger than BUILTIN_MAX_DB_BYTES.
+ */
+function createBuiltinBackend(SQL) {
+	const open = new Map();
+
+	function close(dbPath) {
+		const entry = open.get(dbPath);
+		if (!entry) return;
+		try { entry.db.close(); } catch {}
+		open.delete(dbPath);
+	}
+
+	function load(dbPath) {
+		const entry = open.get(dbPath);
+		if (entry && entry.signature === fileSignature(dbPath)) {
+			// Move to the end so the least recently used DB is evicted first
+			open.delete(dbPath);
+			open.set(dbPath, entry);
+			return entry;
+		}
+		close(dbPath);
+		if (!fs.existsSync(dbPath)) {
+			throw new Error(`Database file not found: ${dbPath}`);
+		}
+		const limit = builtinEngineLimit(dbPath);
+		if (limit) throw new Error(limit);
+		const { image, walMode, signature } = readDatabaseImage(dbPath);
+		const loaded = { db: new SQL.Database(image), walMode, signature };
+		open.set(dbPath, loaded);
+		while (open.size > BUILTIN_MAX_OPEN) {
+			close(open.keys().next().value);
+		}
+		return loaded;
+	}
+
+	function queryRows(dbPath, sql) {
+		const rows = [];
+		for (const result of load(dbPath).db.exec(sql)) {
+			for (const values of result.values) {
+				rows.push(values.map(cellToString));
+			}
+		}
+		return rows;
+	}
+
+	function totalChanges(db) {
+		return db.exec('SELECT total_changes();')[0].values[0][0];
+	}
+
+	return {
+		name: 'builtin',
+		description: 'built-in SQLite (sql.js)',
+		async query(dbPath, sql, { signal } = {}) {
+			// Runs in-process; yield once so a cancel issued right away is honoured
+			await new Promise(resolve => setImmediate(resolve));
+			if (signal && signal.aborted) throw cancelledError();
+			return queryRows(dbPath, sql);
+		},
+		async exec(dbPath, sql) {
+			assertNoOtherConnections(dbPath);
+			const entry = load(dbPath);
+			try {
+				const before = totalChanges(entry.db);
+				entry.db.exec(sql);
+				if (totalChanges(entry.db) === before) return;
+				entry.signature = writeDatabaseImage(dbPath, entry.db.export(), entry);
+			} catch (err) {
+				// The in-memory copy may now differ from the file; reload next time
+				close(dbPath);
+				throw err;
+			}
+		},
+		async insertRows(dbPath, table, rows, { replace = false, signal, onChunk } = {}) {
+			assertNoOtherConnections(dbPath);
+			const entry = load(dbPath);
+			const verb = replace ? 'INSERT OR REPLACE' : 'INSERT OR IGNORE';
+			const stmt = entry.db.prepare(`${verb} INTO ${table} (key, value) VALUES (?, ?)`);
+			try {
+				entry.db.exec('BEGIN;');
+				const before = totalChanges(entry.db);
+				let done = 0;
+				for await (const chunk of chunkRows(rows)) {
+					if (signal && signal.aborted) throw cancelledError();
+					for (const { key, value } of chunk) stmt.run([key, value]);
+					done += chunk.length;
+					if (onChunk) onChunk(done, rows.length);
+					// Let progress reports and cancellation through between chunks
+					await new Promise(resolve => setImmediate(resolve));
+				}
+				const written = totalChanges(entry.db) - before;
+				entry.db.exec('COMMIT;');
+				stmt.free();
+				entry.signature = writeDatabaseImage(dbPath, entry.db.export(), entry);
+				return written;
+			} catch (err) {
+				// Drop the in-memory copy (and its open transaction); nothing was
+				// written to the file unless writeDatabaseImage itself failed
+				try { stmt.free(); } catch {}
+				close(dbPath);
+				throw err;
+			}
+		},
+		async deleteRows(dbPath, table, keys) {
+			assertNoOtherConnections(dbPath);
+			const entry = load(dbPath);
+			const stmt = entry.db.prepare(`DELETE FROM ${table} WHERE key = ?`);
+			try {
+				entry.db.exec('BEGIN;');
+				const before = totalChanges(entry.db);
+				for (const key of keys) stmt.run([key]);
+				const deleted = totalChanges(entry.db) - before;
+				entry.db.exec('COMMIT;');
+				stmt.free();
+				if (deleted > 0) entry.signature = writeDatabaseImage(dbPath, entry.db.export(), entry);
+				return deleted;
+			} catch (err) {
+				try { stmt.free(); } catch {}
+				close(dbPath);
+				throw err;
+			}
+		},
+		async backup(dbPath, backupPath) {
+			writeDatabaseCopy(dbPath, backupPath);
+		},
+		async integrityCheck(dbPath) {
+			const rows = queryRows(dbPath, 'PRAGMA integrity_check;');
+			return rows.length === 1 && rows[0][0] === 'ok';
+		},
+		async close(dbPath) {
+			close(dbPath);
+		},
+		async closeAll() {
+			for (const dbPath of Array.from(open.keys())) close(dbPath);
+		}
+	};
+}
+
+let settings = { engine: 'auto', cliPath: '' };
+let backend = null;
+let sqlJs = null;
+let sqlJsLoading = null;
+
+/**
+ * Choose the SQLite engine.
+ * engine: 'auto' (sqlite3 CLI when available, else built-in), 'cli' or 'builtin'
+ * cliPath: explicit sqlite3 executable, instead of searching for one
+ */
+function configureSqlite({ engine = 'auto', cliPath = '' } = {}) {
+	settings = { engine: engine || 'auto', cliPath: cliPath || '' };
+	if (backend) backend.closeAll();
+	backend = null;
+}
+
+/**
+ * Close the active backend's connection to one database (or to all of them
+ * when no path is given), e.g. before its file is replaced.
+ */
+function closeSqlite(dbPath = undefined) {
+	if (!backend) return Promise.resolve();
+	return dbPath ? backend.close(dbPath) : backend.closeAll();
+}
+
+function resolveCliPath() {
+	if (settings.cliPath) {
+		if (!fs.existsSync(settings.cliPath)) {
+			throw new Error(`Configured sqlite3 executable not found: ${settings.cliPath}`);
+		}
+		return settings.cliPath;
+	}
+	return findSqlite3();
+}
+
+function loadSqlJs() {
+	if (!sqlJsLoading) {
+		const initSqlJs = require('sql.js');
+		sqlJsLoading = initSqlJs().then(
+			mod => {
+				sqlJs = mod;
+				return mod;
+			},
+			err => {
+				sqlJsLoading = null;
+				throw err;
+			}
+		);
+	}
+	return sqlJsLoading;
+}
+
+/**
+ * Pick the backend for the current settings, loading the WASM engine if it
+ * is needed (that step is async, everything after it is synchronous).
+ */
+async function initSqlite() {
+	if (!backend && settings.engine !== 'cli' && (settings.engine === 'builtin' || !resolveCliPath())) {
+		await loadSqlJs();
+	}
+	return getSqliteBackend();
+}
+
+/**
+ * The active backend. Call initSqlite() once first; db.js does this in its
+ * async entry points.
+ */
+function getSqliteBackend() {
+	if (backend) return backend;
+	if (settings.engine !== 'builtin') {
+		const cliPath = resolveCliPath();
+		if (cliPath) {
+			backend = createCliBackend(cliPath);
+			return backend;
+		}
+		if (settings.engine === 'cli') {
+			throw new Error('sqlite3 CLI not found. Please install sqlite3 or use the built-in SQLite engine.');
+		}
+	}
+	if (!sqlJs) {
+		throw new Error('The built-in SQLite engine is still loading. Please try again.');
+	}
+	backend = createBuiltinBackend(sqlJs);
+	return backend;
+}
+
+module.exports = {
+	configureSqlite,
+	initSqlite,
+	getSqliteBackend,
+	closeSqlite,
+	builtinEngineLimit,
+	findSqlite3,
+	runSqlite3Async
+};
@@ -0,0 +1,99 @@
+"use strict";
+
+// Rewriting the JSON strings Cursor stores in cursorDiskKV. Values are parsed
+// and walked instead of edited as text, so a change can never break their
+// escaping. Some string fields hold JSON again (e.g. richText); those are
+// walked as well.
+
+function parseNested(text) {
+  if (!/^\s*[[{]/.test(text)) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function walk(value, mapString) {
+  if (typeof value === "string") {
+    const nested = parseNested(value);
+    if (nested !== undefined && typeof nested === "object") {
+      const replaced = walk(nested, mapString);
+      return replaced === nested ? value : JSON.stringify(replaced);
+    }
+    return mapString(value);
+  }
+  if (Array.isArray(value)) {
+    let changed = false;
+    const out = value.map((item) => {
+      const next = walk(item, mapString);
+      if (next !== item) changed = true;
+      return next;
+    });
+    return changed ? out : value;
+  }
+  if (value && typeof value === "object") {
+    let changed = false;
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+      out[key] = walk(item, mapString);
+      if (out[key] !== item) changed = true;
+    }
+    return changed ? out : value;
+  }
+  return value;
+}
+
+/**
+ * Rewrite a stored value (a JSON string, plain text, or an already parsed
+ * object such as a composer header):
+ * - mapString(text): called for every string, returns its replacement
+ * - dropFields: Set of keys removed from the value's own top-level object;
+ *   nested objects (e.g. tool-call arguments) keep theirs
+ * Returns the value itself when nothing changed; changed JSON is
+ * re-serialized and stays valid.
+ */
+function transformStoredValue(
+  value,
+  { mapString = (s) => s, dropFields } = {},
+) {
+  const top = typeof value === "string" ? parseNested(value) : value;
+  if (
+    !dropFields ||
+    !top ||
+    typeof top !== "object" ||
+    Array.isArray(top) ||
+    !Object.keys(top).some((key) => dropFields.has(key))
+  ) {
+    return walk(value, mapString);
+  }
+  const kept = {};
+  for (const [key, item] of Object.entries(top)) {
+    if (!dropFields.has(key)) kept[key] = item;
+  }
+  const out = walk(kept, mapString);
+  return typeof value === "string" ? JSON.stringify(out) : out;
+}
+
+/**
+ * Collect every content hash referenced from stored composer/bubble values.
+ * Hashes show up either as full `composer.content.<sha>` keys or as bare
+ * SHA-256 hex strings; callers check which ones actually exist in the DB.
+ */
+function collectContentHashes(values) {
+  const hashes = new Set();
+  const keyRe = /composer\.content\.([0-9a-fA-F]{32,128})/g;
+  const bareRe = /"([0-9a-f]{64})"/g;
+  for (const value of values) {
+    if (typeof value !== "string" || value.length === 0) continue;
+    let m;
+    while ((m = keyRe.exec(value)) !== null) hashes.add(m[1]);
+    while ((m = bareRe.exec(value)) !== null) hashes.add(m[1]);
+  }
+  return Array.from(hashes);
+}
+
+module.exports = {
+  transformStoredValue,
+  collectContentHashes,
+};
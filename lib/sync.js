@@ -0,0 +1,575 @@
+"use strict";
+
+// Two-way chat sync through a shared folder (kept in step between machines
+// by Syncthing, Dropbox or the like; to this module it is a plain local
+// directory). The folder holds one export file per chat, plus a small
+// metadata file that carries its version:
+//   chats/<syncId>.cursor-chat.json  the chat as the last machine to change
+//                                    it exported it; manifest.sync is
+//                                    { syncId, version }
+//   chats/<syncId>.meta.json         { syncId, version, fingerprint,
+//                                    contentKey, composerIds, name,
+//                                    workspace: { name, folder },
+//                                    updatedAt, updatedBy }
+//   machines/<key>.json              what this machine last pushed or pulled
+// A chat's syncId is its composerId on the machine that pushed it first;
+// composerIds lists the IDs it was pushed under since.
+// Machines only write the files of chats they changed and their own state
+// file, so there is no shared index for both sides to rewrite.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { openSqliteReadOnly, readComposerHeaders } = require("./db");
+const {
+  listWorkspaceComposers,
+  buildExportObject,
+  importFromObject,
+  findImportedChats,
+  buildWorkspaceIdentifier,
+  collectContentHashes,
+} = require("./transfer");
+const { readExportObject, writeExportObject } = require("./exportFile");
+const { createChatFingerprint } = require("./exportFormat");
+
+const CHATS_DIR = "chats";
+const MACHINES_DIR = "machines";
+const META_SUFFIX = ".meta.json";
+const CHAT_SUFFIX = ".cursor-chat.json";
+// How many of the composerIds a chat was pushed under its metadata keeps
+const MAX_PUSHED_IDS = 20;
+// Composer and bubble IDs, which differ between copies of a chat
+const ID_PATTERN =
+  /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+// Which side wins for chats changed on both since the last sync
+const SYNC_PREFER = ["local", "remote"];
+
+function safeName(syncId) {
+  return String(syncId).replace(/[^A-Za-z0-9_-]/g, "_");
+}
+
+/**
+ * State file of this machine in the sync folder: one per global DB and
+ * host name, so two profiles on one machine keep separate records.
+ */
+function machineStatePath(folder, glDbPath) {
+  const key = crypto
+    .createHash("sha256")
+    .update(`${os.hostname()}\n${path.resolve(glDbPath)}`)
+    .digest("hex")
+    .slice(0, 16);
+  return path.join(folder, MACHINES_DIR, `${key}.json`);
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(value, null, 2), "utf8");
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+// { chats: { [syncId]: { composerId, workspace, version, fingerprint,
+// lastUpdatedAt } }, lastRun }
+function readState(statePath) {
+  const state = readJson(statePath);
+  return state && state.chats ? state : { lastRun: 0, chats: {} };
+}
+
+/**
+ * The metadata files of the sync folder: Map(syncId -> meta). Files whose
+ * name does not match their syncId (e.g. "conflicted copy" duplicates made
+ * by the sync tool) are ignored.
+ */
+function readMetas(chatsDir) {
+  const metas = new Map();
+  let names = [];
+  try {
+    names = fs.readdirSync(chatsDir);
+  } catch {
+    return metas;
+  }
+  for (const name of names) {
+    if (!name.endsWith(META_SUFFIX)) continue;
+    const meta = readJson(path.join(chatsDir, name));
+    if (!meta || !meta.syncId || !Number.isInteger(meta.version)) continue;
+    if (name !== `${safeName(meta.syncId)}${META_SUFFIX}`) continue;
+    metas.set(meta.syncId, meta);
+  }
+  return metas;
+}
+
+function readMeta(chatsDir, syncId) {
+  return readJson(path.join(chatsDir, `${safeName(syncId)}${META_SUFFIX}`));
+}
+
+/**
+ * One chat of an export object, with the content payloads it references.
+ */
+function pickChat(obj, id) {
+  const composers = {};
+  const bubbles = {};
+  const agentKv = {};
+  if (obj.composers && obj.composers[id] != null) {
+    composers[id] = obj.composers[id];
+  }
+  if (obj.bubbles && obj.bubbles[id]) bubbles[id] = obj.bubbles[id];
+  if (obj.agentKv && obj.agentKv[id]) agentKv[id] = obj.agentKv[id];
+  const values = [
+    composers[id],
+    ...(bubbles[id] || []).map((b) => b && b.value),
+  ];
+  const contents = {};
+  for (const hash of collectContentHashes(values)) {
+    if (obj.contents && obj.contents[hash] != null) {
+      contents[hash] = obj.contents[hash];
+    }
+  }
+  return {
+    allComposers: (obj.allComposers || []).filter(
+      (c) => c && c.composerId === id,
+    ),
+    composers,
+    bubbles,
+    contents,
+    agentKv,
+    manifest: { ...(obj.manifest || {}) },
+  };
+}
+
+function combineChats(chats) {
+  const out = {
+    allComposers: [],
+    composers: {},
+    bubbles: {},
+    contents: {},
+    agentKv: {},
+  };
+  for (const chat of chats) {
+    out.allComposers.push(...chat.allComposers);
+    Object.assign(out.composers, chat.composers);
+    Object.assign(out.bubbles, chat.bubbles);
+    Object.assign(out.contents, chat.contents);
+    Object.assign(out.agentKv, chat.agentKv);
+  }
+  return out;
+}
+
+function fingerprintOf(chat, id) {
+  const fingerprint = createChatFingerprint();
+  fingerprint.bubbles(chat.bubbles[id]);
+  fingerprint.composerData(chat.composers[id]);
+  return fingerprint.digest();
+}
+
+/**
+ * A fingerprint of a chat's content that leaves out its IDs, so it also
+ * matches copies of the chat made by importing it elsewhere.
+ */
+function contentKeyOf(chat, id) {
+  const hash = (value) => {
+    let text = typeof value === "string" ? value : "";
+    try {
+      text = JSON.stringify(JSON.parse(text));
+    } catch {
+      // Compared as stored
+    }
+    return crypto
+      .createHash("sha256")
+      .update(text.replace(ID_PATTERN, ""))
+      .digest("hex");
+  };
+  const bubbles = (chat.bubbles[id] || [])
+    .filter(Boolean)
+    .map((b) => hash(b.value));
+  return crypto
+    .createHash("sha256")
+    .update(`${bubbles.sort().join("\n")}\n${hash(chat.composers[id])}`)
+    .digest("hex");
+}
+
+function workspaceFolder(ws) {
+  const { uri } = buildWorkspaceIdentifier(ws.path);
+  return uri ? uri.fsPath : "";
+}
+
+/**
+ * The local workspace a pulled chat belongs in: the one with the same
+ * folder path, else the only one with the same folder name.
+ */
+function matchWorkspace(target, workspaces) {
+  if (!target) return null;
+  const normalize = (p) => path.resolve(p).replace(/\\/g, "/").toLowerCase();
+  if (target.folder) {
+    const wanted = normalize(target.folder);
+    const same = workspaces.find(
+      (ws) => ws.folder && normalize(ws.folder) === wanted,
+    );
+    if (same) return same;
+  }
+  const named = workspaces.filter((ws) => ws.name === target.name);
+  return named.length === 1 ? named[0] : null;
+}
+
+/**
+ * Sync the chats of every workspace with a shared folder.
+ *
+ * options:
+ * - folder: the sync folder (created if missing)
+ * - glDbPath: global state.vscdb
+ * - workspaces: [{ path, hash, name }] workspace state.vscdb files
+ * - prefer: "local" or "remote" to settle chats changed on both sides since
+ *   the last sync; by default they are left alone and reported
+ * - log: (line) => void
+ *
+ * Chats new or changed here are pushed with the next version number; chats
+ * another machine pushed since are pulled into the workspace they belong to
+ * (matched by folder path, then by folder name) when the local copy did not
+ * change in between. A local copy imported from the same pushed chat before
+ * takes the new messages in and keeps its composerId and its own messages
+ * (merge); any other copy is deleted and the pulled chat imported under a
+ * new composerId (the state file follows it). Chats without a record here
+ * are linked to the folder's chat they are a copy of, by composerId, import
+ * origin or content, rather than pushed again. A push is abandoned when the
+ * chat's version in the folder moved while syncing, and a pull waits while
+ * its export file has not caught up with the metadata yet.
+ * Returns { pushed, pulled, conflicts: [{ syncId, name }], pending,
+ * unmatched: [{ syncId, name, workspace }] }.
+ */
+async function runSync({
+  folder,
+  glDbPath,
+  workspaces,
+  prefer,
+  log = () => {},
+}) {
+  if (prefer !== undefined && !SYNC_PREFER.includes(prefer)) {
+    throw new Error(
+      `Unknown sync preference: ${prefer} (use ${SYNC_PREFER.join(" or ")})`,
+    );
+  }
+  const chatsDir = path.join(folder, CHATS_DIR);
+  fs.mkdirSync(chatsDir, { recursive: true });
+  const statePath = machineStatePath(folder, glDbPath);
+  const state = readState(statePath);
+  const glUri = { fsPath: glDbPath };
+  const locals = workspaces.map((ws) => ({
+    ...ws,
+    folder: workspaceFolder(ws),
+  }));
+  const syncIdOf = new Map(
+    Object.entries(state.chats).map(([syncId, s]) => [s.composerId, syncId]),
+  );
+
+  // The chats of this machine, by syncId, and the ones that may have
+  // changed since the last sync
+  const here = new Map();
+  const exported = new Map();
+  // A workspace may list chats in its own allComposers while Cursor keeps
+  // lastUpdatedAt current only in the global headers; go by the later one
+  const globalUpdatedAt = new Map();
+  const globalHeaders = await readComposerHeaders(glUri.fsPath);
+  for (const c of (globalHeaders && globalHeaders.allComposers) || []) {
+    if (c && c.composerId) {
+      globalUpdatedAt.set(c.composerId, c.lastUpdatedAt || 0);
+    }
+  }
+  for (const ws of locals) {
+    let composers;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const wsDb = await openSqliteReadOnly(ws.path);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        composers = await listWorkspaceComposers(wsDb, glUri);
+      } finally {
+        wsDb.closeReadOnly();
+      }
+    } catch (err) {
+      log(`Skipping ${ws.name || ws.hash}: ${err.message || String(err)}`);
+      continue;
+    }
+    const toRead = [];
+    for (const listed of composers || []) {
+      const c = {
+        ...listed,
+        lastUpdatedAt: Math.max(
+          listed.lastUpdatedAt || 0,
+          globalUpdatedAt.get(listed.composerId) || 0,
+        ),
+      };
+      const syncId = syncIdOf.get(c.composerId) || c.composerId;
+      if (here.has(syncId)) continue;
+      here.set(syncId, { ws, header: c });
+      const known = state.chats[syncId];
+      if (!known || known.lastUpdatedAt !== (c.lastUpdatedAt || 0)) {
+        toRead.push(c.composerId);
+      }
+    }
+    if (toRead.length === 0) continue;
+    // eslint-disable-next-line no-await-in-loop
+    const obj = await buildExportObject({ fsPath: ws.path }, glUri, toRead);
+    for (const id of toRead) {
+      exported.set(syncIdOf.get(id) || id, pickChat(obj, id));
+    }
+  }
+
+  const remote = readMetas(chatsDir);
+
+  // Chats this machine has no record of may be chats of the folder: pushed
+  // or pulled before its state file was lost, or imported from another
+  // machine. They take over the syncId of that chat, found by their ID, the
+  // ID they were imported from or else their content, instead of being
+  // pushed as new chats.
+  const byOrigin = new Map();
+  const byContent = new Map();
+  for (const [syncId, meta] of remote) {
+    if (here.has(syncId)) continue;
+    for (const id of [syncId, ...(meta.composerIds || [])]) {
+      byOrigin.set(id, syncId);
+    }
+    if (meta.contentKey) byContent.set(meta.contentKey, syncId);
+  }
+  for (const ws of byOrigin.size > 0 ? locals : []) {
+    const unlinked = [...here].filter(
+      ([syncId, local]) =>
+        local.ws === ws && !state.chats[syncId] && !remote.has(syncId),
+    );
+    if (unlinked.length === 0) continue;
+    // eslint-disable-next-line no-await-in-loop
+    const imported = await findImportedChats({ fsPath: ws.path }, glUri);
+    const originOf = new Map(
+      Array.from(imported, ([origin, entry]) => [entry.composerId, origin]),
+    );
+    for (const [syncId, local] of unlinked) {
+      const id = local.header.composerId;
+      const chat = exported.get(syncId);
+      const target =
+        byOrigin.get(id) ||
+        byOrigin.get(originOf.get(id)) ||
+        (chat && byContent.get(contentKeyOf(chat, id)));
+      if (!target || here.has(target)) continue;
+      here.delete(syncId);
+      here.set(target, local);
+      exported.delete(syncId);
+      if (chat) exported.set(target, chat);
+    }
+  }
+
+  const result = {
+    pushed: 0,
+    pulled: 0,
+    conflicts: [],
+    pending: 0,
+    unmatched: [],
+  };
+  const pushes = [];
+  const pulls = [];
+  for (const syncId of new Set([...here.keys(), ...remote.keys()])) {
+    const local = here.get(syncId);
+    const meta = remote.get(syncId);
+    const known = state.chats[syncId];
+    const chat = exported.get(syncId);
+    const fingerprint = chat && fingerprintOf(chat, local.header.composerId);
+    const localChanged =
+      !!chat && (!known || fingerprint !== known.fingerprint);
+    const remoteChanged = !!meta && (!known || meta.version !== known.version);
+    if (chat && !localChanged) {
+      // Touched without a change to its content (e.g. opened)
+      known.lastUpdatedAt = local.header.lastUpdatedAt || 0;
+    }
+
+    if (local && localChanged && remoteChanged) {
+      if (
+        !known &&
+        (meta.fingerprint === fingerprint ||
+          meta.contentKey === contentKeyOf(chat, local.header.composerId))
+      ) {
+        // The same chat on both sides already: just link them
+        state.chats[syncId] = {
+          composerId: local.header.composerId,
+          workspace: local.ws.hash,
+          version: meta.version,
+          fingerprint,
+          lastUpdatedAt: local.header.lastUpdatedAt || 0,
+        };
+      } else if (prefer === "local") {
+        pushes.push({ syncId, local, chat, fingerprint, meta });
+      } else if (prefer === "remote") {
+        pulls.push({ syncId, local, meta });
+      } else {
+        result.conflicts.push({ syncId, name: local.header.name || "" });
+        log(
+          `Conflict: "${local.header.name || syncId}" changed here and on ${meta.updatedBy || "another machine"} since the last sync; left as it is.`,
+        );
+      }
+    } else if (local && localChanged) {
+      pushes.push({ syncId, local, chat, fingerprint, meta });
+    } else if (remoteChanged) {
+      // Also brings back chats deleted here that changed elsewhere since
+      pulls.push({ syncId, local, meta });
+    }
+  }
+
+  for (const { syncId, local, chat, fingerprint, meta } of pushes) {
+    const current = readMeta(chatsDir, syncId);
+    if ((current ? current.version : 0) !== (meta ? meta.version : 0)) {
+      result.conflicts.push({ syncId, name: local.header.name || "" });
+      log(
+        `Conflict: "${local.header.name || syncId}" was pushed by another machine while syncing; left for the next sync.`,
+      );
+      continue;
+    }
+    const version = (meta ? meta.version : 0) + 1;
+    const base = path.join(chatsDir, safeName(syncId));
+    // eslint-disable-next-line no-await-in-loop
+    await writeExportObject(`${base}${CHAT_SUFFIX}.tmp`, {
+      ...chat,
+      manifest: { ...chat.manifest, sync: { syncId, version } },
+    });
+    fs.renameSync(`${base}${CHAT_SUFFIX}.tmp`, `${base}${CHAT_SUFFIX}`);
+    const composerIds = new Set([
+      local.header.composerId,
+      ...((meta && meta.composerIds) || []),
+    ]);
+    writeJson(`${base}${META_SUFFIX}`, {
+      syncId,
+      version,
+      fingerprint,
+      contentKey: contentKeyOf(chat, local.header.composerId),
+      composerIds: [...composerIds].slice(0, MAX_PUSHED_IDS),
+      name: local.header.name || "",
+      workspace: { name: local.ws.name || "", folder: local.ws.folder || "" },
+      updatedAt: new Date().toISOString(),
+      updatedBy: os.hostname(),
+    });
+    state.chats[syncId] = {
+      composerId: local.header.composerId,
+      workspace: local.ws.hash,
+      version,
+      fingerprint,
+      lastUpdatedAt: local.header.lastUpdatedAt || 0,
+    };
+    result.pushed += 1;
+  }
+
+  // Pulls are imported one workspace at a time, so each workspace gets one
+  // backup and one write
+  const byWorkspace = new Map();
+  for (const { syncId, local, meta } of pulls) {
+    const ws = local ? local.ws : matchWorkspace(meta.workspace, locals);
+    if (!ws) {
+      result.unmatched.push({
+        syncId,
+        name: meta.name || "",
+        workspace: (meta.workspace && meta.workspace.name) || "",
+      });
+      log(
+        `No workspace here matches "${(meta.workspace && meta.workspace.name) || "?"}"; not pulling "${meta.name || syncId}".`,
+      );
+      continue;
+    }
+    let chat;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      chat = await readExportObject(
+        path.join(chatsDir, `${safeName(syncId)}${CHAT_SUFFIX}`),
+      );
+    } catch {
+      chat = null;
+    }
+    const sync = chat && chat.manifest && chat.manifest.sync;
+    if (
+      !sync ||
+      sync.version !== meta.version ||
+      chat.allComposers.length !== 1
+    ) {
+      // The sync tool has not brought the matching export file over yet
+      result.pending += 1;
+      continue;
+    }
+    if (!byWorkspace.has(ws)) byWorkspace.set(ws, []);
+    byWorkspace.get(ws).push({ syncId, local, meta, chat });
+  }
+
+  for (const [ws, items] of byWorkspace) {
+    const wsUri = { fsPath: ws.path };
+    // Local copies imported from the same chat with derived bubble IDs take
+    // the pulled messages in (merge), keeping their ID and the messages
+    // added here; other local copies are replaced
+    // eslint-disable-next-line no-await-in-loop
+    const imported = await findImportedChats(wsUri, glUri);
+    const modes = { merge: [], replace: [] };
+    for (const item of items) {
+      const earlier =
+        item.local && imported.get(item.chat.allComposers[0].composerId);
+      const mergeable =
+        earlier &&
+        earlier.mergeable &&
+        earlier.composerId === item.local.header.composerId;
+      modes[mergeable ? "merge" : "replace"].push(item);
+    }
+    for (const [onExisting, group] of Object.entries(modes)) {
+      if (group.length === 0) continue;
+      const existing = new Map();
+      for (const { local, chat } of group) {
+        if (local) {
+          existing.set(chat.allComposers[0].composerId, {
+            composerId: local.header.composerId,
+            mergeable: true,
+          });
+        }
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const { idMap } = await importFromObject(
+        combineChats(group.map((item) => item.chat)),
+        wsUri,
+        glUri,
+        { onExisting, existing },
+      );
+      const newIds = group.map(
+        ({ chat }) => idMap[chat.allComposers[0].composerId],
+      );
+      // Read the copies back for what the next sync compares against
+      // eslint-disable-next-line no-await-in-loop
+      const fresh = await buildExportObject(wsUri, glUri, newIds);
+      group.forEach(({ syncId, meta, chat }, i) => {
+        const id = newIds[i];
+        const header = fresh.allComposers.find((c) => c.composerId === id);
+        const copy = pickChat(fresh, id);
+        // A merged copy with messages the pulled chat lacks is pushed with
+        // the next sync
+        const ahead =
+          (copy.bubbles[id] || []).length >
+          (chat.bubbles[chat.allComposers[0].composerId] || []).length;
+        state.chats[syncId] = {
+          composerId: id,
+          workspace: ws.hash,
+          version: meta.version,
+          fingerprint: ahead ? "" : fingerprintOf(copy, id),
+          lastUpdatedAt: ahead ? 0 : (header && header.lastUpdatedAt) || 0,
+        };
+      });
+    }
+    result.pulled += items.length;
+  }
+
+  state.lastRun = Date.now();
+  writeJson(statePath, state);
+  log(
+    `Sync with ${folder}: ${result.pushed} chat(s) pushed, ${result.pulled} pulled, ${result.conflicts.length} conflict(s)${result.pending > 0 ? `, ${result.pending} waiting for the sync tool` : ""}.`,
+  );
+  return result;
+}
+
+module.exports = {
+  SYNC_PREFER,
+  runSync,
+};
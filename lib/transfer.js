@@ -4,151 +4,377 @@ const {
   openSqliteReadOnly,
   readItemTableComposer,
   readComposerHeaders,
-  readCursorDiskKV,
-  readBubblesForComposer,
+  readCursorDiskKVMany,
+  readBubblesForComposers,
   listCursorDiskKVKeys,
   insertKVWithCLI,
+  deleteKVWithCLI,
   updateItemTableWithCLI,
   readItemTableWithCLI,
   checkIntegrity,
   createBackup,
   removeBackup,
 } = require("./db");
-const { randomUUID } = require("crypto");
+const {
+  createExportFileWriter,
+  createExportObjectSink,
+  readExportEntries,
+} = require("./exportFile");
+const { createChatFingerprint } = require("./exportFormat");
+const { createSecretScanSink, createRedactingSink } = require("./secrets");
+const {
+  machineIdentity,
+  createAnonymizer,
+  createPlaceholderExpander,
+  createAnonymizingSink,
+} = require("./anonymize");
+const { detectSchemaStage } = require("./schemaStage");
+const { describeUserDirLayout } = require("./locate");
+const { mergeComposerConversation } = require("./conversation");
+const { collectContentHashes } = require("./storedValues");
+const { randomUUID, createHash } = require("crypto");
+const fs = require("fs");
 const path = require("path");
 
-async function buildExportObject(
+const CONTENT_KEY_PREFIX = "composer.content.";
+// Chats brought in by imports and copies, by their composerId in the target:
+// { [composerId]: { origin, fingerprint, workspace, importedAt, bubbleIds } },
+// where origin is the chat's composerId in the export and workspace the
+// target workspace hash. bubbleIds is "derived" for copies whose bubble IDs
+// follow from their origin (see derivedBubbleId), which a merge needs. Kept
+// in the global DB so a re-import can recognize them.
+const IMPORT_REGISTRY_KEY = "cursorChatTransfer.importedChats";
+// What to do with chats of an export the target workspace already has
+const ON_EXISTING = ["skip", "replace", "duplicate", "merge"];
+
+const AGENT_KV_PREFIX = "agentKv:";
+// agentKv:* keys that end in a content hash (e.g. blobs) rather than an ID
+const AGENT_KV_HASH_TAIL = /:[0-9a-fA-F]{32,128}$/;
+const UUID_RE =
+  /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+/**
+ * Index the agentKv:* keys of a DB once for mapAgentKvKeys: the keys
+ * themselves, by trailing id segment and by the UUIDs they embed.
+ */
+function indexAgentKvKeys(agentKeys) {
+  const index = {
+    known: new Set(agentKeys),
+    byTail: new Map(),
+    byId: new Map(),
+  };
+  for (const key of agentKeys) {
+    const tail = key.slice(key.lastIndexOf(":") + 1);
+    // Short tails ("state", "0") would match all over the place
+    if (tail.length >= 16) index.byTail.set(tail, key);
+    for (const id of new Set(key.match(UUID_RE) || [])) {
+      if (!index.byId.has(id)) index.byId.set(id, []);
+      index.byId.get(id).push(key);
+    }
+  }
+  return index;
+}
+
+/**
+ * Work out which agentKv:* keys (indexed by indexAgentKvKeys) belong to
+ * which composer.
+ * A key belongs to a composer when it embeds the composerId, or when the
+ * composer's stored data/bubbles reference it (either the full key or its
+ * trailing id segment, e.g. a blob hash).
+ * Returns { [composerId]: [key, ...] }.
+ */
+function mapAgentKvKeys(index, composers, bubbles) {
+  const { known, byTail, byId } = index;
+  const tokenRe = /agentKv:[^"\\\s]+|[0-9a-zA-Z_-]{16,}/g;
+  const ids = new Set([...Object.keys(composers), ...Object.keys(bubbles)]);
+  const result = {};
+  for (const id of ids) {
+    const owned = new Set(byId.get(id) || []);
+    const values = [
+      composers[id],
+      ...(bubbles[id] || []).map((b) => b.value),
+    ];
+    for (const value of values) {
+      if (typeof value !== "string") continue;
+      let m;
+      while ((m = tokenRe.exec(value)) !== null) {
+        const token = m[0];
+        if (token.startsWith(AGENT_KV_PREFIX)) {
+          owned.add(token);
+        } else if (byTail.has(token)) {
+          owned.add(byTail.get(token));
+        }
+      }
+    }
+    const keys = Array.from(owned).filter((k) => known.has(k));
+    if (keys.length > 0) result[id] = keys;
+  }
+  return result;
+}
+
+/**
+ * List the composer headers that belong to a workspace.
+ * Reads the workspace's legacy allComposers list, falling back to the global
+ * composer.composerHeaders scoped to the workspace hash. An empty
+ * selectedComposerIds means "no filter" (see architecture doc).
+ * Returns an array of headers, or null when neither DB has composer data.
+ */
+async function listWorkspaceComposers(wsDb, glUri) {
+  let composerData = await readItemTableComposer(wsDb);
+  let workspaceComposerIds = null;
+  if (
+    composerData &&
+    Array.isArray(composerData.selectedComposerIds) &&
+    composerData.selectedComposerIds.length > 0
+  ) {
+    workspaceComposerIds = new Set(composerData.selectedComposerIds);
+  }
+  if (!composerData || !Array.isArray(composerData.allComposers)) {
+    composerData = await readComposerHeaders(glUri.fsPath);
+    // Scope to the current workspace when falling back to global headers
+    if (composerData && Array.isArray(composerData.allComposers)) {
+      const wsHash = path.basename(path.dirname(wsDb.path));
+      composerData.allComposers = composerData.allComposers.filter(
+        (c) =>
+          c && c.workspaceIdentifier && c.workspaceIdentifier.id === wsHash,
+      );
+    }
+  }
+  if (!composerData || !Array.isArray(composerData.allComposers)) {
+    return null;
+  }
+  let allComposers = composerData.allComposers.filter(
+    (c) => c && c.composerId,
+  );
+  if (workspaceComposerIds) {
+    allComposers = allComposers.filter((c) =>
+      workspaceComposerIds.has(c.composerId),
+    );
+  }
+  return allComposers;
+}
+
+/**
+ * Build the workspaceIdentifier Cursor stores on composer headers for the
+ * workspace that owns the given state.vscdb (hash folder + workspace.json).
+ */
+function buildWorkspaceIdentifier(wsDbPath) {
+  const wsHash = path.basename(path.dirname(wsDbPath));
+
+  // Try to read the workspace folder path from workspace.json
+  let workspaceFolderPath = null;
+  try {
+    const wsJsonPath = path.join(path.dirname(wsDbPath), "workspace.json");
+    if (fs.existsSync(wsJsonPath)) {
+      const wsJson = JSON.parse(fs.readFileSync(wsJsonPath, "utf8"));
+      if (wsJson && typeof wsJson.folder === "string") {
+        let p = wsJson.folder;
+        if (p.startsWith("file://")) {
+          try {
+            const url = new URL(p);
+            p = url.pathname;
+          } catch {}
+        }
+        workspaceFolderPath = p || null;
+      }
+    }
+  } catch {}
+
+  if (!workspaceFolderPath) {
+    return { id: wsHash };
+  }
+  return {
+    id: wsHash,
+    uri: {
+      $mid: 1,
+      fsPath: workspaceFolderPath,
+      _sep: 1,
+      external: "file://" + workspaceFolderPath.replace(/\\/g, "/"),
+      path: workspaceFolderPath.replace(/\\/g, "/"),
+      scheme: "file",
+    },
+  };
+}
+
+/**
+ * The folder of the workspace that owns a state.vscdb, or undefined.
+ */
+function workspaceFolderOf(wsDbPath) {
+  const { uri } = buildWorkspaceIdentifier(wsDbPath);
+  return uri ? uri.fsPath : undefined;
+}
+
+// Chats read from the DB per round of queries while exporting
+const EXPORT_BATCH_SIZE = 50;
+// Content payloads read per query while exporting
+const CONTENT_BATCH_SIZE = 200;
+
+function inBatches(list, size) {
+  const batches = [];
+  for (let i = 0; i < list.length; i += size) {
+    batches.push(list.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Read the selected chats of a workspace and hand them to `sink` (see
+ * exportFile.js) section by section, EXPORT_BATCH_SIZE chats at a time, so
+ * memory use does not grow with the number of chats. Only content hashes and
+ * agentKv key names are kept across batches.
+ * Returns debugInfo with counts and the elapsed time.
+ */
+async function streamExport(
   wsUri,
   glUri,
-  selectedComposerIds = undefined,
+  selectedComposerIds,
+  sink,
+  onProgress = () => {},
 ) {
   // Use read-only mode for export (no changes to source databases)
   const wsDb = await openSqliteReadOnly(wsUri.fsPath);
   const glDb = await openSqliteReadOnly(glUri.fsPath);
+  const startedAt = Date.now();
   const debugInfo = {
     totalComposers: 0,
     composerIds: [],
-    composerDataKeysFound: 0,
-    bubbleKeysFound: 0,
-    sampleComposerDataKeys: [],
-    sampleBubbleKeys: [],
     missingComposerData: [],
     composersWithData: 0,
     composersWithBubbles: 0,
+    bubbleCount: 0,
+    contentPayloads: 0,
+    agentKvEntries: 0,
+    elapsedMs: 0,
   };
 
   try {
-    let composerData = await readItemTableComposer(wsDb);
-    let workspaceComposerIds = null;
-    if (composerData && Array.isArray(composerData.selectedComposerIds)) {
-      workspaceComposerIds = new Set(composerData.selectedComposerIds);
-    }
-    if (!composerData || !Array.isArray(composerData.allComposers)) {
-      composerData = await readComposerHeaders(glUri.fsPath);
-      // Scope to the current workspace when falling back to global headers
-      if (composerData && Array.isArray(composerData.allComposers)) {
-        const wsHash = path.basename(path.dirname(wsUri.fsPath));
-        composerData.allComposers = composerData.allComposers.filter(
-          (c) =>
-            c && c.workspaceIdentifier && c.workspaceIdentifier.id === wsHash,
-        );
-      }
-    }
-    if (!composerData || !Array.isArray(composerData.allComposers)) {
-      return { allComposers: [], composers: {}, bubbles: {}, debugInfo };
-    }
-    let allComposers = composerData.allComposers;
-    if (workspaceComposerIds) {
-      allComposers = allComposers.filter(
-        (c) => c && workspaceComposerIds.has(c.composerId),
-      );
-    }
+    let allComposers = (await listWorkspaceComposers(wsDb, glUri)) || [];
     if (Array.isArray(selectedComposerIds) && selectedComposerIds.length > 0) {
       const set = new Set(selectedComposerIds);
       allComposers = allComposers.filter((c) => c && set.has(c.composerId));
     }
 
     const ids = allComposers.map((c) => c.composerId).filter(Boolean);
-    const composers = {};
-    const bubbles = {};
-
     debugInfo.totalComposers = ids.length;
     debugInfo.composerIds = ids.slice(0, 5); // First 5 IDs for reference
-
-    // Debug: List all cursorDiskKV keys that start with composerData or bubbleId
     console.log(`[debug] Looking for ${ids.length} composer IDs in global DB`);
     console.log(`[debug] Global DB path: ${glUri.fsPath}`);
-    console.log(
-      `[debug] First few composer IDs: ${ids.slice(0, 3).join(", ")}`,
-    );
 
-    const composerDataKeys = await listCursorDiskKVKeys(glDb, "composerData:%");
-    const bubbleKeys = await listCursorDiskKVKeys(glDb, "bubbleId:%");
+    await sink.section("allComposers");
+    for (const c of allComposers) await sink.entry(null, c);
 
-    debugInfo.composerDataKeysFound = composerDataKeys.length;
-    debugInfo.bubbleKeysFound = bubbleKeys.length;
-    debugInfo.sampleComposerDataKeys = composerDataKeys.slice(0, 5);
-    debugInfo.sampleBubbleKeys = bubbleKeys.slice(0, 5);
-
-    console.log(
-      `[debug] Found ${composerDataKeys.length} composerData keys in globalStorage`,
-    );
-    console.log(
-      `[debug] Found ${bubbleKeys.length} bubble keys in globalStorage`,
+    // Agent-mode chats keep tool/agent state under agentKv:* keys; which keys
+    // belong to which chat is worked out from the values as they stream by.
+    const agentKeys = indexAgentKvKeys(
+      await listCursorDiskKVKeys(glDb, `${AGENT_KV_PREFIX}%`),
     );
-    if (composerDataKeys.length > 0) {
-      console.log(
-        `[debug] Sample composerData keys: ${composerDataKeys.slice(0, 3).join(", ")}`,
-      );
+    const agentKeysById = new Map();
+    const addAgentKeys = (mapped) => {
+      for (const [id, keys] of Object.entries(mapped)) {
+        if (!agentKeysById.has(id)) agentKeysById.set(id, new Set());
+        for (const key of keys) agentKeysById.get(id).add(key);
+      }
+    };
+    // Content-addressed payloads are shared between chats, so only keep the
+    // hashes that the selected composers actually reference.
+    const referencedHashes = new Set();
+    const addHashes = (values) => {
+      for (const h of collectContentHashes(values)) referencedHashes.add(h);
+    };
+    const batches = inBatches(ids, EXPORT_BATCH_SIZE);
+
+    await sink.section("bubbles");
+    for (const batch of batches) {
+      const bubbleRows = await readBubblesForComposers(glDb, batch);
+      for (const id of batch) {
+        const composerBubbles = bubbleRows.get(id);
+        if (!composerBubbles || composerBubbles.length === 0) continue;
+        await sink.entry(id, composerBubbles);
+        debugInfo.composersWithBubbles += 1;
+        debugInfo.bubbleCount += composerBubbles.length;
+        addHashes(composerBubbles.map((b) => b.value));
+        addAgentKeys(mapAgentKvKeys(agentKeys, {}, { [id]: composerBubbles }));
+      }
+      onProgress(`Reading messages (${debugInfo.bubbleCount} so far)...`);
     }
-    if (bubbleKeys.length > 0) {
-      console.log(
-        `[debug] Sample bubble keys: ${bubbleKeys.slice(0, 3).join(", ")}`,
+
+    await sink.section("composers");
+    for (const batch of batches) {
+      const composerRows = await readCursorDiskKVMany(
+        glDb,
+        batch.map((id) => `composerData:${id}`),
       );
+      for (const id of batch) {
+        const val = composerRows.get(`composerData:${id}`);
+        if (val == null) {
+          debugInfo.missingComposerData.push(id);
+          console.warn(
+            `[composer] No composer data found for ${id} in globalStorage`,
+          );
+          continue;
+        }
+        await sink.entry(id, val);
+        debugInfo.composersWithData += 1;
+        addHashes([val]);
+        addAgentKeys(mapAgentKvKeys(agentKeys, { [id]: val }, {}));
+      }
     }
 
-    // Cross-check: see if any of our composer IDs match the available keys
-    const availableComposerIds = new Set(
-      composerDataKeys
-        .map((k) => k.replace("composerData:", ""))
-        .filter(Boolean),
-    );
-    const matchedIds = ids.filter((id) => availableComposerIds.has(id));
-    console.log(
-      `[debug] Cross-check: ${matchedIds.length}/${ids.length} composer IDs have matching composerData keys`,
-    );
-
-    for (const id of ids) {
-      // eslint-disable-next-line no-await-in-loop
-      const val = await readCursorDiskKV(glDb, `composerData:${id}`);
-      if (val != null) {
-        composers[id] = val;
-      } else {
-        debugInfo.missingComposerData.push(id);
-        console.warn(
-          `[composer] No composer data found for ${id} in globalStorage`,
-        );
+    await sink.section("agentKv");
+    for (const batch of batches) {
+      const keyMap = batch
+        .filter((id) => agentKeysById.has(id))
+        .map((id) => [id, Array.from(agentKeysById.get(id))]);
+      if (keyMap.length === 0) continue;
+      const agentRows = await readCursorDiskKVMany(
+        glDb,
+        keyMap.flatMap(([, keys]) => keys),
+      );
+      for (const [id, keys] of keyMap) {
+        const entries = keys
+          .filter((key) => agentRows.has(key))
+          .map((key) => ({ key, value: agentRows.get(key) }));
+        if (entries.length === 0) continue;
+        await sink.entry(id, entries);
+        debugInfo.agentKvEntries += entries.length;
       }
-      // eslint-disable-next-line no-await-in-loop
-      const composerBubbles = await readBubblesForComposer(glDb, id);
-      if (composerBubbles && composerBubbles.length > 0) {
-        bubbles[id] = composerBubbles;
+    }
+
+    await sink.section("contents");
+    for (const hashes of inBatches(
+      Array.from(referencedHashes),
+      CONTENT_BATCH_SIZE,
+    )) {
+      const contentRows = await readCursorDiskKVMany(
+        glDb,
+        hashes.map((h) => CONTENT_KEY_PREFIX + h),
+      );
+      for (const [key, value] of contentRows) {
+        await sink.entry(key.slice(CONTENT_KEY_PREFIX.length), value);
+        debugInfo.contentPayloads += 1;
       }
     }
 
-    debugInfo.composersWithData = Object.keys(composers).length;
-    debugInfo.composersWithBubbles = Object.keys(bubbles).length;
+    // Where the chats came from; the writer adds the counts and checksums
+    await sink.section("manifest");
+    await sink.entry("source", {
+      schemaStage: (await detectSchemaStage(wsUri.fsPath, glUri.fsPath)).stage,
+      os: process.platform,
+      userDirLayout: describeUserDirLayout(
+        path.dirname(path.dirname(wsUri.fsPath)),
+      ),
+    });
 
     if (debugInfo.missingComposerData.length > 0) {
       console.warn(
         `[composer] Total composers missing data: ${debugInfo.missingComposerData.length}/${ids.length}`,
       );
     }
+    debugInfo.elapsedMs = Date.now() - startedAt;
     console.log(
-      `[debug] Export summary: ${debugInfo.composersWithData} with data, ${debugInfo.composersWithBubbles} with bubbles`,
+      `[debug] Export summary: ${debugInfo.composersWithData} with data, ${debugInfo.composersWithBubbles} with bubbles, ${debugInfo.contentPayloads} content payloads, ${debugInfo.agentKvEntries} agentKv entries in ${debugInfo.elapsedMs} ms`,
     );
-
-    return { allComposers, composers, bubbles, debugInfo };
+    return debugInfo;
   } finally {
     // Close read-only (no save needed)
     wsDb.closeReadOnly();
@@ -156,16 +382,438 @@ async function buildExportObject(
   }
 }
 
-async function importFromObject(obj, wsUri, glUri) {
+/**
+ * Read the selected chats of a workspace into an export object in memory.
+ * Returns { allComposers, composers, bubbles, contents, agentKv, debugInfo }.
+ */
+async function buildExportObject(
+  wsUri,
+  glUri,
+  selectedComposerIds = undefined,
+) {
+  const sink = createExportObjectSink();
+  const debugInfo = await streamExport(wsUri, glUri, selectedComposerIds, sink);
+  return { ...sink.result, debugInfo };
+}
+
+/**
+ * Scan the selected chats for likely secrets without exporting them (see
+ * secrets.js). Returns the affected chats:
+ * [{ composerId, name, findings: [{ type, label, sample, where }] }].
+ */
+async function scanExportForSecrets(
+  wsUri,
+  glUri,
+  selectedComposerIds,
+  onProgress = () => {},
+) {
+  const sink = createSecretScanSink();
+  await streamExport(wsUri, glUri, selectedComposerIds, sink, onProgress);
+  return sink.report;
+}
+
+/**
+ * Export the selected chats of a workspace straight to a .cursor-chat.json
+ * (or .cursor-chat.json.gz) file without holding them all in memory.
+ * options:
+ * - passphrase: encrypt the file
+ * - redactSecrets: replace likely secrets in chat data, messages and agent
+ *   state with [REDACTED], and leave out file contents that have any
+ * - anonymize: replace the workspace root, home folder, user and host names
+ *   with placeholders (expanded again on import), drop machine-specific
+ *   header and composerData fields, and leave out file contents that
+ *   mention any of these (see anonymize.js)
+ * Returns debugInfo (see streamExport).
+ */
+async function exportToFile(
+  wsUri,
+  glUri,
+  selectedComposerIds,
+  filePath,
+  onProgress = () => {},
+  options = {},
+) {
+  const writer = createExportFileWriter(filePath, {
+    passphrase: options.passphrase,
+  });
+  let sink = options.redactSecrets ? createRedactingSink(writer) : writer;
+  if (options.anonymize) {
+    sink = createAnonymizingSink(
+      sink,
+      createAnonymizer({
+        ...machineIdentity(),
+        workspaceRoot: workspaceFolderOf(wsUri.fsPath),
+      }),
+    );
+  }
+  try {
+    const debugInfo = await streamExport(
+      wsUri,
+      glUri,
+      selectedComposerIds,
+      sink,
+      onProgress,
+    );
+    onProgress("Saving to file...");
+    await writer.close();
+    return debugInfo;
+  } catch (err) {
+    writer.abort();
+    throw err;
+  }
+}
+
+/**
+ * cursorDiskKV rows for the chats of an export object.
+ */
+function* kvRowsOfObject(obj) {
+  for (const [id, value] of Object.entries(obj.composers || {})) {
+    yield { key: `composerData:${id}`, value };
+  }
+  for (const composerBubbles of Object.values(obj.bubbles || {})) {
+    if (!Array.isArray(composerBubbles)) continue;
+    for (const bubble of composerBubbles) {
+      if (!bubble || !bubble.key || !bubble.value) continue;
+      yield { key: bubble.key, value: bubble.value };
+    }
+  }
+  for (const entries of Object.values(obj.agentKv || {})) {
+    if (!Array.isArray(entries)) continue;
+    for (const entry of entries) {
+      if (!entry || !entry.key || typeof entry.value !== "string") continue;
+      yield { key: entry.key, value: entry.value };
+    }
+  }
+  // Content-addressed payloads are keyed by hash, so a payload the target
+  // already has holds the same content and is left alone (INSERT OR IGNORE)
+  for (const [hash, value] of Object.entries(obj.contents || {})) {
+    if (typeof value !== "string") continue;
+    yield { key: CONTENT_KEY_PREFIX + hash, value };
+  }
+}
+
+/**
+ * Read the import registry (see IMPORT_REGISTRY_KEY) of a global DB.
+ */
+async function readImportRegistry(glDbPath) {
+  const json = await readItemTableWithCLI(glDbPath, IMPORT_REGISTRY_KEY);
+  try {
+    const parsed = json ? JSON.parse(json) : null;
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Chats imported (or copied) into a workspace before that it still has, by
+ * the composerId they had in the export:
+ * Map(origin -> { composerId, fingerprint, importedAt, mergeable }), where
+ * mergeable is false for copies made before bubble IDs were derived.
+ */
+async function findImportedChats(wsUri, glUri) {
+  const registry = await readImportRegistry(glUri.fsPath);
+  const wsHash = path.basename(path.dirname(wsUri.fsPath));
+  const candidates = Object.entries(registry).filter(
+    ([, entry]) => entry && entry.origin && entry.workspace === wsHash,
+  );
+  const found = new Map();
+  if (candidates.length === 0) return found;
+  const glDb = await openSqliteReadOnly(glUri.fsPath);
+  let present;
+  try {
+    present = await readCursorDiskKVMany(
+      glDb,
+      candidates.map(([id]) => `composerData:${id}`),
+    );
+  } finally {
+    glDb.closeReadOnly();
+  }
+  for (const [composerId, entry] of candidates) {
+    // Chats deleted in Cursor since are imported again as new
+    if (!present.has(`composerData:${composerId}`)) continue;
+    found.set(entry.origin, {
+      composerId,
+      fingerprint: entry.fingerprint || "",
+      importedAt: entry.importedAt || 0,
+      mergeable: entry.bubbleIds === "derived",
+    });
+  }
+  return found;
+}
+
+// The schema stage an export's manifest records for its source DBs
+function sourceSchemaStage(manifest) {
+  const source = manifest && manifest.source;
+  return source && Number.isInteger(source.schemaStage)
+    ? source.schemaStage
+    : null;
+}
+
+function checkOnExisting(onExisting) {
+  if (!ON_EXISTING.includes(onExisting)) {
+    throw new Error(
+      `Unknown choice for chats already imported: ${onExisting} (use ${ON_EXISTING.join(", ")})`,
+    );
+  }
+}
+
+/**
+ * Import the chats of an export object into a workspace and the global DB,
+ * as copies with new IDs (see cloneExportObjectForCopy), with backups and
+ * integrity checks around it.
+ * options:
+ * - onProgress(message): called as the import moves through its stages and
+ *   after each chunk of chat data written
+ * - signal: AbortSignal; cancelling while chat data is being written rolls
+ *   that write back, removes the backups and rejects with "Cancelled"
+ * - onExisting: what to do with chats the workspace already got from an
+ *   earlier import of the same chat (see findImportedChats): "skip" them,
+ *   "replace" the earlier copy, "duplicate" them (the default), or "merge"
+ *   the messages the earlier copy lacks into it
+ * - existing: the earlier copies to apply onExisting to, in the shape
+ *   findImportedChats returns (default: the ones it finds)
+ * Returns { inserted, skipped, verification, schemaStage, sourceSchemaStage,
+ * cloned, idMap, skippedChats, replacedChats, mergedChats }; skipped counts
+ * entries the target already had, mostly shared content payloads and the
+ * messages of merged chats, idMap maps the composerIds of the export to the
+ * ones imported, and the stages are the target's and the one the export
+ * manifest records for the source (null when unknown).
+ */
+async function importFromObject(obj, wsUri, glUri, options = {}) {
+  const { onExisting = "duplicate" } = options;
+  checkOnExisting(onExisting);
+  const existing =
+    options.existing ||
+    (onExisting === "duplicate"
+      ? new Map()
+      : await findImportedChats(wsUri, glUri));
+  const clone = cloneExportObjectForCopy(obj, { existing, onExisting });
+  const result = await importKVRows(
+    Array.from(kvRowsOfObject(clone.cloned)),
+    () => clone.cloned.allComposers,
+    wsUri,
+    glUri,
+    options,
+    () => clone,
+  );
+  return {
+    ...result,
+    sourceSchemaStage: sourceSchemaStage(obj.manifest),
+    cloned: clone.cloned,
+    idMap: clone.idMap,
+    skippedChats: clone.skipped.length,
+    replacedChats: clone.replaced.size,
+    mergedChats: clone.merged.size,
+  };
+}
+
+/**
+ * Import chats from an export file (see exportFile.js), cloning them with new
+ * IDs as they are read, so only one entry of the file is in memory at a time.
+ * Takes the same options as importFromObject, plus:
+ * - passphrase: for encrypted files
+ * - composerIds: import only these chats of the file (default: all); only
+ *   the content payloads they reference are imported with them
+ * Returns the importFromObject result, with the cloned headers as
+ * `allComposers` instead of the whole clone.
+ */
+async function importFromFile(filePath, wsUri, glUri, options = {}) {
+  const { onExisting = "duplicate" } = options;
+  checkOnExisting(onExisting);
+  const existing =
+    options.existing ||
+    (onExisting === "duplicate"
+      ? new Map()
+      : await findImportedChats(wsUri, glUri));
+  const cloner = createCopyCloner({ existing, onExisting });
+  const allComposers = [];
+  const manifest = {};
+  const only = options.composerIds ? new Set(options.composerIds) : null;
+  const skip = (id) => only !== null && !only.has(id);
+  // Content hashes the chosen chats reference (contents come last)
+  const referencedHashes = new Set();
+  const addHashes = (values) => {
+    for (const h of collectContentHashes(values)) referencedHashes.add(h);
+  };
+  const entries = readExportEntries(filePath, {
+    passphrase: options.passphrase,
+  });
+  async function* rows() {
+    for await (const { section, key, value } of entries) {
+      if (section === "allComposers") {
+        if (skip(value.composerId)) continue;
+        const nc = cloner.header(value);
+        if (nc) allComposers.push(nc);
+      } else if (section === "bubbles") {
+        if (skip(key)) continue;
+        addHashes(value.map((b) => b.value));
+        for (const bubble of cloner.bubbles(key, value) || []) {
+          if (!bubble.value) continue;
+          yield { key: bubble.key, value: bubble.value };
+        }
+      } else if (section === "composers") {
+        if (skip(key)) continue;
+        addHashes([value]);
+        const data = cloner.composerData(key, value);
+        if (data)
+          yield { key: `composerData:${cloner.idMap[key]}`, value: data };
+      } else if (section === "agentKv") {
+        if (skip(key)) continue;
+        yield* cloner.agentKv(key, value) || [];
+      } else if (section === "contents" && typeof value === "string") {
+        if (only !== null && !referencedHashes.has(key)) continue;
+        yield { key: CONTENT_KEY_PREFIX + key, value };
+      } else if (section === "manifest") {
+        manifest[key] = value;
+      }
+    }
+    for (const [newId, value] of cloner.missingComposerData()) {
+      yield { key: `composerData:${newId}`, value };
+    }
+  }
+  const result = await importKVRows(
+    rows(),
+    () => allComposers,
+    wsUri,
+    glUri,
+    options,
+    () => cloner,
+  );
+  return {
+    ...result,
+    sourceSchemaStage: sourceSchemaStage(manifest),
+    allComposers,
+    skippedChats: cloner.skipped.length,
+    replacedChats: cloner.replaced.size,
+    mergedChats: cloner.merged.size,
+  };
+}
+
+/**
+ * The schema stage of an import or move target (see schemaStage.js), and
+ * whether Cursor lists the workspace's chats in its own allComposers
+ * (stages 0 and 1) rather than in the global composerHeaders (2 and 3).
+ * A workspace without composer data yet goes by the global DB: the new
+ * schema when that has composerHeaders, the old one otherwise.
+ */
+async function targetSchemaStage(wsDbPath, glDbPath) {
+  const detected = await detectSchemaStage(wsDbPath, glDbPath);
+  let stage = detected.stage;
+  if (stage === null) stage = detected.hasComposerHeaders ? 2 : 0;
+  return { stage, listsInWorkspace: stage <= 1 };
+}
+
+/**
+ * Workspace composer data with `ids` added to selectedComposerIds and put
+ * first in lastFocusedComposerIds. An empty selection means "show every
+ * chat of the workspace", so it stays empty.
+ */
+function withSelectedComposers(current, ids) {
+  const selected = Array.isArray(current.selectedComposerIds)
+    ? current.selectedComposerIds
+    : [];
+  const added = ids.filter((id) => !selected.includes(id));
+  const focused = Array.isArray(current.lastFocusedComposerIds)
+    ? current.lastFocusedComposerIds.filter((id) => !added.includes(id))
+    : [];
+  return {
+    ...current,
+    selectedComposerIds:
+      selected.length > 0 ? [...selected, ...added] : selected,
+    lastFocusedComposerIds: [...added, ...focused].slice(0, 10),
+  };
+}
+
+/**
+ * Put the copies that replace earlier chats (replaced: Map(newId -> earlier
+ * composerId)) in those chats' places in selectedComposerIds and
+ * lastFocusedComposerIds. Dropping the earlier IDs first could empty the
+ * selection, which would make the workspace show every chat.
+ */
+function withReplacedComposers(current, replaced) {
+  const newIdOf = new Map(
+    Array.from(replaced, ([newId, earlierId]) => [earlierId, newId]),
+  );
+  const next = { ...current };
+  for (const field of ["selectedComposerIds", "lastFocusedComposerIds"]) {
+    if (Array.isArray(current[field])) {
+      next[field] = current[field].map((id) => newIdOf.get(id) || id);
+    }
+  }
+  return next;
+}
+
+/**
+ * A chat header as composer.composerHeaders holds it: typed, and pointing
+ * at its workspace. Headers from stage 0 and 1 workspaces have neither.
+ */
+function globalHeader(c, workspaceIdentifier) {
+  return { type: "head", ...c, workspaceIdentifier };
+}
+
+/**
+ * A chat header as a stage 0 or 1 workspace's allComposers holds it: the
+ * counterpart of globalHeader(), without `type` and `workspaceIdentifier`.
+ */
+function workspaceHeader(c) {
+  return { ...c, type: undefined, workspaceIdentifier: undefined };
+}
+
+/**
+ * Shared import steps: write `rows` ({ key, value } cursorDiskKV entries, an
+ * array or async iterable) in one transaction, then list the headers from
+ * `getComposers()` where the target's schema stage has Cursor read them:
+ * the workspace's allComposers on stages 0 and 1, the global
+ * composerHeaders (created when missing) on stages 2 and 3. Placeholders of
+ * anonymized exports are expanded for the target workspace on the way.
+ * `getClone()` gives the cloner's record of the import (see
+ * createCopyCloner): the chats are added to the import registry, the
+ * earlier copies they replace are removed once the new ones are in, and
+ * merged chats get the incoming conversation headers and lastUpdatedAt.
+ */
+async function importKVRows(
+  rows,
+  getComposers,
+  wsUri,
+  glUri,
+  options = {},
+  getClone = () => ({
+    imports: () => ({}),
+    replaced: new Map(),
+    merged: new Map(),
+  }),
+) {
+  const { onProgress = () => {}, signal } = options;
+  const total = Array.isArray(rows) ? rows.length : undefined;
   let inserted = 0;
+  let offered = 0;
+  const expand = createPlaceholderExpander({
+    ...machineIdentity(),
+    workspaceRoot: workspaceFolderOf(wsUri.fsPath),
+  });
+  const composers = () => getComposers().map((c) => expand(c));
+  // A failing row source (e.g. a malformed export file) aborts the write
+  // transaction just like a cancel does
+  let sourceFailed = false;
+  async function* guardedRows() {
+    try {
+      for await (const row of rows) {
+        yield { key: row.key, value: expand(row.value) };
+      }
+    } catch (err) {
+      sourceFailed = true;
+      throw err;
+    }
+  }
   let wsBackupPath = null;
   let glBackupPath = null;
 
   try {
     // Create backups before any modifications
     console.log("[import] Creating backups...");
-    wsBackupPath = createBackup(wsUri.fsPath);
-    glBackupPath = createBackup(glUri.fsPath);
+    wsBackupPath = await createBackup(wsUri.fsPath);
+    glBackupPath = await createBackup(glUri.fsPath);
     console.log(`[import] Workspace backup: ${wsBackupPath}`);
     console.log(`[import] Global backup: ${glBackupPath}`);
 
@@ -181,164 +829,211 @@ async function importFromObject(obj, wsUri, glUri) {
           `Import aborted to prevent further damage.`,
       );
     }
+    const target = await targetSchemaStage(wsUri.fsPath, glUri.fsPath);
+    console.log(`[import] Target workspace is at schema stage ${target.stage}`);
 
-    // Prepare KV pairs for global database
-    const kvPairs = [];
-
-    // Add composer data
-    for (const [id, value] of Object.entries(obj.composers || {})) {
-      kvPairs.push({ key: `composerData:${id}`, value });
+    // Insert into global DB using sqlite3 CLI (handles WAL properly)
+    console.log("[import] Inserting KV pairs into global DB...");
+    try {
+      inserted = await insertKVWithCLI(glUri.fsPath, guardedRows(), {
+        signal,
+        onProgress: (done) => {
+          offered = done;
+          onProgress(
+            total
+              ? `Writing chat data (${done}/${total} entries)...`
+              : `Writing chat data (${done} entries)...`,
+          );
+        },
+      });
+    } catch (err) {
+      if ((signal && signal.aborted) || sourceFailed) {
+        // Rolled back before anything else was touched
+        removeBackup(wsBackupPath);
+        removeBackup(glBackupPath);
+        wsBackupPath = null;
+        glBackupPath = null;
+      }
+      throw err;
     }
+    console.log(
+      `[import] Inserted ${inserted} KV pairs, ${offered - inserted} already present`,
+    );
 
-    // Add bubbles
-    for (const [composerId, composerBubbles] of Object.entries(
-      obj.bubbles || {},
-    )) {
-      if (!Array.isArray(composerBubbles)) continue;
-      for (const bubble of composerBubbles) {
-        if (!bubble || !bubble.key || !bubble.value) continue;
-        kvPairs.push({ key: bubble.key, value: bubble.value });
+    const clone = getClone();
+    const merged = clone.merged;
+    if (merged.size > 0) {
+      onProgress("Merging conversations...");
+      const glDb = await openSqliteReadOnly(glUri.fsPath);
+      let local;
+      try {
+        local = await readCursorDiskKVMany(
+          glDb,
+          Array.from(merged.keys(), (id) => `composerData:${id}`),
+        );
+      } finally {
+        glDb.closeReadOnly();
       }
+      const rows = [];
+      for (const [id, incoming] of merged) {
+        const key = `composerData:${id}`;
+        if (!incoming.composerData || !local.has(key)) continue;
+        rows.push({
+          key,
+          value: mergeComposerConversation(
+            local.get(key),
+            expand(incoming.composerData),
+          ),
+        });
+      }
+      await insertKVWithCLI(glUri.fsPath, rows, { replace: true });
+      console.log(`[import] Merged ${merged.size} chats into earlier copies`);
     }
+    // Merged chats are listed already; they only move up to their latest
+    // message
+    const touch = (list) =>
+      list.map((c) => {
+        const incoming = c && merged.get(c.composerId);
+        if (!incoming) return c;
+        return {
+          ...c,
+          lastUpdatedAt: Math.max(
+            c.lastUpdatedAt || 0,
+            incoming.header.lastUpdatedAt || 0,
+          ),
+        };
+      });
 
-    // Insert into global DB using sqlite3 CLI (handles WAL properly)
-    if (kvPairs.length > 0) {
-      console.log(
-        `[import] Inserting ${kvPairs.length} KV pairs into global DB...`,
-      );
-      inserted = insertKVWithCLI(glUri.fsPath, kvPairs);
-      console.log(`[import] Inserted ${inserted} KV pairs`);
+    // List the chats where the target's schema stage has Cursor look for
+    // them (see targetSchemaStage)
+    onProgress("Updating chat lists...");
+    const replacedIds = new Set(clone.replaced.values());
+    const newIds = [];
+    const seenIds = new Set();
+    for (const c of composers()) {
+      if (!c || !c.composerId || seenIds.has(c.composerId)) continue;
+      seenIds.add(c.composerId);
+      newIds.push(c.composerId);
     }
 
-    // Update workspace DB with new composer list
-    // First read current data using CLI
-    const currentJson = readItemTableWithCLI(
+    const currentJson = await readItemTableWithCLI(
       wsUri.fsPath,
       "composer.composerData",
     );
-    const current = currentJson ? JSON.parse(currentJson) : {};
-    const currentList = Array.isArray(current.allComposers)
-      ? current.allComposers
-      : [];
-    const existingIds = new Set(
-      currentList.map((c) => c.composerId).filter(Boolean),
-    );
-
-    const additions = [];
-    for (const c of obj.allComposers || []) {
-      if (!c || !c.composerId) continue;
-      if (!existingIds.has(c.composerId)) {
-        additions.push(c);
-        existingIds.add(c.composerId);
-      }
-    }
-
-    if (additions.length > 0) {
-      const currentSelected = Array.isArray(current.selectedComposerIds)
-        ? current.selectedComposerIds
-        : [];
-      const newSelected = additions
-        .map((c) => c.composerId)
-        .filter((id) => id && !currentSelected.includes(id));
-
-      const merged = {
-        ...current,
-        allComposers: currentList.concat(additions),
-        selectedComposerIds: [...currentSelected, ...newSelected],
-        lastFocusedComposerIds: [
-          ...newSelected,
-          ...(current.lastFocusedComposerIds || []),
-        ].slice(0, 10),
-      };
-      const mergedJson = JSON.stringify(merged);
-      console.log(
-        `[import] Adding ${additions.length} composers to workspace DB...`,
+    if (currentJson || target.listsInWorkspace) {
+      const current = withoutComposers(
+        withReplacedComposers(
+          currentJson ? JSON.parse(currentJson) : {},
+          clone.replaced,
+        ),
+        replacedIds,
       );
-      updateItemTableWithCLI(wsUri.fsPath, "composer.composerData", mergedJson);
+      const next = withSelectedComposers(current, newIds);
+      if (target.listsInWorkspace) {
+        const currentList = Array.isArray(current.allComposers)
+          ? touch(current.allComposers)
+          : [];
+        const existingIds = new Set(
+          currentList.map((c) => c && c.composerId).filter(Boolean),
+        );
+        const additions = [];
+        for (const c of composers()) {
+          if (!c || !c.composerId || existingIds.has(c.composerId)) continue;
+          additions.push(workspaceHeader(c));
+          existingIds.add(c.composerId);
+        }
+        next.allComposers = currentList.concat(additions);
+      }
+      if (newIds.length > 0 || replacedIds.size > 0 || merged.size > 0) {
+        console.log(
+          `[import] Adding ${newIds.length} composers to workspace DB...`,
+        );
+        await updateItemTableWithCLI(
+          wsUri.fsPath,
+          "composer.composerData",
+          JSON.stringify(next),
+        );
+      }
     }
 
-    // Also update global composer.composerHeaders so Cursor can find the new chats
-    const glHeadersJson = readItemTableWithCLI(
+    // Global composer.composerHeaders: where stages 2 and 3 list the chats;
+    // on earlier stages only replaced and merged chats are kept up to date
+    // in it, if it exists
+    const glHeadersJson = await readItemTableWithCLI(
       glUri.fsPath,
       "composer.composerHeaders",
     );
-    const glHeaders = glHeadersJson
-      ? JSON.parse(glHeadersJson)
-      : { allComposers: [] };
-    const glExistingIds = new Set(
-      (glHeaders.allComposers || []).map((c) => c.composerId).filter(Boolean),
-    );
-
-    const wsHash = path.basename(path.dirname(wsUri.fsPath));
-
-    // Try to read the workspace folder path from workspace.json
-    let workspaceFolderPath = null;
+    let glHeaders = null;
     try {
-      const wsJsonPath = path.join(
-        path.dirname(wsUri.fsPath),
-        "workspace.json",
+      glHeaders = glHeadersJson ? JSON.parse(glHeadersJson) : null;
+    } catch {
+      glHeaders = null;
+    }
+    if (!target.listsInWorkspace || glHeaders) {
+      if (!glHeaders || !Array.isArray(glHeaders.allComposers)) {
+        glHeaders = { ...(glHeaders || {}), allComposers: [] };
+      }
+      glHeaders.allComposers = touch(
+        glHeaders.allComposers.filter(
+          (c) => !c || !replacedIds.has(c.composerId),
+        ),
       );
-      if (fs.existsSync(wsJsonPath)) {
-        const wsJson = JSON.parse(fs.readFileSync(wsJsonPath, "utf8"));
-        if (wsJson && typeof wsJson.folder === "string") {
-          let p = wsJson.folder;
-          if (p.startsWith("file://")) {
-            try {
-              const url = new URL(p);
-              p = url.pathname;
-            } catch {}
-          }
-          workspaceFolderPath = p || null;
+      const glAdditions = [];
+      if (!target.listsInWorkspace) {
+        const glExistingIds = new Set(
+          glHeaders.allComposers.map((c) => c && c.composerId).filter(Boolean),
+        );
+        const workspaceIdentifier = buildWorkspaceIdentifier(wsUri.fsPath);
+        for (const c of composers()) {
+          if (!c || !c.composerId || glExistingIds.has(c.composerId)) continue;
+          glAdditions.push(globalHeader(c, workspaceIdentifier));
+          glExistingIds.add(c.composerId);
         }
       }
-    } catch {}
-
-    const glAdditions = [];
-    for (const c of obj.allComposers || []) {
-      if (!c || !c.composerId) continue;
-      if (!glExistingIds.has(c.composerId)) {
-        glAdditions.push({
-          ...c,
-          workspaceIdentifier: undefined, // will be set below
-        });
-        glExistingIds.add(c.composerId);
+      if (glAdditions.length > 0 || replacedIds.size > 0 || merged.size > 0) {
+        glHeaders.allComposers = glHeaders.allComposers.concat(glAdditions);
+        console.log(
+          `[import] Adding ${glAdditions.length} composers to global composerHeaders...`,
+        );
+        await updateItemTableWithCLI(
+          glUri.fsPath,
+          "composer.composerHeaders",
+          JSON.stringify(glHeaders),
+        );
       }
     }
 
-    if (glAdditions.length > 0) {
-      // Enrich each entry with a workspaceIdentifier pointing to the target workspace
-      for (const entry of glAdditions) {
-        if (workspaceFolderPath) {
-          entry.workspaceIdentifier = {
-            id: wsHash,
-            uri: {
-              $mid: 1,
-              fsPath: workspaceFolderPath,
-              _sep: 1,
-              external: "file://" + workspaceFolderPath.replace(/\\/g, "/"),
-              path: workspaceFolderPath.replace(/\\/g, "/"),
-              scheme: "file",
-            },
-          };
-        } else {
-          entry.workspaceIdentifier = { id: wsHash };
-        }
+    if (replacedIds.size > 0) {
+      onProgress("Removing replaced chats...");
+      const glDbRef = { path: glUri.fsPath };
+      const staleKeys = [];
+      for (const id of replacedIds) {
+        staleKeys.push(`composerData:${id}`);
+        staleKeys.push(
+          ...(await listCursorDiskKVKeys(glDbRef, `bubbleId:${id}:%`)),
+          ...(await listCursorDiskKVKeys(glDbRef, `${AGENT_KV_PREFIX}%${id}%`)),
+        );
       }
-
-      glHeaders.allComposers = [
-        ...(glHeaders.allComposers || []),
-        ...glAdditions,
-      ];
+      const deleted = await deleteKVWithCLI(glUri.fsPath, staleKeys);
       console.log(
-        `[import] Adding ${glAdditions.length} composers to global composerHeaders...`,
-      );
-      updateItemTableWithCLI(
-        glUri.fsPath,
-        "composer.composerHeaders",
-        JSON.stringify(glHeaders),
+        `[import] Replaced ${replacedIds.size} earlier copies, removing ${deleted} KV entries`,
       );
     }
 
+    // Record where the new chats came from, for the next re-import
+    const registry = await readImportRegistry(glUri.fsPath);
+    for (const id of replacedIds) delete registry[id];
+    const wsHash = path.basename(path.dirname(wsUri.fsPath));
+    const importedAt = Date.now();
+    for (const [id, entry] of Object.entries(clone.imports())) {
+      registry[id] = { ...entry, workspace: wsHash, importedAt };
+    }
+    await updateItemTableWithCLI(
+      glUri.fsPath,
+      IMPORT_REGISTRY_KEY,
+      JSON.stringify(registry),
+    );
+
     // Verify integrity after changes
     const wsIntegrityAfter = await checkIntegrity(wsUri.fsPath);
     const glIntegrityAfter = await checkIntegrity(glUri.fsPath);
@@ -351,18 +1046,15 @@ async function importFromObject(obj, wsUri, glUri) {
       );
     }
 
-    // Get verification info
-    const verifyJson = readItemTableWithCLI(
-      wsUri.fsPath,
-      "composer.composerData",
-    );
-    const verify = verifyJson ? JSON.parse(verifyJson) : {};
-    const verifyList = Array.isArray(verify.allComposers)
-      ? verify.allComposers
-      : [];
-    const verifyIds = new Set(
-      verifyList.map((c) => c.composerId).filter(Boolean),
-    );
+    // Get verification info: the chats Cursor will list for the workspace
+    const wsDb = await openSqliteReadOnly(wsUri.fsPath);
+    let verifyList;
+    try {
+      verifyList = (await listWorkspaceComposers(wsDb, glUri)) || [];
+    } finally {
+      wsDb.closeReadOnly();
+    }
+    const verifyIds = new Set(verifyList.map((c) => c.composerId));
 
     // Success - clean up backups
     console.log("[import] Success! Cleaning up backups...");
@@ -371,6 +1063,8 @@ async function importFromObject(obj, wsUri, glUri) {
 
     return {
       inserted,
+      skipped: offered - inserted,
+      schemaStage: target.stage,
       verification: {
         totalComposers: verifyIds.size,
         composerIds: Array.from(verifyIds),
@@ -379,113 +1073,399 @@ async function importFromObject(obj, wsUri, glUri) {
   } catch (err) {
     console.error("[import] Error during import:", err);
     // Keep backups on error for manual recovery
-    console.log("[import] Backups preserved for recovery:");
-    if (wsBackupPath) console.log(`  Workspace: ${wsBackupPath}`);
-    if (glBackupPath) console.log(`  Global: ${glBackupPath}`);
+    if (wsBackupPath || glBackupPath) {
+      console.log("[import] Backups preserved for recovery:");
+      if (wsBackupPath) console.log(`  Workspace: ${wsBackupPath}`);
+      if (glBackupPath) console.log(`  Global: ${glBackupPath}`);
+    }
     throw err;
   }
 }
 
 /**
- * Clone export object with new composerIds and bubbleIds (copy mode).
- * Returns { cloned, idMap, bubbleIdMap }
+ * Bubble ID of a message in a copy: a UUID derived from the copy's
+ * composerId and the original bubble ID, so importing the same message into
+ * the same copy again gives the same key.
+ */
+function derivedBubbleId(newComposerId, oldBubbleId) {
+  const hex = createHash("sha256")
+    .update(`${newComposerId}:${oldBubbleId}`)
+    .digest("hex");
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `4${hex.slice(13, 16)}`,
+    `${variant}${hex.slice(17, 20)}`,
+    hex.slice(20, 32),
+  ].join("-");
+}
+
+/**
+ * Clone chats with new composerIds and bubbleIds (copy mode), one part at a
+ * time, so in-memory copies and streamed imports follow the same rules.
+ * A chat's bubbles must go through before its composerData and agentKv,
+ * which refer to the bubble IDs.
+ * `existing` (see findImportedChats) and `onExisting` decide what happens to
+ * chats imported before: "skip" leaves them out (listed in `skipped`),
+ * "replace" clones them and records the earlier copy in `replaced`
+ * (new composerId -> earlier composerId), "duplicate" clones them as usual.
+ * "merge" clones them into the earlier copy: its bubbles get the keys the
+ * copy already uses, so only missing messages are new, and the chat's
+ * incoming header and composerData are kept in `merged` (earlier
+ * composerId -> { header, composerData }) for importKVRows to merge into
+ * the local ones. Copies that predate derived bubble IDs cannot be merged
+ * and are skipped.
  */
-function cloneExportObjectForCopy(obj) {
+function createCopyCloner({
+  existing = new Map(),
+  onExisting = "duplicate",
+} = {}) {
   const idMap = {};
   const bubbleIdMap = {}; // old bubbleId -> new bubbleId
-  const cloned = { allComposers: [], composers: {}, bubbles: {} };
+  const bubblePairs = new Map(); // old composerId -> [[old, new] bubbleIds]
+  const withData = new Set();
+  const fingerprints = new Map(); // old composerId -> content fingerprint
+  const skipped = [];
+  const replaced = new Map();
+  const merged = new Map();
   const now = Date.now();
   let idx = 0;
 
-  // Clone composers and create composerId mapping
+  const remapBubbles = (oldComposerId, text) => {
+    let out = text;
+    for (const [oldBubbleId, newBubbleId] of bubblePairs.get(oldComposerId) ||
+      []) {
+      out = out.split(oldBubbleId).join(newBubbleId);
+    }
+    return out;
+  };
+
+  return {
+    idMap,
+    bubbleIdMap,
+    skipped,
+    replaced,
+    merged,
+
+    /**
+     * Header with a new composerId, or null for entries without one and
+     * chats that are skipped or merged.
+     */
+    header(c) {
+      if (!c || !c.composerId) return null;
+      const earlier = existing.get(c.composerId);
+      if (
+        earlier &&
+        (onExisting === "skip" ||
+          (onExisting === "merge" && !earlier.mergeable))
+      ) {
+        skipped.push(c.composerId);
+        return null;
+      }
+      if (earlier && onExisting === "merge") {
+        idMap[c.composerId] = earlier.composerId;
+        fingerprints.set(c.composerId, createChatFingerprint());
+        merged.set(earlier.composerId, { header: c, composerData: null });
+        return null;
+      }
+      const newId = randomUUID();
+      idMap[c.composerId] = newId;
+      fingerprints.set(c.composerId, createChatFingerprint());
+      if (earlier && onExisting === "replace") {
+        replaced.set(newId, earlier.composerId);
+      }
+      const nc = {
+        ...c,
+        composerId: newId,
+        createdAt: now + idx,
+        lastUpdatedAt: now + idx,
+        workspaceIdentifier: undefined,
+      };
+      idx += 1;
+      return nc;
+    },
+
+    /** [{ key, value, bubbleId }] with new IDs, or null. */
+    bubbles(oldComposerId, composerBubbles) {
+      const newComposerId = idMap[oldComposerId];
+      if (!newComposerId || !Array.isArray(composerBubbles)) return null;
+      fingerprints.get(oldComposerId).bubbles(composerBubbles);
+      const pairs = bubblePairs.get(oldComposerId) || [];
+      const newBubbles = [];
+      for (const bubble of composerBubbles) {
+        if (!bubble || !bubble.bubbleId) continue;
+        const newBubbleId = derivedBubbleId(newComposerId, bubble.bubbleId);
+        bubbleIdMap[bubble.bubbleId] = newBubbleId;
+        pairs.push([bubble.bubbleId, newBubbleId]);
+        const newKey = `bubbleId:${newComposerId}:${newBubbleId}`;
+        // Update bubble value to replace old bubbleId references
+        let bubbleValue = bubble.value || "";
+        if (typeof bubbleValue === "string") {
+          bubbleValue = bubbleValue.split(bubble.bubbleId).join(newBubbleId);
+          bubbleValue = bubbleValue.split(oldComposerId).join(newComposerId);
+        }
+        newBubbles.push({
+          key: newKey,
+          value: bubbleValue,
+          bubbleId: newBubbleId,
+        });
+      }
+      bubblePairs.set(oldComposerId, pairs);
+      return newBubbles.length > 0 ? newBubbles : null;
+    },
+
+    /** Agent state with composer and bubble IDs remapped, or null. */
+    agentKv(oldComposerId, entries) {
+      const newComposerId = idMap[oldComposerId];
+      if (!newComposerId || !Array.isArray(entries)) return null;
+      const remap = (text) =>
+        remapBubbles(
+          oldComposerId,
+          text.split(oldComposerId).join(newComposerId),
+        );
+      const newEntries = [];
+      for (const entry of entries) {
+        if (!entry || !entry.key) continue;
+        // Content-addressed entries stay as they are, or their hash would
+        // no longer match the value
+        if (AGENT_KV_HASH_TAIL.test(entry.key)) {
+          newEntries.push({
+            key: entry.key,
+            value: typeof entry.value === "string" ? entry.value : "",
+          });
+          continue;
+        }
+        newEntries.push({
+          key: remap(entry.key),
+          value: typeof entry.value === "string" ? remap(entry.value) : "",
+        });
+      }
+      return newEntries.length > 0 ? newEntries : null;
+    },
+
+    /** Stored composerData with all references updated, or null. */
+    composerData(oldId, val) {
+      const newId = idMap[oldId];
+      if (!newId) return null;
+      let text = typeof val === "string" ? val : String(val);
+      fingerprints.get(oldId).composerData(text);
+      let result;
+      try {
+        const parsed = JSON.parse(text);
+        parsed.composerId = newId;
+        // Replace composerId references
+        let serialized = JSON.stringify(parsed);
+        serialized = serialized.split(oldId).join(newId);
+        // Replace bubbleId references
+        result = remapBubbles(oldId, serialized);
+      } catch {
+        // fallback: replace occurrences in raw string
+        result = remapBubbles(oldId, text.split(oldId).join(newId));
+      }
+      if (!result) return null;
+      withData.add(newId);
+      if (merged.has(newId)) {
+        merged.get(newId).composerData = result;
+        return null;
+      }
+      return result;
+    },
+
+    /**
+     * Where each cloned chat came from, for the import registry:
+     * { [newComposerId]: { origin, fingerprint } }.
+     */
+    imports() {
+      const out = {};
+      for (const [oldId, newId] of Object.entries(idMap)) {
+        out[newId] = {
+          origin: oldId,
+          fingerprint: fingerprints.get(oldId).digest(),
+          bubbleIds: "derived",
+        };
+      }
+      return out;
+    },
+
+    /**
+     * Default composerData for cloned chats that had none:
+     * [[newComposerId, value]]. Merged chats keep their own.
+     */
+    missingComposerData() {
+      return Object.values(idMap)
+        .filter((newId) => !withData.has(newId) && !merged.has(newId))
+        .map((newId) => [
+          newId,
+          JSON.stringify({
+            composerId: newId,
+            tabs: [],
+            bubbles: [],
+            currentTab: null,
+            version: 1,
+          }),
+        ]);
+    },
+  };
+}
+
+/**
+ * Clone export object with new composerIds and bubbleIds (copy mode).
+ * Options as for createCopyCloner.
+ * Returns { cloned, idMap, bubbleIdMap, skipped, replaced, merged, imports },
+ * the last four as kept by the cloner.
+ */
+function cloneExportObjectForCopy(obj, options = {}) {
+  const cloner = createCopyCloner(options);
+  // Content payloads are addressed by hash, not by chat, so they carry over as-is
+  const cloned = {
+    allComposers: [],
+    composers: {},
+    bubbles: {},
+    contents: { ...(obj.contents || {}) },
+    agentKv: {},
+  };
+
   for (const c of obj.allComposers || []) {
-    if (!c || !c.composerId) continue;
-    const newId = randomUUID();
-    idMap[c.composerId] = newId;
-    const nc = {
-      ...c,
-      composerId: newId,
-      createdAt: now + idx,
-      lastUpdatedAt: now + idx,
-      workspaceIdentifier: undefined,
+    const nc = cloner.header(c);
+    if (nc) cloned.allComposers.push(nc);
+  }
+  for (const [oldId, composerBubbles] of Object.entries(obj.bubbles || {})) {
+    const newBubbles = cloner.bubbles(oldId, composerBubbles);
+    if (newBubbles) cloned.bubbles[cloner.idMap[oldId]] = newBubbles;
+  }
+  for (const [oldId, entries] of Object.entries(obj.agentKv || {})) {
+    const newEntries = cloner.agentKv(oldId, entries);
+    if (newEntries) cloned.agentKv[cloner.idMap[oldId]] = newEntries;
+  }
+  for (const [oldId, val] of Object.entries(obj.composers || {})) {
+    const value = cloner.composerData(oldId, val);
+    if (value != null) cloned.composers[cloner.idMap[oldId]] = value;
+  }
+  for (const [newId, value] of cloner.missingComposerData()) {
+    cloned.composers[newId] = value;
+  }
+  return {
+    cloned,
+    idMap: cloner.idMap,
+    bubbleIdMap: cloner.bubbleIdMap,
+    skipped: cloner.skipped,
+    replaced: cloner.replaced,
+    merged: cloner.merged,
+    imports: cloner.imports,
+  };
+}
+
+/**
+ * Summarize the chats recorded in any state.vscdb (live DB or backup).
+ * Global DBs list their composer.composerHeaders; workspace DBs list their
+ * legacy allComposers. On newer schemas a workspace DB only holds the
+ * selected IDs, where none means all of the workspace's chats, so its chats
+ * are resolved against the headers of the global DB at `glDbPath` (when
+ * given) for the workspace the DB's folder is named after.
+ * Returns { kind: "global" | "workspace" | "unknown", chats: [...] }.
+ */
+async function listChatsInDb(dbPath, glDbPath) {
+  const headersJson = await readItemTableWithCLI(
+    dbPath,
+    "composer.composerHeaders",
+  );
+  const headers = headersJson ? JSON.parse(headersJson) : null;
+  if (headers && Array.isArray(headers.allComposers)) {
+    return {
+      kind: "global",
+      chats: headers.allComposers
+        .filter((c) => c && c.composerId)
+        .map((c) => ({
+          composerId: c.composerId,
+          name: c.name || "",
+          lastUpdatedAt: c.lastUpdatedAt || 0,
+          workspaceId:
+            (c.workspaceIdentifier && c.workspaceIdentifier.id) || "",
+        })),
     };
-    cloned.allComposers.push(nc);
-    idx += 1;
   }
 
-  // Clone bubbles with new IDs
-  for (const [oldComposerId, composerBubbles] of Object.entries(
-    obj.bubbles || {},
-  )) {
-    const newComposerId = idMap[oldComposerId];
-    if (!newComposerId || !Array.isArray(composerBubbles)) continue;
-    const newBubbles = [];
-    for (const bubble of composerBubbles) {
-      if (!bubble || !bubble.bubbleId) continue;
-      const newBubbleId = randomUUID();
-      bubbleIdMap[bubble.bubbleId] = newBubbleId;
-      const newKey = `bubbleId:${newComposerId}:${newBubbleId}`;
-      // Update bubble value to replace old bubbleId references
-      let bubbleValue = bubble.value || "";
-      if (typeof bubbleValue === "string") {
-        bubbleValue = bubbleValue.split(bubble.bubbleId).join(newBubbleId);
-        bubbleValue = bubbleValue.split(oldComposerId).join(newComposerId);
-      }
-      newBubbles.push({
-        key: newKey,
-        value: bubbleValue,
-        bubbleId: newBubbleId,
-      });
-    }
-    if (newBubbles.length > 0) {
-      cloned.bubbles[newComposerId] = newBubbles;
-    }
+  const dataJson = await readItemTableWithCLI(dbPath, "composer.composerData");
+  const data = dataJson ? JSON.parse(dataJson) : null;
+  if (!data) return { kind: "unknown", chats: [] };
+  let list;
+  if (Array.isArray(data.allComposers)) {
+    list = data.allComposers.filter((c) => c && c.composerId);
+  } else {
+    // Backups sit next to their live DB, in the workspace's hash folder
+    const wsHash = path.basename(path.dirname(dbPath));
+    const global = glDbPath ? await readComposerHeaders(glDbPath) : null;
+    const headers = ((global && global.allComposers) || []).filter(
+      (c) =>
+        c &&
+        c.composerId &&
+        c.workspaceIdentifier &&
+        c.workspaceIdentifier.id === wsHash,
+    );
+    const selected = data.selectedComposerIds || [];
+    const byId = new Map(headers.map((c) => [c.composerId, c]));
+    list =
+      selected.length > 0
+        ? selected.map((composerId) => byId.get(composerId) || { composerId })
+        : headers;
   }
+  return {
+    kind: "workspace",
+    chats: list.map((c) => ({
+      composerId: c.composerId,
+      name: c.name || "",
+      lastUpdatedAt: c.lastUpdatedAt || 0,
+      workspaceId: "",
+    })),
+  };
+}
 
-  // Clone composer data and update all references
-  for (const [oldId, val] of Object.entries(obj.composers || {})) {
-    const newId = idMap[oldId];
-    if (!newId) continue;
-    let text = typeof val === "string" ? val : String(val);
-    try {
-      const parsed = JSON.parse(text);
-      parsed.composerId = newId;
-      // Replace composerId references
-      let serialized = JSON.stringify(parsed);
-      serialized = serialized.split(oldId).join(newId);
-      // Replace bubbleId references
-      for (const [oldBubbleId, newBubbleId] of Object.entries(bubbleIdMap)) {
-        serialized = serialized.split(oldBubbleId).join(newBubbleId);
-      }
-      cloned.composers[newId] = serialized;
-    } catch {
-      // fallback: replace occurrences in raw string
-      let replaced = text.split(oldId).join(newId);
-      for (const [oldBubbleId, newBubbleId] of Object.entries(bubbleIdMap)) {
-        replaced = replaced.split(oldBubbleId).join(newBubbleId);
-      }
-      cloned.composers[newId] = replaced;
-    }
+/**
+ * Copy chats from one workspace to another on the same machine.
+ * Reads the chats, clones them with fresh IDs and imports the clone into the
+ * target workspace in memory (with the usual backups and integrity checks).
+ * `onProgress(message)` is called before each stage; `signal` can cancel the
+ * import while chat data is being written (see importFromObject).
+ * Returns the importFromObject result (which includes the cloned object).
+ */
+async function copyComposersToWorkspace(
+  srcWsUri,
+  glUri,
+  composerIds,
+  targetWsUri,
+  onProgress = () => {},
+  signal = undefined,
+) {
+  onProgress("Reading chats...");
+  const exportObj = await buildExportObject(srcWsUri, glUri, composerIds);
+  if (exportObj.allComposers.length === 0) {
+    throw new Error("None of the selected chats were found in the source.");
   }
+  onProgress("Creating backups and importing...");
+  return importFromObject(exportObj, targetWsUri, glUri, {
+    onProgress,
+    signal,
+  });
+}
 
-  // Create default composer data for any composers without data
-  for (const [oldId, newId] of Object.entries(idMap)) {
-    if (!cloned.composers[newId]) {
-      // Find the composer metadata
-      const composerMeta = cloned.allComposers.find(
-        (c) => c.composerId === newId,
-      );
-      const defaultData = {
-        composerId: newId,
-        tabs: [],
-        bubbles: [],
-        currentTab: null,
-        version: 1,
-      };
-      cloned.composers[newId] = JSON.stringify(defaultData);
+/**
+ * Drop composerIds from a workspace composer.composerData object: the legacy
+ * allComposers list, selectedComposerIds and lastFocusedComposerIds.
+ */
+function withoutComposers(current, removeSet) {
+  const next = { ...current };
+  if (Array.isArray(current.allComposers)) {
+    next.allComposers = current.allComposers.filter(
+      (c) => !c || !c.composerId || !removeSet.has(c.composerId),
+    );
+  }
+  for (const field of ["selectedComposerIds", "lastFocusedComposerIds"]) {
+    if (Array.isArray(current[field])) {
+      next[field] = current[field].filter((id) => !removeSet.has(id));
     }
   }
-  return { cloned, idMap, bubbleIdMap };
+  return next;
 }
 
 /**
@@ -494,23 +1474,16 @@ function cloneExportObjectForCopy(obj) {
 async function removeComposersFromWorkspace(wsUri, composerIdsToRemove) {
   if (!composerIdsToRemove || composerIdsToRemove.length === 0) return;
 
-  const backupPath = createBackup(wsUri.fsPath);
+  const backupPath = await createBackup(wsUri.fsPath);
 
   try {
-    const currentJson = readItemTableWithCLI(
+    const currentJson = await readItemTableWithCLI(
       wsUri.fsPath,
       "composer.composerData",
     );
     const current = currentJson ? JSON.parse(currentJson) : {};
-    const currentList = Array.isArray(current.allComposers)
-      ? current.allComposers
-      : [];
-    const removeSet = new Set(composerIdsToRemove);
-    const nextList = currentList.filter(
-      (c) => !c || !c.composerId || !removeSet.has(c.composerId),
-    );
-    const merged = { ...current, allComposers: nextList };
-    updateItemTableWithCLI(
+    const merged = withoutComposers(current, new Set(composerIdsToRemove));
+    await updateItemTableWithCLI(
       wsUri.fsPath,
       "composer.composerData",
       JSON.stringify(merged),
@@ -525,9 +1498,171 @@ async function removeComposersFromWorkspace(wsUri, composerIdsToRemove) {
   }
 }
 
+/**
+ * Move chats from one workspace to another (cut & paste).
+ * The KV payloads in the global DB stay where they are; only the ownership
+ * records change:
+ * - global composer.composerHeaders: workspaceIdentifier -> target workspace,
+ *   and headers added for chats from a legacy workspace when the target is
+ *   on the new schema (stage 2 or 3, see targetSchemaStage)
+ * - source workspace: ids removed from selectedComposerIds/lastFocusedComposerIds
+ *   and the legacy allComposers list
+ * - target workspace: ids added to a non-empty selectedComposerIds, and to
+ *   the allComposers list on stages 0 and 1
+ * Returns { moved } with the number of chats reassigned.
+ */
+async function moveComposersToWorkspace(
+  srcWsUri,
+  targetWsUri,
+  glUri,
+  composerIds,
+) {
+  if (!composerIds || composerIds.length === 0) return { moved: 0 };
+  if (srcWsUri.fsPath === targetWsUri.fsPath) {
+    throw new Error("Source and target workspace are the same.");
+  }
+
+  const backups = [];
+  try {
+    console.log("[move] Creating backups...");
+    for (const dbPath of [srcWsUri.fsPath, targetWsUri.fsPath, glUri.fsPath]) {
+      backups.push(await createBackup(dbPath));
+    }
+
+    for (const dbPath of [srcWsUri.fsPath, targetWsUri.fsPath, glUri.fsPath]) {
+      // eslint-disable-next-line no-await-in-loop
+      if (!(await checkIntegrity(dbPath))) {
+        throw new Error(
+          `Database integrity check failed before move: ${dbPath}. ` +
+            `Move aborted to prevent further damage.`,
+        );
+      }
+    }
+
+    const moveSet = new Set(composerIds);
+    const target = await targetSchemaStage(targetWsUri.fsPath, glUri.fsPath);
+
+    const srcJson = await readItemTableWithCLI(
+      srcWsUri.fsPath,
+      "composer.composerData",
+    );
+    const src = srcJson ? JSON.parse(srcJson) : {};
+
+    // Reassign the global headers
+    const glHeadersJson = await readItemTableWithCLI(
+      glUri.fsPath,
+      "composer.composerHeaders",
+    );
+    let glHeaders = glHeadersJson ? JSON.parse(glHeadersJson) : null;
+    const workspaceIdentifier = buildWorkspaceIdentifier(targetWsUri.fsPath);
+    const movedHeaders = new Map();
+    if (glHeaders && Array.isArray(glHeaders.allComposers)) {
+      glHeaders.allComposers = glHeaders.allComposers.map((c) => {
+        if (!c || !moveSet.has(c.composerId)) return c;
+        const next = { ...c, workspaceIdentifier };
+        movedHeaders.set(c.composerId, next);
+        return next;
+      });
+    }
+    // Legacy workspaces keep the header in their own allComposers list; a
+    // target on the new schema only finds it in the global headers
+    const legacyHeaders = [];
+    for (const c of Array.isArray(src.allComposers) ? src.allComposers : []) {
+      if (c && moveSet.has(c.composerId) && !movedHeaders.has(c.composerId)) {
+        movedHeaders.set(c.composerId, { ...c });
+        legacyHeaders.push(globalHeader(c, workspaceIdentifier));
+      }
+    }
+    if (!target.listsInWorkspace && legacyHeaders.length > 0) {
+      if (!glHeaders || !Array.isArray(glHeaders.allComposers)) {
+        glHeaders = { ...(glHeaders || {}), allComposers: [] };
+      }
+      glHeaders.allComposers = glHeaders.allComposers.concat(legacyHeaders);
+    }
+    if (glHeaders && Array.isArray(glHeaders.allComposers)) {
+      await updateItemTableWithCLI(
+        glUri.fsPath,
+        "composer.composerHeaders",
+        JSON.stringify(glHeaders),
+      );
+    }
+
+    // Cut from the source workspace
+    await updateItemTableWithCLI(
+      srcWsUri.fsPath,
+      "composer.composerData",
+      JSON.stringify(withoutComposers(src, moveSet)),
+    );
+
+    // Paste into the target workspace
+    const targetJson = await readItemTableWithCLI(
+      targetWsUri.fsPath,
+      "composer.composerData",
+    );
+    const targetData = targetJson ? JSON.parse(targetJson) : {};
+    const merged = withSelectedComposers(
+      targetData,
+      composerIds.filter((id) => movedHeaders.has(id)),
+    );
+    if (target.listsInWorkspace) {
+      const list = Array.isArray(targetData.allComposers)
+        ? targetData.allComposers
+        : [];
+      const existing = new Set(list.map((c) => c && c.composerId));
+      merged.allComposers = list.concat(
+        Array.from(movedHeaders.values())
+          .filter((c) => !existing.has(c.composerId))
+          .map((c) => workspaceHeader(c)),
+      );
+    }
+    if (targetJson || target.listsInWorkspace) {
+      await updateItemTableWithCLI(
+        targetWsUri.fsPath,
+        "composer.composerData",
+        JSON.stringify(merged),
+      );
+    }
+
+    for (const dbPath of [srcWsUri.fsPath, targetWsUri.fsPath, glUri.fsPath]) {
+      // eslint-disable-next-line no-await-in-loop
+      if (!(await checkIntegrity(dbPath))) {
+        throw new Error(
+          `Database integrity check failed after move: ${dbPath}.`,
+        );
+      }
+    }
+
+    console.log("[move] Success! Cleaning up backups...");
+    backups.forEach(removeBackup);
+    return { moved: movedHeaders.size };
+  } catch (err) {
+    console.error("[move] Error moving composers:", err);
+    console.log("[move] Backups preserved for recovery:");
+    backups.forEach((b) => console.log(`  ${b}`));
+    throw err;
+  }
+}
+
 module.exports = {
+  collectContentHashes,
+  listWorkspaceComposers,
+  listChatsInDb,
+  streamExport,
   buildExportObject,
+  exportToFile,
+  scanExportForSecrets,
   importFromObject,
+  findImportedChats,
+  ON_EXISTING,
+  importFromFile,
   cloneExportObjectForCopy,
+  copyComposersToWorkspace,
   removeComposersFromWorkspace,
+  moveComposersToWorkspace,
+  buildWorkspaceIdentifier,
+  targetSchemaStage,
+  withSelectedComposers,
+  withoutComposers,
+  globalHeader,
+  workspaceHeader,
 };
@@ -0,0 +1,244 @@
+'use strict';
+
+// Read and write a SQLite database file together with its write-ahead log,
+// for the built-in (WASM) engine, which works on an in-memory image of the DB.
+// File format: https://www.sqlite.org/fileformat2.html#walformat
+
+const fs = require('fs');
+const path = require('path');
+
+const WAL_HEADER_SIZE = 32;
+const WAL_FRAME_HEADER_SIZE = 24;
+const WAL_MAGIC_LE = 0x377f0682;
+const WAL_MAGIC_BE = 0x377f0683;
+// Offsets 18/19 of the DB header: file format write/read version, 2 = WAL
+const HEADER_WRITE_VERSION = 18;
+const HEADER_READ_VERSION = 19;
+
+function walChecksum(buf, start, end, bigEndian, s0, s1) {
+	for (let i = start; i < end; i += 8) {
+		const x0 = bigEndian ? buf.readUInt32BE(i) : buf.readUInt32LE(i);
+		const x1 = bigEndian ? buf.readUInt32BE(i + 4) : buf.readUInt32LE(i + 4);
+		s0 = (s0 + x0 + s1) >>> 0;
+		s1 = (s1 + x1 + s0) >>> 0;
+	}
+	return [s0, s1];
+}
+
+/**
+ * Committed frames of a WAL file, in log order.
+ * Stops at the first frame whose salt or checksum does not match, like
+ * SQLite's own recovery, and drops frames after the last commit.
+ * Returns { pageSize, frames: [{ pgno, offset }], dbPages } or null.
+ */
+function readWalFrames(wal) {
+	if (!wal || wal.length < WAL_HEADER_SIZE) return null;
+	const magic = wal.readUInt32BE(0);
+	if (magic !== WAL_MAGIC_LE && magic !== WAL_MAGIC_BE) return null;
+	const bigEndian = magic === WAL_MAGIC_BE;
+	const pageSize = wal.readUInt32BE(8) === 1 ? 65536 : wal.readUInt32BE(8);
+	if (pageSize < 512 || (pageSize & (pageSize - 1)) !== 0) return null;
+	const salt1 = wal.readUInt32BE(16);
+	const salt2 = wal.readUInt32BE(20);
+	let [s0, s1] = walChecksum(wal, 0, 24, bigEndian, 0, 0);
+	if (s0 !== wal.readUInt32BE(24) || s1 !== wal.readUInt32BE(28)) return null;
+
+	const frames = [];
+	let committed = 0;
+	let dbPages = 0;
+	const frameSize = WAL_FRAME_HEADER_SIZE + pageSize;
+	for (let off = WAL_HEADER_SIZE; off + frameSize <= wal.length; off += frameSize) {
+		if (wal.readUInt32BE(off + 8) !== salt1 || wal.readUInt32BE(off + 12) !== salt2) break;
+		[s0, s1] = walChecksum(wal, off, off + 8, bigEndian, s0, s1);
+		[s0, s1] = walChecksum(wal, off + WAL_FRAME_HEADER_SIZE, off + frameSize, bigEndian, s0, s1);
+		if (s0 !== wal.readUInt32BE(off + 16) || s1 !== wal.readUInt32BE(off + 20)) break;
+		frames.push({ pgno: wal.readUInt32BE(off), offset: off + WAL_FRAME_HEADER_SIZE });
+		const commitSize = wal.readUInt32BE(off + 4);
+		if (commitSize > 0) {
+			committed = frames.length;
+			dbPages = commitSize;
+		}
+	}
+	return { pageSize, frames: frames.slice(0, committed), dbPages };
+}
+
+function statSignature(filePath) {
+	try {
+		const stat = fs.statSync(filePath);
+		return `${stat.size}:${stat.mtimeMs}`;
+	} catch {
+		return 'missing';
+	}
+}
+
+/**
+ * Signature of a DB and its WAL on disk, used to detect outside changes
+ * between reading an image and writing it back.
+ */
+function fileSignature(dbPath) {
+	return `${statSignature(dbPath)}|${statSignature(dbPath + '-wal')}`;
+}
+
+/**
+ * Throw unless the database looks closed by every other program. The
+ * built-in engine cannot take SQLite's file locks, so it must not write
+ * while anyone else has the file open: a WAL-mode connection keeps the
+ * -shm wal-index next to the DB for as long as it is open (SQLite removes
+ * it on the last close), and a rollback-mode writer keeps a -journal file.
+ */
+function assertNoOtherConnections(dbPath) {
+	for (const suffix of ['-shm', '-journal']) {
+		if (fs.existsSync(dbPath + suffix)) {
+			throw new Error(
+				`Database is in use by another program (${dbPath}${suffix} exists). ` +
+				'The built-in SQLite engine cannot lock it, so close Cursor first, or install the sqlite3 CLI and use it instead.'
+			);
+		}
+	}
+}
+
+/**
+ * Read a database as one self-contained image with all committed WAL frames
+ * applied. The image is switched to rollback-journal mode so an in-memory
+ * engine can open it; `walMode` remembers the original mode for writing.
+ * Returns { image, walMode, signature }.
+ */
+function readDatabaseImage(dbPath) {
+	const signature = fileSignature(dbPath);
+	let image = fs.readFileSync(dbPath);
+	let wal = null;
+	try {
+		wal = fs.readFileSync(dbPath + '-wal');
+	} catch {}
+
+	const log = readWalFrames(wal);
+	if (log && log.frames.length > 0) {
+		const size = log.dbPages * log.pageSize;
+		const merged = Buffer.alloc(Math.max(size, image.length));
+		image.copy(merged, 0, 0, Math.min(image.length, merged.length));
+		for (const { pgno, offset } of log.frames) {
+			if (pgno > log.dbPages) continue;
+			wal.copy(merged, (pgno - 1) * log.pageSize, offset, offset + log.pageSize);
+		}
+		image = merged.subarray(0, size);
+	}
+
+	const walMode = image.length > HEADER_READ_VERSION && image[HEADER_WRITE_VERSION] === 2;
+	if (walMode) {
+		image[HEADER_WRITE_VERSION] = 1;
+		image[HEADER_READ_VERSION] = 1;
+	}
+	return { image, walMode, signature };
+}
+
+/**
+ * Write an image produced from readDatabaseImage() back to disk.
+ * Without locks this is only safe while no other program has the DB open,
+ * so it throws when one seems to (see assertNoOtherConnections) or when the
+ * files changed since the image was read.
+ * Every step replaces a whole file by renaming a synced temporary copy over
+ * it, so a crash leaves either the old or the new database, never a torn
+ * one. Committed WAL frames are folded into the main file and the WAL
+ * emptied before the new image goes in: replaying the WAL over its own
+ * checkpoint changes nothing, while replaying it over the new image would
+ * undo part of the write.
+ */
+function writeDatabaseImage(dbPath, image, { walMode, signature }) {
+	assertNoOtherConnections(dbPath);
+	if (fileSignature(dbPath) !== signature) {
+		throw new Error(`Database changed on disk while it was being modified: ${dbPath}. Close Cursor and try again.`);
+	}
+	const data = Buffer.from(image.buffer, image.byteOffset, image.byteLength);
+	if (walMode && data.length > HEADER_READ_VERSION) {
+		data[HEADER_WRITE_VERSION] = 2;
+		data[HEADER_READ_VERSION] = 2;
+	}
+
+	const walPath = dbPath + '-wal';
+	if (fs.existsSync(walPath)) {
+		const log = readWalFrames(fs.readFileSync(walPath));
+		if (log && log.frames.length > 0) {
+			replaceFile(dbPath, databaseCopy(dbPath));
+		}
+		const fd = fs.openSync(walPath, 'r+');
+		try {
+			fs.ftruncateSync(fd, 0);
+			fs.fsyncSync(fd);
+		} finally {
+			fs.closeSync(fd);
+		}
+	}
+	replaceFile(dbPath, data);
+	return fileSignature(dbPath);
+}
+
+/**
+ * Replace a file atomically: write a temporary file next to it (with the
+ * same permissions), sync it and rename it over the original.
+ */
+function replaceFile(filePath, data) {
+	const tmpPath = `${filePath}.${process.pid}.tmp`;
+	let mode = 0o644;
+	try {
+		mode = fs.statSync(filePath).mode & 0o777;
+	} catch {}
+	const fd = fs.openSync(tmpPath, 'w', mode);
+	try {
+		let written = 0;
+		while (written < data.length) {
+			written += fs.writeSync(fd, data, written, data.length - written, written);
+		}
+		fs.fsyncSync(fd);
+	} catch (err) {
+		fs.closeSync(fd);
+		try { fs.unlinkSync(tmpPath); } catch {}
+		throw err;
+	}
+	fs.closeSync(fd);
+	try {
+		fs.renameSync(tmpPath, filePath);
+	} catch (err) {
+		try { fs.unlinkSync(tmpPath); } catch {}
+		throw err;
+	}
+	syncDirectory(path.dirname(filePath));
+}
+
+// Make a rename durable; directories cannot be opened for syncing on Windows
+function syncDirectory(dirPath) {
+	let fd;
+	try {
+		fd = fs.openSync(dirPath, 'r');
+		fs.fsyncSync(fd);
+	} catch {} finally {
+		if (fd !== undefined) fs.closeSync(fd);
+	}
+}
+
+/**
+ * A standalone copy of a database (WAL applied, original journal mode).
+ */
+function databaseCopy(dbPath) {
+	const { image, walMode } = readDatabaseImage(dbPath);
+	if (walMode) {
+		image[HEADER_WRITE_VERSION] = 2;
+		image[HEADER_READ_VERSION] = 2;
+	}
+	return image;
+}
+
+/**
+ * Write a standalone copy of a database (WAL applied, original journal mode).
+ */
+function writeDatabaseCopy(dbPath, targetPath) {
+	fs.writeFileSync(targetPath, databaseCopy(dbPath));
+}
+
+module.exports = {
+	readWalFrames,
+	readDatabaseImage,
+	writeDatabaseImage,
+	assertNoOtherConnections,
+	writeDatabaseCopy,
+	fileSignature,
+};
@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+"use strict";
+
+// Runs the sync engine (lib/sync.js) between two simulated machines that
+// share a plain directory, and checks push, pull with replace and merge,
+// conflicts, settling a conflict with --prefer and linking chats again after
+// the state files are lost. Everything lives in a temporary folder that is
+// removed afterwards.
+//
+//   node scripts/check-sync.js [--engine auto|cli|builtin] [--verbose]
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  openSqliteReadOnly,
+  configureSqlite,
+  initSqlite,
+  closeSqlite,
+  execSqlite3,
+  insertKVWithCLI,
+  updateItemTableWithCLI,
+  readItemTableWithCLI,
+  readCursorDiskKV,
+  readBubblesForComposer,
+} = require("../lib/db");
+const { listWorkspaceComposers } = require("../lib/transfer");
+const { runSync } = require("../lib/sync");
+
+const WORKSPACE_HASH = "0123456789abcdef0123456789abcdef";
+const print = console.log;
+
+/**
+ * A machine with a global DB and one fully migrated (stage 2) workspace
+ * whose workspace.json points at `projectDir`.
+ */
+async function createMachine(root, name, projectDir) {
+  const glDbPath = path.join(root, name, "globalStorage", "state.vscdb");
+  const wsDir = path.join(root, name, "workspaceStorage", WORKSPACE_HASH);
+  const wsDbPath = path.join(wsDir, "state.vscdb");
+  fs.mkdirSync(path.dirname(glDbPath), { recursive: true });
+  fs.mkdirSync(wsDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(wsDir, "workspace.json"),
+    JSON.stringify({ folder: `file://${projectDir}` }),
+  );
+  const tables =
+    "CREATE TABLE ItemTable (key TEXT UNIQUE ON CONFLICT REPLACE, value BLOB);" +
+    "CREATE TABLE cursorDiskKV (key TEXT UNIQUE ON CONFLICT REPLACE, value BLOB);";
+  for (const dbPath of [glDbPath, wsDbPath]) {
+    // An empty file is an empty database, also to the built-in engine,
+    // which does not create files
+    fs.writeFileSync(dbPath, "");
+    // eslint-disable-next-line no-await-in-loop
+    await execSqlite3(dbPath, tables);
+  }
+  await updateItemTableWithCLI(
+    glDbPath,
+    "composer.composerHeaders",
+    JSON.stringify({ allComposers: [] }),
+  );
+  await updateItemTableWithCLI(
+    wsDbPath,
+    "composer.composerData",
+    JSON.stringify({
+      selectedComposerIds: [],
+      lastFocusedComposerIds: [],
+      hasMigratedComposerData: true,
+    }),
+  );
+  return {
+    name,
+    glDbPath,
+    wsDbPath,
+    workspaces: [{ path: wsDbPath, hash: WORKSPACE_HASH, name: "project" }],
+  };
+}
+
+async function readHeaders(machine) {
+  return JSON.parse(
+    await readItemTableWithCLI(machine.glDbPath, "composer.composerHeaders"),
+  );
+}
+
+async function createChat(machine, name, texts) {
+  const composerId = crypto.randomUUID();
+  const now = Date.now();
+  await updateItemTableWithCLI(
+    machine.glDbPath,
+    "composer.composerHeaders",
+    JSON.stringify({
+      allComposers: [
+        ...(await readHeaders(machine)).allComposers,
+        {
+          type: "head",
+          composerId,
+          name,
+          createdAt: now,
+          lastUpdatedAt: now,
+          workspaceIdentifier: { id: WORKSPACE_HASH },
+        },
+      ],
+    }),
+  );
+  await insertKVWithCLI(machine.glDbPath, [
+    {
+      key: `composerData:${composerId}`,
+      value: JSON.stringify({
+        composerId,
+        name,
+        createdAt: now,
+        lastUpdatedAt: now,
+        fullConversationHeadersOnly: [],
+      }),
+    },
+  ]);
+  for (const text of texts) {
+    // eslint-disable-next-line no-await-in-loop
+    await addMessage(machine, composerId, text);
+  }
+  return composerId;
+}
+
+/**
+ * Append a message to a chat the way Cursor does: a new bubble, its header
+ * in the composerData, and a newer lastUpdatedAt on the chat's header.
+ */
+async function addMessage(machine, composerId, text) {
+  const bubbleId = crypto.randomUUID();
+  const key = `composerData:${composerId}`;
+  const glDb = await openSqliteReadOnly(machine.glDbPath);
+  let data;
+  try {
+    data = JSON.parse(await readCursorDiskKV(glDb, key));
+  } finally {
+    glDb.closeReadOnly();
+  }
+  const now = Date.now();
+  data.fullConversationHeadersOnly.push({ bubbleId, type: 1 });
+  data.lastUpdatedAt = now;
+  await insertKVWithCLI(
+    machine.glDbPath,
+    [
+      { key, value: JSON.stringify(data) },
+      {
+        key: `bubbleId:${composerId}:${bubbleId}`,
+        value: JSON.stringify({ bubbleId, type: 1, text, createdAt: now }),
+      },
+    ],
+    { replace: true },
+  );
+  const headers = await readHeaders(machine);
+  for (const c of headers.allComposers) {
+    // Keep lastUpdatedAt moving even within one millisecond
+    if (c.composerId === composerId) {
+      c.lastUpdatedAt = Math.max(now, (c.lastUpdatedAt || 0) + 1);
+    }
+  }
+  await updateItemTableWithCLI(
+    machine.glDbPath,
+    "composer.composerHeaders",
+    JSON.stringify(headers),
+  );
+}
+
+/**
+ * The chats of a machine's workspace as { composerId, name, texts }.
+ */
+async function listChats(machine) {
+  const wsDb = await openSqliteReadOnly(machine.wsDbPath);
+  let headers;
+  try {
+    headers = await listWorkspaceComposers(wsDb, {
+      fsPath: machine.glDbPath,
+    });
+  } finally {
+    wsDb.closeReadOnly();
+  }
+  const glDb = await openSqliteReadOnly(machine.glDbPath);
+  try {
+    const chats = [];
+    for (const c of headers || []) {
+      // eslint-disable-next-line no-await-in-loop
+      const bubbles = await readBubblesForComposer(glDb, c.composerId);
+      chats.push({
+        composerId: c.composerId,
+        name: c.name,
+        texts: bubbles
+          .map((b) => JSON.parse(b.value))
+          .sort((a, b) => a.createdAt - b.createdAt)
+          .map((b) => b.text),
+      });
+    }
+    return chats;
+  } finally {
+    glDb.closeReadOnly();
+  }
+}
+
+function sync(machine, folder, prefer) {
+  return runSync({
+    folder,
+    glDbPath: machine.glDbPath,
+    workspaces: machine.workspaces,
+    prefer,
+  });
+}
+
+function counts(result) {
+  return {
+    pushed: result.pushed,
+    pulled: result.pulled,
+    conflicts: result.conflicts.length,
+  };
+}
+
+async function onlyChat(machine) {
+  const chats = await listChats(machine);
+  assert.strictEqual(chats.length, 1, `${machine.name} has one chat`);
+  return chats[0];
+}
+
+const CHECKS = [
+  [
+    "a new chat is pushed",
+    async ({ a, folder }) => {
+      await createChat(a, "Sync check", ["first", "second"]);
+      assert.deepStrictEqual(counts(await sync(a, folder)), {
+        pushed: 1,
+        pulled: 0,
+        conflicts: 0,
+      });
+    },
+  ],
+  [
+    "the other machine pulls it into the matching workspace",
+    async ({ b, folder }) => {
+      assert.deepStrictEqual(counts(await sync(b, folder)), {
+        pushed: 0,
+        pulled: 1,
+        conflicts: 0,
+      });
+      const chat = await onlyChat(b);
+      assert.strictEqual(chat.name, "Sync check");
+      assert.deepStrictEqual(chat.texts, ["first", "second"]);
+    },
+  ],
+  [
+    "syncing again without changes does nothing",
+    async ({ a, b, folder }) => {
+      for (const machine of [a, b]) {
+        // eslint-disable-next-line no-await-in-loop
+        assert.deepStrictEqual(counts(await sync(machine, folder)), {
+          pushed: 0,
+          pulled: 0,
+          conflicts: 0,
+        });
+      }
+    },
+  ],
+  [
+    "a pull replaces an unchanged local copy it cannot merge into",
+    async ({ a, b, folder }) => {
+      await addMessage(b, (await onlyChat(b)).composerId, "from b");
+      assert.strictEqual((await sync(b, folder)).pushed, 1);
+      const before = await onlyChat(a);
+      assert.strictEqual((await sync(a, folder)).pulled, 1);
+      const after = await onlyChat(a);
+      assert.deepStrictEqual(after.texts, ["first", "second", "from b"]);
+      // The chat was created here, not pulled from b's copy: it is deleted
+      // and imported again under a new ID
+      assert.notStrictEqual(after.composerId, before.composerId);
+    },
+  ],
+  [
+    "pulling the same machine's copy again merges it and keeps the ID",
+    async ({ a, b, folder }) => {
+      await addMessage(b, (await onlyChat(b)).composerId, "again from b");
+      assert.strictEqual((await sync(b, folder)).pushed, 1);
+      const before = await onlyChat(a);
+      assert.strictEqual((await sync(a, folder)).pulled, 1);
+      const after = await onlyChat(a);
+      assert.deepStrictEqual(after.texts, [
+        "first",
+        "second",
+        "from b",
+        "again from b",
+      ]);
+      assert.strictEqual(after.composerId, before.composerId);
+      // Nothing left to push or pull afterwards
+      assert.deepStrictEqual(counts(await sync(a, folder)), {
+        pushed: 0,
+        pulled: 0,
+        conflicts: 0,
+      });
+    },
+  ],
+  [
+    "a chat changed on both machines is reported and left alone",
+    async ({ a, b, folder }) => {
+      await addMessage(a, (await onlyChat(a)).composerId, "only on a");
+      await addMessage(b, (await onlyChat(b)).composerId, "only on b");
+      assert.strictEqual((await sync(a, folder)).pushed, 1);
+      assert.deepStrictEqual(counts(await sync(b, folder)), {
+        pushed: 0,
+        pulled: 0,
+        conflicts: 1,
+      });
+      assert.deepStrictEqual((await onlyChat(b)).texts, [
+        "first",
+        "second",
+        "from b",
+        "again from b",
+        "only on b",
+      ]);
+    },
+  ],
+  [
+    "--prefer remote settles the conflict with the other machine's copy",
+    async ({ b, folder }) => {
+      assert.deepStrictEqual(counts(await sync(b, folder, "remote")), {
+        pushed: 0,
+        pulled: 1,
+        conflicts: 0,
+      });
+      assert.deepStrictEqual((await onlyChat(b)).texts, [
+        "first",
+        "second",
+        "from b",
+        "again from b",
+        "only on a",
+      ]);
+    },
+  ],
+  [
+    "machines that lost their state files link their chats again",
+    async ({ a, b, folder }) => {
+      fs.rmSync(path.join(folder, "machines"), { recursive: true });
+      for (const machine of [a, b]) {
+        // eslint-disable-next-line no-await-in-loop
+        assert.deepStrictEqual(counts(await sync(machine, folder)), {
+          pushed: 0,
+          pulled: 0,
+          conflicts: 0,
+        });
+        // eslint-disable-next-line no-await-in-loop
+        await onlyChat(machine);
+      }
+      assert.strictEqual(
+        fs
+          .readdirSync(path.join(folder, "chats"))
+          .filter((name) => name.endsWith(".meta.json")).length,
+        1,
+      );
+    },
+  ],
+];
+
+async function main(argv) {
+  const engineArg = argv.indexOf("--engine");
+  if (engineArg !== -1) configureSqlite({ engine: argv[engineArg + 1] });
+  await initSqlite();
+  // The transfer modules log their progress with console.log
+  console.log = argv.includes("--verbose") ? console.error : () => {};
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "cursor-chat-sync-"));
+  let failed = 0;
+  try {
+    const projectDir = path.join(root, "project");
+    const context = {
+      a: await createMachine(root, "a", projectDir),
+      b: await createMachine(root, "b", projectDir),
+      folder: path.join(root, "shared"),
+    };
+    for (const [name, check] of CHECKS) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await check(context);
+        print(`ok - ${name}`);
+      } catch (err) {
+        failed += 1;
+        print(`not ok - ${name}`);
+        print(`  ${err.message || String(err)}`);
+        // Later checks build on this one
+        break;
+      }
+    }
+  } finally {
+    await closeSqlite();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err);
+    process.exitCode = 1;
+  },
+);